@@ -0,0 +1,470 @@
+// ast.js
+
+import { englishMessage } from './i18n.js';
+
+/**
+ * Error thrown when a .setting file cannot be tokenized or parsed.
+ * Carries the offending offset together with its 1-based line and column; `reason` is the
+ * English message without the position, and `reasonKey` and `params` give it in any language.
+ */
+export class SettingSyntaxError extends Error {
+    /**
+     * @param {string} reasonKey The message key, `diagnostics.syntax.*`.
+     * @param {object} params Values to insert into the message.
+     * @param {string} text The source text.
+     * @param {number} offset The offset of the problem.
+     */
+    constructor(reasonKey, params, text, offset) {
+        const { line, column } = positionAt(text, offset);
+        const reason = englishMessage(reasonKey, params);
+        super(`${reason} (line ${line}, column ${column})`);
+        this.name = 'SettingSyntaxError';
+        this.reason = reason;
+        this.reasonKey = reasonKey;
+        this.params = params;
+        this.offset = offset;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Converts a character offset into a 1-based line and column.
+ * @param {string} text The source text.
+ * @param {number} offset The character offset.
+ * @returns {{line: number, column: number}}
+ */
+export function positionAt(text, offset) {
+    let line = 1;
+    let lineStart = 0;
+    const limit = Math.min(offset, text.length);
+    for (let i = 0; i < limit; i++) {
+        if (text[i] === '\n') {
+            line++;
+            lineStart = i + 1;
+        }
+    }
+    return { line, column: offset - lineStart + 1 };
+}
+
+/**
+ * Returns the offset where the indentation of a field begins, including the one line break
+ * before it. Blocks the parser cuts out start there, and the writer puts back its own line
+ * break and indentation; blank lines further up stay with the text before the block.
+ * @param {string} text The source text.
+ * @param {number} index The offset of the first non-whitespace character of a field.
+ * @returns {number}
+ */
+export function leadingWhitespaceStart(text, index) {
+    let i = index;
+    while (i > 0 && /[ \t]/.test(text[i - 1])) i--;
+    if (i > 0 && text[i - 1] === '\n') i--;
+    if (i > 0 && text[i - 1] === '\r') i--;
+    return i;
+}
+
+/**
+ * Returns the lines around a line of the source, for showing where a problem is.
+ * @param {string} text The source text.
+ * @param {number} line The 1-based line to show.
+ * @param {number} [context] How many lines to show before and after it.
+ * @returns {Array<{number: number, text: string}>}
+ */
+export function sourceExcerpt(text, line, context = 2) {
+    const lines = text.split(/\r?\n/);
+    const first = Math.max(1, line - context);
+    const last = Math.min(lines.length, line + context);
+    const excerpt = [];
+    for (let number = first; number <= last; number++) excerpt.push({ number, text: lines[number - 1] });
+    return excerpt;
+}
+
+const PUNCTUATION = new Set(['{', '}', '[', ']', '(', ')', '=', ',', ';', '-', '.']);
+const SIMPLE_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '\\': '\\', '"': '"', "'": "'", '\n': '\n' };
+
+/**
+ * Reads the level of a long bracket (`[[`, `[==[`) starting at `index`.
+ * @returns {number} The number of `=` signs, or -1 if there is no long bracket here.
+ */
+function longBracketLevel(text, index) {
+    if (text[index] !== '[') return -1;
+    let i = index + 1;
+    while (text[i] === '=') i++;
+    return text[i] === '[' ? i - index - 1 : -1;
+}
+
+/**
+ * Reads a long bracket body (`[[...]]`) starting at `index`.
+ * @returns {{value: string, end: number}}
+ */
+function readLongBracket(text, index, level) {
+    const open = level + 2;
+    const close = `]${'='.repeat(level)}]`;
+    const endIndex = text.indexOf(close, index + open);
+    if (endIndex === -1) {
+        throw new SettingSyntaxError('diagnostics.syntax.unterminatedLongBracket', {}, text, index);
+    }
+    let value = text.substring(index + open, endIndex);
+    // Lua skips a newline immediately following the opening bracket.
+    value = value.replace(/^\r?\n/, '');
+    return { value, end: endIndex + close.length };
+}
+
+/**
+ * Reads a quoted string literal starting at `index`, decoding escape sequences.
+ * @returns {{value: string, end: number}}
+ */
+function readQuotedString(text, index) {
+    const quote = text[index];
+    let value = '';
+    let i = index + 1;
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === quote) {
+            return { value, end: i + 1 };
+        }
+        if (ch === '\n') break;
+        if (ch !== '\\') {
+            value += ch;
+            i++;
+            continue;
+        }
+        const next = text[i + 1];
+        if (next in SIMPLE_ESCAPES) {
+            value += SIMPLE_ESCAPES[next];
+            i += 2;
+        } else if (next === 'x') {
+            const hex = text.substr(i + 2, 2);
+            if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+                throw new SettingSyntaxError('diagnostics.syntax.badHexEscape', {}, text, i);
+            }
+            value += String.fromCharCode(parseInt(hex, 16));
+            i += 4;
+        } else if (next === 'z') {
+            i += 2;
+            while (i < text.length && /\s/.test(text[i])) i++;
+        } else if (next === 'u' && text[i + 2] === '{') {
+            const closeIdx = text.indexOf('}', i + 3);
+            const hex = closeIdx === -1 ? '' : text.substring(i + 3, closeIdx);
+            const codePoint = parseInt(hex, 16);
+            if (!/^[0-9a-fA-F]+$/.test(hex) || codePoint > 0x10FFFF) {
+                throw new SettingSyntaxError('diagnostics.syntax.badUnicodeEscape', {}, text, i);
+            }
+            value += String.fromCodePoint(codePoint);
+            i = closeIdx + 1;
+        } else if (/\d/.test(next)) {
+            const digits = text.substr(i + 1, 3).match(/^\d{1,3}/)[0];
+            value += String.fromCharCode(parseInt(digits, 10));
+            i += 1 + digits.length;
+        } else {
+            throw new SettingSyntaxError('diagnostics.syntax.badEscape', { sequence: `\\${next}` }, text, i);
+        }
+    }
+    throw new SettingSyntaxError('diagnostics.syntax.unterminatedString', {}, text, index);
+}
+
+/**
+ * Splits the text of a .setting file into tokens. Whitespace and comments are skipped;
+ * comments are collected separately so callers can still locate them.
+ * @param {string} text The source text.
+ * @returns {{tokens: Array<object>, comments: Array<object>}} Each token has `type`, `value`, `start` and `end`.
+ */
+export function tokenize(text) {
+    const tokens = [];
+    const comments = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Comments: `-- line` and `--[[ block ]]`
+        if (ch === '-' && text[i + 1] === '-') {
+            const start = i;
+            const level = longBracketLevel(text, i + 2);
+            if (level !== -1) {
+                const { value, end } = readLongBracket(text, i + 2, level);
+                comments.push({ type: 'comment', value, start, end });
+                i = end;
+            } else {
+                let end = text.indexOf('\n', i);
+                if (end === -1) end = text.length;
+                comments.push({ type: 'comment', value: text.substring(i + 2, end), start, end });
+                i = end;
+            }
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            const { value, end } = readQuotedString(text, i);
+            tokens.push({ type: 'string', value, start: i, end });
+            i = end;
+            continue;
+        }
+
+        if (ch === '[') {
+            const level = longBracketLevel(text, i);
+            if (level !== -1) {
+                const { value, end } = readLongBracket(text, i, level);
+                tokens.push({ type: 'string', value, start: i, end });
+                i = end;
+                continue;
+            }
+        }
+
+        const numberMatch = /^(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(text.substring(i, i + 64));
+        if (numberMatch && (ch !== '.' || /\d/.test(text[i + 1]))) {
+            const raw = numberMatch[0];
+            tokens.push({ type: 'number', value: Number(raw), start: i, end: i + raw.length });
+            i += raw.length;
+            continue;
+        }
+
+        const nameMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.substring(i, i + 256));
+        if (nameMatch) {
+            const raw = nameMatch[0];
+            tokens.push({ type: 'name', value: raw, start: i, end: i + raw.length });
+            i += raw.length;
+            continue;
+        }
+
+        if (PUNCTUATION.has(ch)) {
+            tokens.push({ type: 'punct', value: ch, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        throw new SettingSyntaxError('diagnostics.syntax.unexpectedCharacter', { character: ch }, text, i);
+    }
+
+    tokens.push({ type: 'eof', value: null, start: text.length, end: text.length });
+    return { tokens, comments };
+}
+
+/**
+ * Builds an AST from the token stream. Every node records `start`/`end` offsets into the source.
+ *
+ * Value nodes:
+ *  - `Table`:   `{ ctor, fields, start, end, open, close }` where `ctor` is `{ name, called }` for
+ *               `Name { ... }` / `Name() { ... }` constructors and null for a bare `{ ... }`.
+ *  - `Call`:    `{ name, argument, start, end }` for `Name "str"` and `Name()` without a table.
+ *  - `String`, `Number`, `Boolean`, `Nil`, `Name`: `{ value, start, end }`.
+ *
+ * Table fields are `Field` nodes: `{ key, keyKind, value, start, end, separatorEnd }`.
+ * `key` is null for positional entries; `keyKind` is 'name', 'string' or 'number'.
+ * `separatorEnd` is the offset just past the field's trailing `,`/`;` (or `end` if there is none).
+ */
+class Parser {
+    constructor(text) {
+        this.text = text;
+        const { tokens, comments } = tokenize(text);
+        this.tokens = tokens;
+        this.comments = comments;
+        this.pos = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.tokens[this.pos];
+        if (this.pos < this.tokens.length - 1) this.pos++;
+        return token;
+    }
+
+    isPunct(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'punct' && token.value === value;
+    }
+
+    expectPunct(value) {
+        const token = this.next();
+        if (token.type !== 'punct' || token.value !== value) {
+            throw this.error('diagnostics.syntax.expected', token, { expected: value });
+        }
+        return token;
+    }
+
+    /**
+     * Builds the error for an unexpected token. The key gets a suffix when the token is the end
+     * of the file ("End") or a string ("String"); other tokens are quoted as `found`.
+     */
+    error(key, token = this.peek(), params = {}) {
+        const suffix = token.type === 'eof' ? 'End' : token.type === 'string' ? 'String' : '';
+        return new SettingSyntaxError(`${key}${suffix}`, { ...params, found: `"${token.value}"` }, this.text, token.start);
+    }
+
+    parseValue() {
+        const token = this.peek();
+
+        if (token.type === 'punct' && token.value === '{') {
+            return this.parseTable(null, token.start);
+        }
+        if (token.type === 'punct' && token.value === '-' && this.peek(1).type === 'number') {
+            this.next();
+            const numberToken = this.next();
+            return { type: 'Number', value: -numberToken.value, start: token.start, end: numberToken.end };
+        }
+        if (token.type === 'string') {
+            this.next();
+            return { type: 'String', value: token.value, start: token.start, end: token.end };
+        }
+        if (token.type === 'number') {
+            this.next();
+            return { type: 'Number', value: token.value, start: token.start, end: token.end };
+        }
+        if (token.type === 'name') {
+            if (token.value === 'true' || token.value === 'false') {
+                this.next();
+                return { type: 'Boolean', value: token.value === 'true', start: token.start, end: token.end };
+            }
+            if (token.value === 'nil') {
+                this.next();
+                return { type: 'Nil', value: null, start: token.start, end: token.end };
+            }
+            return this.parseNamed();
+        }
+        throw this.error('diagnostics.syntax.unexpected', token);
+    }
+
+    /** Parses `Name`, `Name.Sub`, `Name { ... }`, `Name() { ... }` and `Name "str"`. */
+    parseNamed() {
+        const first = this.next();
+        let name = first.value;
+        while (this.isPunct('.') && this.peek(1).type === 'name') {
+            this.next();
+            name += '.' + this.next().value;
+        }
+
+        let called = false;
+        if (this.isPunct('(')) {
+            this.next();
+            this.expectPunct(')');
+            called = true;
+        }
+
+        if (this.isPunct('{')) {
+            return this.parseTable({ name, called }, first.start);
+        }
+        if (this.peek().type === 'string' && !called) {
+            // e.g. FuID "Name" is shorthand for FuID { "Name" }
+            const arg = this.next();
+            return { type: 'Call', name, argument: { type: 'String', value: arg.value, start: arg.start, end: arg.end }, start: first.start, end: arg.end };
+        }
+        if (called) {
+            return { type: 'Call', name, argument: null, start: first.start, end: this.tokens[this.pos - 1].end };
+        }
+        return { type: 'Name', value: name, start: first.start, end: this.tokens[this.pos - 1].end };
+    }
+
+    parseTable(ctor, start) {
+        const open = this.expectPunct('{');
+        const fields = [];
+
+        while (!this.isPunct('}')) {
+            if (this.peek().type === 'eof') {
+                throw new SettingSyntaxError('diagnostics.syntax.unmatchedBrace', {}, this.text, open.start);
+            }
+            const field = this.parseField();
+            if (this.isPunct(',') || this.isPunct(';')) {
+                field.separatorEnd = this.next().end;
+            } else if (this.peek().type === 'eof') {
+                throw new SettingSyntaxError('diagnostics.syntax.unmatchedBrace', {}, this.text, open.start);
+            } else if (!this.isPunct('}')) {
+                throw this.error('diagnostics.syntax.expectedSeparator');
+            }
+            fields.push(field);
+        }
+
+        const close = this.next();
+        return { type: 'Table', ctor, fields, start, end: close.end, open: open.start, close: close.start };
+    }
+
+    parseField() {
+        const token = this.peek();
+        let key = null;
+        let keyKind = null;
+
+        if (token.type === 'name' && this.isPunct('=', 1)) {
+            key = token.value;
+            keyKind = 'name';
+            this.next();
+            this.next();
+        } else if (token.type === 'punct' && token.value === '[') {
+            this.next();
+            const keyNode = this.parseValue();
+            if (keyNode.type !== 'String' && keyNode.type !== 'Number') {
+                throw new SettingSyntaxError('diagnostics.syntax.badKey', {}, this.text, token.start);
+            }
+            key = keyNode.value;
+            keyKind = keyNode.type === 'String' ? 'string' : 'number';
+            this.expectPunct(']');
+            this.expectPunct('=');
+        }
+
+        const value = this.parseValue();
+        return { type: 'Field', key, keyKind, value, start: token.start, end: value.end, separatorEnd: value.end };
+    }
+}
+
+/**
+ * Parses the text of a .setting file into an AST.
+ * @param {string} text The source text.
+ * @returns {{type: 'Document', body: object, comments: Array<object>, source: string}}
+ * @throws {SettingSyntaxError} If the text is not a valid Lua table.
+ */
+export function parseSettingAst(text) {
+    const parser = new Parser(text);
+    const body = parser.parseValue();
+    const trailing = parser.peek();
+    if (trailing.type !== 'eof') {
+        throw parser.error('diagnostics.syntax.trailing', trailing);
+    }
+    return { type: 'Document', body, comments: parser.comments, source: text };
+}
+
+// --- Helpers for walking the AST ---
+
+/**
+ * Finds the first field of a table with the given key.
+ * @param {object} table A `Table` node.
+ * @param {string|number} key The key to look up.
+ * @returns {object|null} The `Field` node, or null.
+ */
+export function getField(table, key) {
+    if (!table || table.type !== 'Table') return null;
+    return table.fields.find(field => field.key === key) || null;
+}
+
+/**
+ * Returns the value node of a table field, or null if it is absent.
+ */
+export function getFieldValue(table, key) {
+    const field = getField(table, key);
+    return field ? field.value : null;
+}
+
+/**
+ * Returns true if `node` is a table built with the given constructor name (`Name { }` or `Name() { }`).
+ */
+export function isTableOf(node, ctorName) {
+    return !!node && node.type === 'Table' && !!node.ctor && node.ctor.name === ctorName;
+}
+
+/**
+ * Converts a scalar AST node to the string form used in `data.properties`:
+ * strings are returned decoded, everything else as its source text.
+ * @param {object} node A value node.
+ * @param {string} source The full source text the node was parsed from.
+ * @returns {string}
+ */
+export function scalarText(node, source) {
+    if (!node) return undefined;
+    if (node.type === 'String') return node.value;
+    return source.substring(node.start, node.end);
+}
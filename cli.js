@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// cli.js
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseSettingFile } from './parser.js';
+import { generateSettingFile } from './writer.js';
+import { exportLayout, applyLayout } from './layout.js';
+import { parseYaml, stringifyYaml } from './yaml.js';
+import { maxNodeId } from './tree.js';
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_PARSE_ERROR = 2;
+const EXIT_LAYOUT_ERROR = 3;
+const EXIT_IO_ERROR = 4;
+
+const USAGE = `Usage:
+  node cli.js apply <macro.setting> <layout.json|layout.yaml> [-o <output.setting>] [--strict] [--macro <name>]
+  node cli.js dump <macro.setting> [--format json|yaml] [--sources] [--macro <name>]
+
+Commands:
+  apply   Rebuild the macro's controls (pages, groups, order, names, separators) from a layout
+          spec and write the result to the output file, or to stdout if -o is omitted.
+  dump    Print the macro's current layout as a spec that "apply" accepts.
+
+Options:
+  -o, --output <file>   Where to write the modified .setting file.
+  --format json|yaml    Output format for "dump" (default: json).
+  --sources             Record the SourceOp/Source of each input in the dump, so that "apply"
+                        still matches inputs after the macro's keys are renumbered.
+  --strict              Fail if the layout names inputs the macro does not have,
+                        or leaves out inputs the macro has.
+  --macro <name>        Which GroupOperator/MacroOperator to use when the file has several
+                        (default: the first one). Other macros are left untouched.
+  -h, --help            Show this help.
+
+Exit codes:
+  0 success, 1 usage error, 2 .setting parse error, 3 invalid layout, 4 file error.`;
+
+class CliError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+function parseArgs(argv) {
+    const options = { positional: [], output: null, format: 'json', sources: false, strict: false, macro: null, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = argv[++i];
+            if (!options.output) throw new CliError(`${arg} needs a file name.`, EXIT_USAGE);
+        } else if (arg === '--format') {
+            options.format = argv[++i];
+            if (options.format !== 'json' && options.format !== 'yaml') {
+                throw new CliError('--format must be "json" or "yaml".', EXIT_USAGE);
+            }
+        } else if (arg === '--macro') {
+            options.macro = argv[++i];
+            if (!options.macro) throw new CliError('--macro needs a macro name.', EXIT_USAGE);
+        } else if (arg === '--sources') {
+            options.sources = true;
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new CliError(`Unknown option: ${arg}`, EXIT_USAGE);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+    return options;
+}
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new CliError(`Cannot read ${file}: ${error.message}`, EXIT_IO_ERROR);
+    }
+}
+
+/**
+ * Parses a .setting file and picks the macro to work on.
+ * @returns {{macro: object, index: number, segments: Array<object>}}
+ */
+function loadMacro(file, macroName) {
+    const content = readFile(file);
+    let result;
+    try {
+        result = parseSettingFile(content);
+    } catch (error) {
+        throw new CliError(`${file}: ${error.message}`, EXIT_PARSE_ERROR);
+    }
+    if (!result.diagnostics.foundGroupOperator) {
+        throw new CliError(`${file}: no GroupOperator or MacroOperator found.`, EXIT_PARSE_ERROR);
+    }
+    const index = macroName === null ? 0 : result.macros.findIndex(macro => macro.name === macroName);
+    if (index === -1) {
+        const names = result.macros.map(macro => macro.name).join(', ');
+        throw new CliError(`${file}: no macro named "${macroName}" (found: ${names}).`, EXIT_USAGE);
+    }
+    const macro = result.macros[index];
+    if (macro.tree.children.length === 0) {
+        throw new CliError(`${file}: the macro ${macro.name} has no published inputs.`, EXIT_PARSE_ERROR);
+    }
+    return { macro, index, macros: result.macros, segments: result.segments };
+}
+
+function loadLayout(file) {
+    const content = readFile(file);
+    const isYaml = /\.ya?ml$/i.test(file);
+    try {
+        return isYaml ? parseYaml(content) : JSON.parse(content);
+    } catch (error) {
+        throw new CliError(`${file}: ${error.message}`, EXIT_LAYOUT_ERROR);
+    }
+}
+
+function runApply(options, stdout, stderr) {
+    const [settingFile, layoutFile] = options.positional.slice(1);
+    if (!settingFile || !layoutFile) throw new CliError(USAGE, EXIT_USAGE);
+
+    const { macro, index, macros: allMacros, segments } = loadMacro(settingFile, options.macro);
+    const layout = loadLayout(layoutFile);
+
+    let report;
+    try {
+        // Node ids are unique across the file, so new nodes are numbered after every macro's.
+        report = applyLayout(macro.tree, layout, { firstId: maxNodeId(allMacros.map(other => other.tree)) + 1 });
+    } catch (error) {
+        throw new CliError(`${layoutFile}: ${error.message}`, EXIT_LAYOUT_ERROR);
+    }
+    for (const { from, to } of report.rekeyed) {
+        stderr(`note: ${from} in the layout matched ${to} by its SourceOp/Source`);
+    }
+    if (report.missing.length > 0) {
+        stderr(`warning: the layout names inputs the macro does not have: ${report.missing.join(', ')}`);
+    }
+    if (report.unplaced.length > 0) {
+        stderr(`warning: inputs not in the layout were kept at the end: ${report.unplaced.join(', ')}`);
+    }
+    if (report.removedGroups.length > 0) {
+        stderr(`warning: groups not in the layout were removed: ${report.removedGroups.join(', ')}`);
+    }
+    if (options.strict && (report.missing.length > 0 || report.unplaced.length > 0)) {
+        throw new CliError('The layout does not match the macro exactly (--strict).', EXIT_LAYOUT_ERROR);
+    }
+
+    // Only the chosen macro is rebuilt; the others keep their original text.
+    const macros = [];
+    macros[index] = macro;
+    const { string } = generateSettingFile(macros, segments, path.basename(settingFile));
+    if (options.output) {
+        try {
+            fs.writeFileSync(options.output, string);
+        } catch (error) {
+            throw new CliError(`Cannot write ${options.output}: ${error.message}`, EXIT_IO_ERROR);
+        }
+    } else {
+        stdout(string);
+    }
+}
+
+function runDump(options, stdout) {
+    const settingFile = options.positional[1];
+    if (!settingFile) throw new CliError(USAGE, EXIT_USAGE);
+    const { macro } = loadMacro(settingFile, options.macro);
+    const layout = exportLayout(macro.tree, { sources: options.sources });
+    stdout(options.format === 'yaml' ? stringifyYaml(layout) : JSON.stringify(layout, null, 2) + '\n');
+}
+
+/**
+ * Runs the command line with the given arguments.
+ * @param {Array<string>} argv The arguments after `node cli.js`.
+ * @returns {number} The exit code.
+ */
+function main(argv) {
+    const stdout = text => process.stdout.write(text);
+    const stderr = text => process.stderr.write(text + '\n');
+    try {
+        const options = parseArgs(argv);
+        const command = options.positional[0];
+        if (options.help) {
+            stdout(USAGE + '\n');
+            return EXIT_OK;
+        }
+        if (command === 'apply') {
+            runApply(options, stdout, stderr);
+        } else if (command === 'dump') {
+            runDump(options, stdout);
+        } else {
+            throw new CliError(command ? `Unknown command: ${command}\n\n${USAGE}` : USAGE, EXIT_USAGE);
+        }
+        return EXIT_OK;
+    } catch (error) {
+        if (error instanceof CliError) {
+            stderr(error.message);
+            return error.exitCode;
+        }
+        stderr(error.stack || String(error));
+        return EXIT_USAGE;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,234 @@
+// clipboard.js
+
+import { createInstanceInputBlock } from './writer.js';
+import { topLevelNodes } from './tree.js';
+import { MessageError } from './i18n.js';
+
+/**
+ * Copied parts of a controls tree are kept in a form that does not depend on the macro they
+ * came from, so they can be pasted into another macro, also after a different file was loaded:
+ *
+ *   {
+ *     "format": "macro-editor/controls",
+ *     "version": 1,
+ *     "items": [
+ *       { "page": "Transform" },
+ *       { "group": "Transform", "items": [
+ *           { "input": "Input3", "sourceOp": "Transform1", "source": "Center", "name": "Center", "properties": { ... } },
+ *           { "separator": true }
+ *       ] }
+ *     ]
+ *   }
+ *
+ * Items follow the layout spec (see layout.js). Inputs always name the tool input they publish
+ * and carry their InstanceInput properties, so an input that was cut can be published again.
+ */
+
+export const CLIPBOARD_FORMAT = 'macro-editor/controls';
+const CLIPBOARD_VERSION = 1;
+
+const sourceKey = (sourceOp, source) => `${sourceOp}\u0000${source}`;
+
+function describeNode(node) {
+    if (node.type === 'CONTROL') {
+        const properties = { ...node.data.properties };
+        const item = { input: node.data.key, sourceOp: properties.SourceOp, source: properties.Source };
+        if (properties.Name) item.name = properties.Name;
+        item.properties = properties;
+        if (node.userControl) item.userControl = JSON.parse(JSON.stringify(node.userControl));
+        return item;
+    }
+    if (node.type === 'SEPARATOR') {
+        return { separator: true };
+    }
+    if (node.type === 'GROUP') {
+        const group = { group: node.name, items: node.children.filter(child => !child.hidden).map(describeNode) };
+        if (node.collapsed) group.collapsed = true;
+        if (node.dropDownButton !== undefined) group.dropDownButton = node.dropDownButton;
+        if (node.labelOptions && Object.keys(node.labelOptions).length > 0) group.labelOptions = { ...node.labelOptions };
+        return group;
+    }
+    return { page: node.name };
+}
+
+/**
+ * Returns the top-level nodes that copying `nodes` takes, in tree order: a page comes with the
+ * items on it, up to the next page, and a group with everything inside it. Hidden inputs
+ * (MainInputN) are left out.
+ * @param {object} root The ROOT node.
+ * @param {Array<object>} nodes The selected nodes.
+ * @returns {Array<object>}
+ */
+export function copiedNodes(root, nodes) {
+    const copied = [];
+    for (const node of topLevelNodes(root, nodes)) {
+        if (copied.includes(node) || node.hidden) continue;
+        copied.push(node);
+        if (node.type !== 'PAGE') continue;
+        for (const next of root.children.slice(root.children.indexOf(node) + 1)) {
+            if (next.type === 'PAGE') break;
+            if (!next.hidden && !copied.includes(next)) copied.push(next);
+        }
+    }
+    return copied;
+}
+
+/**
+ * Copies nodes to a clipboard object (see `copiedNodes` for what is taken).
+ * @param {object} root The ROOT node.
+ * @param {Array<object>} nodes The selected nodes.
+ * @returns {{format: string, version: number, items: Array}}
+ */
+export function copyNodes(root, nodes) {
+    return { format: CLIPBOARD_FORMAT, version: CLIPBOARD_VERSION, items: copiedNodes(root, nodes).map(describeNode) };
+}
+
+/**
+ * Pastes a clipboard object into a tree.
+ *
+ * Inputs are matched to the controls of the tree by SourceOp/Source (for the editor's own user
+ * controls, by Source on the label host) and moved into place, since a tool input is published
+ * only once. An input the tree does not publish yet is published again when its tool is one of
+ * `options.tools` (or, for a user control, when there is a label host), under its old key if
+ * that is free; otherwise it is reported as missing. Groups, separators and pages are always
+ * created anew: groups get AutoLabel keys above `options.maxAutoLabelIndex` and any AutoLabel
+ * key already in the tree, and a group left with nothing in it is not created (nor kept, when
+ * the paste moved its last input away).
+ * Pasted pages always go to the top level, after the top-level item holding `target`.
+ *
+ * @param {object} root The ROOT node; it is modified in place.
+ * @param {object} clipboard A clipboard object from `copyNodes`.
+ * @param {object|null} target The node to paste next to, or null to paste at the end.
+ * @param {'before'|'after'|'inside'} position Where to paste relative to `target`.
+ * @param {object} [options]
+ * @param {number} [options.maxAutoLabelIndex] The highest AutoLabel index in the target file.
+ * @param {Array<object>} [options.tools] The tools of the target macro, as returned by the parser.
+ * @param {string|null} [options.hostName] The name of the target macro's label host.
+ * @param {number} [options.firstId] The id of the first new node; further nodes count up from it.
+ * @returns {{nodes: Array<object>, placed: Array<string>, published: Array<string>, missing: Array<string>}}
+ *          The pasted top-level nodes, keys of inputs that were moved, keys of inputs that were
+ *          published again, and `SourceOp.Source` of inputs that could not be pasted.
+ * @throws {MessageError} If the clipboard object is not one of the editor's.
+ */
+export function pasteNodes(root, clipboard, target, position, options = {}) {
+    if (!clipboard || clipboard.format !== CLIPBOARD_FORMAT || !Array.isArray(clipboard.items)) {
+        throw new MessageError('clipboard.error.format');
+    }
+    if (clipboard.version !== CLIPBOARD_VERSION) {
+        throw new MessageError('clipboard.error.version');
+    }
+    const { maxAutoLabelIndex = 0, tools = [], hostName = null } = options;
+    const toolNames = new Set(tools.map(tool => tool.name));
+    const report = { nodes: [], placed: [], published: [], missing: [] };
+
+    const controlsBySource = new Map();
+    const usedKeys = new Set();
+    let nextId = options.firstId ?? 0;
+    let inputNumber = 0;
+    let autoLabelNumber = maxAutoLabelIndex;
+    let separatorNumber = 0;
+    (function walk(node) {
+        if (typeof node.id === 'number' && options.firstId === undefined) nextId = Math.max(nextId, node.id + 1);
+        if (node.data && node.data.key) usedKeys.add(node.data.key);
+        const key = node.data && node.data.key ? node.data.key : '';
+        const inputMatch = /^Input(\d+)$/.exec(key);
+        if (inputMatch) inputNumber = Math.max(inputNumber, parseInt(inputMatch[1], 10));
+        const separatorMatch = /^Separator(\d+)$/.exec(key);
+        if (separatorMatch) separatorNumber = Math.max(separatorNumber, parseInt(separatorMatch[1], 10));
+        const labelMatch = /^AutoLabel(\d+)$/.exec(node.internalKey || '');
+        if (labelMatch) autoLabelNumber = Math.max(autoLabelNumber, parseInt(labelMatch[1], 10));
+        if (node.type === 'CONTROL' && !node.hidden) {
+            const { SourceOp, Source } = node.data.properties;
+            if (SourceOp && Source) controlsBySource.set(sourceKey(SourceOp, Source), node);
+        }
+        node.children.forEach(walk);
+    })(root);
+
+    // Work out where the items go before matched inputs are taken out of their places.
+    const hasPages = clipboard.items.some(item => item && typeof item.page === 'string');
+    let parent = root;
+    let index = root.children.length;
+    if (target) {
+        let anchor = target;
+        let anchorPosition = position;
+        if (hasPages && (position === 'inside' || target.parent !== root)) {
+            while (anchor.parent && anchor.parent !== root) anchor = anchor.parent;
+            anchorPosition = 'after';
+        }
+        parent = anchorPosition === 'inside' ? anchor : anchor.parent;
+        index = anchorPosition === 'inside' ? anchor.children.length : parent.children.indexOf(anchor) + (anchorPosition === 'after' ? 1 : 0);
+    }
+    const before = new Set(parent.children.slice(0, index));
+    const emptied = new Set();
+
+    function publish(item, sourceOp) {
+        let key = item.input;
+        if (typeof key !== 'string' || usedKeys.has(key)) key = `Input${++inputNumber}`;
+        usedKeys.add(key);
+        const properties = { ...item.properties, SourceOp: sourceOp, Source: item.source };
+        const node = {
+            id: nextId++, type: 'CONTROL', parent: null, children: [], hidden: false,
+            data: { key, properties, originalBlock: createInstanceInputBlock(key, properties) },
+        };
+        if (item.userControl) node.userControl = JSON.parse(JSON.stringify(item.userControl));
+        report.published.push(key);
+        return node;
+    }
+
+    function pasteControl(item) {
+        const sourceOp = item.userControl && hostName ? hostName : item.sourceOp;
+        const existing = controlsBySource.get(sourceKey(sourceOp, item.source));
+        if (existing) {
+            controlsBySource.delete(sourceKey(sourceOp, item.source));
+            existing.parent.children.splice(existing.parent.children.indexOf(existing), 1);
+            if (existing.parent.type === 'GROUP') emptied.add(existing.parent);
+            if (item.name) existing.data.properties.Name = item.name;
+            report.placed.push(existing.data.key);
+            return existing;
+        }
+        const canPublish = item.properties && (item.userControl ? hostName !== null : toolNames.has(sourceOp));
+        if (canPublish) return publish(item, sourceOp);
+        report.missing.push(`${item.sourceOp}.${item.source}`);
+        return null;
+    }
+
+    function buildItems(items, into) {
+        const children = [];
+        for (const item of items) {
+            let node = null;
+            if (item && typeof item.input === 'string' && typeof item.sourceOp === 'string' && typeof item.source === 'string') {
+                node = pasteControl(item);
+            } else if (item && item.separator) {
+                node = { id: nextId++, type: 'SEPARATOR', children: [], data: { key: `Separator${++separatorNumber}` } };
+            } else if (item && typeof item.group === 'string') {
+                node = { id: nextId++, type: 'GROUP', name: item.group, internalKey: `AutoLabel${++autoLabelNumber}`, children: [], collapsed: !!item.collapsed };
+                if (item.dropDownButton !== undefined) node.dropDownButton = item.dropDownButton;
+                if (item.labelOptions) node.labelOptions = { ...item.labelOptions };
+                node.children = buildItems(item.items || [], node);
+                if (node.children.length === 0) node = null;
+            } else if (item && typeof item.page === 'string') {
+                node = into === root ? { id: nextId++, type: 'PAGE', name: item.page, children: [] } : null;
+            } else {
+                throw new MessageError('clipboard.error.unknownItem', { item: JSON.stringify(item) });
+            }
+            if (!node) continue;
+            node.parent = into;
+            children.push(node);
+        }
+        return children;
+    }
+
+    report.nodes = buildItems(clipboard.items, parent);
+    const insertAt = parent.children.filter(child => before.has(child)).length;
+    parent.children.splice(insertAt, 0, ...report.nodes);
+
+    // A group the paste took the last item out of goes too, e.g. when the same items are pasted twice.
+    for (let group of emptied) {
+        while (group.type === 'GROUP' && group.children.length === 0 && group.parent) {
+            const up = group.parent;
+            up.children.splice(up.children.indexOf(group), 1);
+            group = up;
+        }
+    }
+    return report;
+}
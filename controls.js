@@ -0,0 +1,198 @@
+// controls.js
+
+import { formatPropertyValue, createInstanceInputBlock } from './writer.js';
+import { MessageError } from './i18n.js';
+
+/**
+ * The kinds of user control the editor can create, with the Fusion control each one becomes.
+ * A color is a group of three controls (red, green and blue) shown as one color picker.
+ */
+export const USER_CONTROL_TYPES = {
+    slider: 'SliderControl',
+    checkbox: 'CheckboxControl',
+    combo: 'ComboControl',
+    text: 'TextEditControl',
+    button: 'ButtonControl',
+    color: 'ColorControl',
+};
+
+const COLOR_CHANNELS = ['Red', 'Green', 'Blue'];
+
+// Keys a new control must not take: the editor's own label entries and the inputs the helper
+// node types (Background, Custom, PipeRouter) already have.
+const RESERVED_KEY_REGEX = /^(?:AutoLabel\d+|Separator|Input\d*|Output|EffectMask|Blend|ApplyMode|Comments|PassThrough|Width|Height|Depth|Type|Gradient|UseFrameFormatSettings|GlobalIn|GlobalOut|TopLeft(?:Red|Green|Blue|Alpha))$/;
+
+const text = value => formatPropertyValue('Name', value);
+
+function toNumber(value, messageKey, fallback) {
+    if (value === undefined || value === null || String(value).trim() === '') return fallback;
+    const number = Number(value);
+    if (Number.isNaN(number)) throw new MessageError(messageKey);
+    return number;
+}
+
+/**
+ * Reads a color default: `#rrggbb`, or three numbers from 0 to 1 separated by commas.
+ * @returns {Array<number>} The red, green and blue values.
+ */
+function parseColor(value) {
+    const input = String(value ?? '').trim();
+    if (input === '') return [1, 1, 1];
+    const hex = /^#?([0-9a-f]{6})$/i.exec(input);
+    if (hex) {
+        return [0, 2, 4].map(offset => Math.round(parseInt(hex[1].substr(offset, 2), 16) / 255 * 1000) / 1000);
+    }
+    const parts = input.split(',').map(part => Number(part.trim()));
+    if (parts.length !== 3 || parts.some(Number.isNaN)) {
+        throw new MessageError('newControl.error.color');
+    }
+    return parts;
+}
+
+/**
+ * Turns a display name into a UserControls key: letters, digits and underscores only,
+ * in CamelCase, not starting with a digit.
+ */
+function keyFromName(name) {
+    const key = name
+        .split(/[^A-Za-z0-9_]+/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join('');
+    return /^[A-Za-z_]/.test(key) ? key : `Control${key}`;
+}
+
+/**
+ * Builds the UserControls entry (as `{key, value}` fields of Lua source text; a null key is a
+ * positional entry) and the InstanceInput properties for one control.
+ */
+function describeControl(spec, channel) {
+    const fields = [];
+    const add = (key, value) => fields.push({ key, value: String(value) });
+    const properties = {};
+
+    add('LINKS_Name', text(channel && channel.index > 0 ? channel.name : spec.name));
+    add('LINKID_DataType', text(spec.type === 'text' ? 'Text' : 'Number'));
+    add('INPID_InputControl', text(USER_CONTROL_TYPES[spec.type]));
+    switch (spec.type) {
+        case 'slider': {
+            const min = toNumber(spec.min, 'newControl.error.minNotNumber', 0);
+            const max = toNumber(spec.max, 'newControl.error.maxNotNumber', 1);
+            if (min >= max) throw new MessageError('newControl.error.range');
+            const value = toNumber(spec.default, 'newControl.error.defaultNotNumber', min);
+            add('INP_Default', value);
+            add('INP_MinScale', min);
+            add('INP_MaxScale', max);
+            properties.Default = value;
+            break;
+        }
+        case 'checkbox': {
+            const value = toNumber(spec.default, 'newControl.error.defaultNotNumber', 0) ? 1 : 0;
+            add('INP_Integer', true);
+            add('INP_Default', value);
+            add('CBC_TriState', false);
+            properties.Default = value;
+            break;
+        }
+        case 'combo': {
+            const options = (spec.options || []).map(option => option.trim()).filter(Boolean);
+            if (options.length === 0) throw new MessageError('newControl.error.noOptions');
+            const value = toNumber(spec.default, 'newControl.error.defaultNotNumber', 0);
+            if (!Number.isInteger(value) || value < 0 || value >= options.length) {
+                throw new MessageError('newControl.error.comboDefault', { last: options.length - 1 });
+            }
+            add('INP_Integer', true);
+            add('INP_Default', value);
+            add('CC_LabelPosition', text('Horizontal'));
+            options.forEach(option => add(null, `{ CCS_AddString = ${text(option)}, }`));
+            properties.Default = value;
+            break;
+        }
+        case 'text':
+            add('TEC_Lines', 1);
+            if (spec.default) add('INPS_DefaultText', text(spec.default));
+            break;
+        case 'button':
+            add('INP_External', false);
+            add('INP_DoNotifyChanged', true);
+            break;
+        case 'color':
+            add('IC_ControlGroup', channel.group);
+            add('IC_ControlID', channel.index);
+            add('INP_Default', channel.value);
+            add('INP_MinScale', 0);
+            add('INP_MaxScale', 1);
+            add('CLRC_ShowWheel', false);
+            properties.ControlGroup = channel.group;
+            properties.Default = channel.value;
+            break;
+    }
+    if (spec.tooltip) add('INPS_StatusText', text(spec.tooltip));
+    return { fields, properties };
+}
+
+/**
+ * Creates the nodes for a new user control on the label host: one CONTROL node for most
+ * types, three (red, green, blue) for a color. Each node carries its UserControls entry in
+ * `userControl`, which the writer puts on the host, and publishes it as an InstanceInput.
+ * @param {object} root The ROOT node, used to pick free InstanceInput keys and control groups.
+ * @param {object} spec What to create.
+ * @param {string} spec.type One of the keys of `USER_CONTROL_TYPES`.
+ * @param {string} spec.name The display name.
+ * @param {string} [spec.default] The default value: a number, a 0/1 for a checkbox, the option
+ *        number for a combo box, the text for a text field, or `#rrggbb` for a color.
+ * @param {string} [spec.min] The lowest value on a slider (0 if empty).
+ * @param {string} [spec.max] The highest value on a slider (1 if empty).
+ * @param {string} [spec.tooltip] The text Fusion shows when hovering the control.
+ * @param {Array<string>} [spec.options] The choices of a combo box.
+ * @param {string} hostName The name of the tool the control lives on.
+ * @param {Iterable<string>} takenKeys UserControls and input keys already used on the host.
+ * @param {number} firstId The id of the first node; further nodes count up from it.
+ * @returns {Array<object>} The new nodes, not yet attached to a parent.
+ * @throws {MessageError} If the spec is incomplete or out of range.
+ */
+export function createUserControl(root, spec, hostName, takenKeys, firstId) {
+    if (!USER_CONTROL_TYPES[spec.type]) throw new MessageError('newControl.error.unknownType', { type: spec.type });
+    const name = (spec.name || '').trim();
+    if (name === '') throw new MessageError('newControl.error.noName');
+
+    // Keys already used on the host: its own inputs and controls, and any created in this session.
+    const taken = new Set(takenKeys);
+    (function walk(node) {
+        if (node.userControl) taken.add(node.data.properties.Source);
+        node.children.forEach(walk);
+    })(root);
+    const suffixes = spec.type === 'color' ? COLOR_CHANNELS : [''];
+    const base = keyFromName(name);
+    let key = base;
+    const isTaken = candidate => taken.has(candidate) || RESERVED_KEY_REGEX.test(candidate);
+    for (let n = 2; suffixes.some(suffix => isTaken(key + suffix)); n++) key = `${base}${n}`;
+
+    let inputNumber = 0;
+    let controlGroup = 0;
+    (function walk(node) {
+        const match = node.data && node.data.key ? /^Input(\d+)$/.exec(node.data.key) : null;
+        if (match) inputNumber = Math.max(inputNumber, parseInt(match[1], 10));
+        const group = node.data && node.data.properties ? Number(node.data.properties.ControlGroup) : NaN;
+        if (!Number.isNaN(group)) controlGroup = Math.max(controlGroup, group);
+        node.children.forEach(walk);
+    })(root);
+
+    const colors = spec.type === 'color' ? parseColor(spec.default) : [];
+    return suffixes.map((suffix, index) => {
+        const channel = spec.type === 'color'
+            ? { index, name: COLOR_CHANNELS[index], group: controlGroup + 1, value: colors[index] }
+            : null;
+        const { fields, properties: extra } = describeControl({ ...spec, name }, channel);
+        const inputKey = `Input${inputNumber + 1 + index}`;
+        const properties = { SourceOp: hostName, Source: key + suffix };
+        // Fusion names only the first control of a group; the others share its row.
+        if (index === 0) properties.Name = name;
+        Object.assign(properties, extra);
+        return {
+            id: firstId + index, type: 'CONTROL', parent: null, children: [], hidden: false,
+            data: { key: inputKey, properties: { ...properties }, originalBlock: createInstanceInputBlock(inputKey, properties) },
+            userControl: { fields, input: null },
+        };
+    });
+}
@@ -0,0 +1,217 @@
+// diff.js
+
+// Beyond this many edits the middle of the texts is reported as replaced wholesale;
+// the trace the algorithm keeps grows with the square of the edit count.
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * Computes the shortest edit script between two arrays (Myers' O(ND) algorithm).
+ * @param {Array} a The old items.
+ * @param {Array} b The new items.
+ * @returns {Array<{type: 'equal'|'delete'|'insert', value: *}>} The edits, in order.
+ */
+function myersDiff(a, b) {
+    // Common prefix and suffix are by far the largest part of a .setting diff; skip them.
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d] holds v for diagonals -d..d as it was before round d.
+    const trace = [];
+
+    let found = max === 0;
+    for (let d = 0; d <= max && !found; d++) {
+        if (d > MAX_EDIT_DISTANCE) {
+            return [
+                ...a.slice(0, start).map(value => ({ type: 'equal', value })),
+                ...a.slice(start, endA).map(value => ({ type: 'delete', value })),
+                ...b.slice(start, endB).map(value => ({ type: 'insert', value })),
+                ...a.slice(endA).map(value => ({ type: 'equal', value })),
+            ];
+        }
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[start + x] === b[start + y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the trace backwards to recover the edits.
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && previous[d + k - 1] < previous[d + k + 1]) ? k + 1 : k - 1;
+        const prevX = previous[d + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            middle.push({ type: 'equal', value: a[start + x - 1] });
+            x--;
+            y--;
+        }
+        if (x === prevX) {
+            middle.push({ type: 'insert', value: b[start + y - 1] });
+        } else {
+            middle.push({ type: 'delete', value: a[start + x - 1] });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    while (x > 0 && y > 0) {
+        middle.push({ type: 'equal', value: a[start + x - 1] });
+        x--;
+        y--;
+    }
+    middle.reverse();
+
+    return [
+        ...a.slice(0, start).map(value => ({ type: 'equal', value })),
+        ...middle,
+        ...a.slice(endA).map(value => ({ type: 'equal', value })),
+    ];
+}
+
+/**
+ * Splits a text into lines, accepting both LF and CRLF line endings.
+ * @param {string} text The text.
+ * @returns {Array<string>}
+ */
+export function splitLines(text) {
+    return text === '' ? [] : text.split(/\r?\n/);
+}
+
+/**
+ * Computes the changes within a line, word by word.
+ * @param {string} before The old line.
+ * @param {string} after The new line.
+ * @returns {{before: Array<{text: string, changed: boolean}>, after: Array<{text: string, changed: boolean}>}}
+ *          Each line as a list of runs; `changed` runs are the ones to highlight.
+ */
+export function diffWords(before, after) {
+    const tokenize = text => text.match(/\w+|\s+|[^\w\s]/g) || [];
+    const result = { before: [], after: [] };
+    const push = (side, text, changed) => {
+        const runs = result[side];
+        const last = runs[runs.length - 1];
+        if (last && last.changed === changed) {
+            last.text += text;
+        } else {
+            runs.push({ text, changed });
+        }
+    };
+    for (const edit of myersDiff(tokenize(before), tokenize(after))) {
+        if (edit.type !== 'insert') push('before', edit.value, edit.type === 'delete');
+        if (edit.type !== 'delete') push('after', edit.value, edit.type === 'insert');
+    }
+    return result;
+}
+
+/**
+ * Lines the two texts up side by side. Runs of deleted and inserted lines are paired into
+ * 'change' rows (with word-level highlights); leftover lines appear on one side only.
+ * Unchanged lines further than `context` lines away from a change are folded into
+ * 'collapsed' rows, which keep the folded rows so a view can expand them.
+ *
+ * @param {string} before The original text.
+ * @param {string} after The new text.
+ * @param {{context?: number}} [options] How many unchanged lines to keep around each change (default 3).
+ * @returns {{rows: Array<object>, stats: {added: number, removed: number, changed: number}}}
+ *          Rows are `{type: 'equal'|'change'|'delete'|'insert', left, right}` where each side is
+ *          `{number, text, runs?}` or null, or `{type: 'collapsed', rows}`.
+ */
+export function buildSideBySide(before, after, options = {}) {
+    const context = options.context ?? 3;
+    const edits = myersDiff(splitLines(before), splitLines(after));
+    const stats = { added: 0, removed: 0, changed: 0 };
+
+    const rows = [];
+    let leftNumber = 1;
+    let rightNumber = 1;
+    for (let i = 0; i < edits.length;) {
+        if (edits[i].type === 'equal') {
+            rows.push({
+                type: 'equal',
+                left: { number: leftNumber++, text: edits[i].value },
+                right: { number: rightNumber++, text: edits[i].value },
+            });
+            i++;
+            continue;
+        }
+
+        const deleted = [];
+        const inserted = [];
+        while (i < edits.length && edits[i].type !== 'equal') {
+            (edits[i].type === 'delete' ? deleted : inserted).push(edits[i].value);
+            i++;
+        }
+        for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+            const left = j < deleted.length ? { number: leftNumber++, text: deleted[j] } : null;
+            const right = j < inserted.length ? { number: rightNumber++, text: inserted[j] } : null;
+            if (left && right) {
+                const runs = diffWords(left.text, right.text);
+                left.runs = runs.before;
+                right.runs = runs.after;
+                rows.push({ type: 'change', left, right });
+                stats.changed++;
+            } else if (left) {
+                rows.push({ type: 'delete', left, right: null });
+                stats.removed++;
+            } else {
+                rows.push({ type: 'insert', left: null, right });
+                stats.added++;
+            }
+        }
+    }
+
+    return { rows: collapseUnchanged(rows, context), stats };
+}
+
+function collapseUnchanged(rows, context) {
+    const result = [];
+    let i = 0;
+    while (i < rows.length) {
+        if (rows[i].type !== 'equal') {
+            result.push(rows[i++]);
+            continue;
+        }
+        let end = i;
+        while (end < rows.length && rows[end].type === 'equal') end++;
+
+        // Keep `context` lines next to each neighbouring change.
+        const keepBefore = i === 0 ? 0 : context;
+        const keepAfter = end === rows.length ? 0 : context;
+        const run = rows.slice(i, end);
+        if (run.length > keepBefore + keepAfter + 1) {
+            result.push(...run.slice(0, keepBefore));
+            result.push({ type: 'collapsed', rows: run.slice(keepBefore, run.length - keepAfter) });
+            result.push(...run.slice(run.length - keepAfter));
+        } else {
+            result.push(...run);
+        }
+        i = end;
+    }
+    return result;
+}
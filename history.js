@@ -0,0 +1,85 @@
+// history.js
+
+/**
+ * Records the state of every node in a tree so it can be put back later.
+ * Nodes keep their identity: restoring a snapshot reassigns fields on the same objects,
+ * which keeps ids (and therefore the selection) valid across undo and redo.
+ * @param {object} root The ROOT node of the tree.
+ * @returns {Array<object>} The snapshot.
+ */
+export function captureTree(root) {
+    const entries = [];
+    (function walk(node) {
+        const fields = {};
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'children') continue;
+            if (key === 'data' && value) {
+                fields.data = { ...value, properties: value.properties ? { ...value.properties } : value.properties };
+            } else {
+                fields[key] = value;
+            }
+        }
+        entries.push({ node, fields, children: node.children.slice() });
+        node.children.forEach(walk);
+    })(root);
+    return entries;
+}
+
+/**
+ * Restores a snapshot taken with `captureTree`.
+ * @param {Array<object>} entries The snapshot.
+ */
+export function restoreTree(entries) {
+    for (const { node, fields, children } of entries) {
+        for (const key of Object.keys(node)) {
+            if (key !== 'children' && !(key in fields)) delete node[key];
+        }
+        for (const [key, value] of Object.entries(fields)) {
+            node[key] = key === 'data' && value
+                ? { ...value, properties: value.properties ? { ...value.properties } : value.properties }
+                : value;
+        }
+        node.children = children.slice();
+    }
+}
+
+/**
+ * Creates an undo/redo history of commands. A command is an object with a `label`
+ * and `undo()` / `redo()` methods; it is pushed after it has been applied once.
+ * @param {number} [limit=200] The maximum number of commands kept for undo.
+ * @returns {object} The history API.
+ */
+export function createHistory(limit = 200) {
+    const undoStack = [];
+    const redoStack = [];
+
+    return {
+        push(command) {
+            undoStack.push(command);
+            if (undoStack.length > limit) undoStack.shift();
+            redoStack.length = 0;
+        },
+        undo() {
+            const command = undoStack.pop();
+            if (!command) return null;
+            command.undo();
+            redoStack.push(command);
+            return command;
+        },
+        redo() {
+            const command = redoStack.pop();
+            if (!command) return null;
+            command.redo();
+            undoStack.push(command);
+            return command;
+        },
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+        },
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        undoLabel: () => (undoStack.length ? undoStack[undoStack.length - 1].label : null),
+        redoLabel: () => (redoStack.length ? redoStack[redoStack.length - 1].label : null),
+    };
+}
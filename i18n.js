@@ -0,0 +1,114 @@
+// i18n.js
+
+import en from './locales/en.js';
+import ja from './locales/ja.js';
+
+/**
+ * Messages are looked up by key in the catalog of the current language, e.g.
+ * `t('layout.matched', { count: 3 })` with `'layout.matched': 'Matched: {count} input(s)'`.
+ * A key missing from a catalog falls back to English, and a key missing there too is shown as is.
+ */
+
+export const CATALOGS = { en, ja };
+
+/** The languages the switcher offers, each named in its own language. */
+export const LANGUAGES = { en: 'English', ja: '日本語' };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+let language = DEFAULT_LANGUAGE;
+
+/**
+ * Picks the UI language: the stored choice if there is a catalog for it, otherwise the first
+ * browser language with one (only the base tag counts, so "ja-JP" gives "ja"), otherwise English.
+ * @param {string|null} stored The language saved by the switcher, if any.
+ * @param {Array<string>} [preferred] The browser's languages, e.g. `navigator.languages`.
+ * @returns {string}
+ */
+export function detectLanguage(stored, preferred = []) {
+    if (stored && CATALOGS[stored]) return stored;
+    for (const tag of preferred) {
+        const base = String(tag).toLowerCase().split('-')[0];
+        if (CATALOGS[base]) return base;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Sets the language `t` translates to.
+ * @param {string} lang A key of `CATALOGS`.
+ * @throws {Error} If there is no catalog for the language.
+ */
+export function setLanguage(lang) {
+    if (!CATALOGS[lang]) throw new Error(`No messages for the language "${lang}".`);
+    language = lang;
+}
+
+/**
+ * @returns {string} The current language.
+ */
+export function getLanguage() {
+    return language;
+}
+
+/**
+ * Translates a message key. `{name}` in the message is replaced with `params.name`; braces
+ * without a matching parameter are kept, so a message can show e.g. the `{n}` of batch renaming.
+ * @param {string} key The message key.
+ * @param {object} [params] Values to insert.
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    return fill(CATALOGS[language][key] ?? en[key] ?? key, params);
+}
+
+function fill(message, params) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * The English text of a message whatever the UI language, for error messages that also end
+ * up in logs and on the command line.
+ * @param {string} key The message key.
+ * @param {object} [params] Values to insert.
+ * @returns {string}
+ */
+export function englishMessage(key, params = {}) {
+    return fill(en[key] ?? key, params);
+}
+
+/**
+ * An error whose message is a catalog entry, for modules that report problems to the user
+ * without knowing the UI language. `message` is the English text, for logs and the command
+ * line; the page shows `t(error.messageKey, error.params)` instead.
+ */
+export class MessageError extends Error {
+    /**
+     * @param {string} messageKey The message key.
+     * @param {object} [params] Values to insert.
+     */
+    constructor(messageKey, params = {}) {
+        super(englishMessage(messageKey, params));
+        this.name = 'MessageError';
+        this.messageKey = messageKey;
+        this.params = params;
+    }
+}
+
+/**
+ * Translates the static text of a page: elements with `data-i18n` get the message as their
+ * text, and `data-i18n-title`, `data-i18n-placeholder` and `data-i18n-aria-label` set those
+ * attributes.
+ * @param {Document} doc The document to translate.
+ */
+export function translateDocument(doc) {
+    doc.documentElement.lang = language;
+    doc.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    for (const attribute of ['title', 'placeholder', 'aria-label']) {
+        doc.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    }
+}
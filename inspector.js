@@ -0,0 +1,190 @@
+// inspector.js
+
+// Widgets for Fusion's INPID_InputControl values.
+const CONTROL_WIDGETS = {
+    SliderControl: 'slider',
+    ScrewControl: 'slider',
+    RangeControl: 'slider',
+    CheckboxControl: 'checkbox',
+    ComboControl: 'combo',
+    ComboIDControl: 'combo',
+    MultiButtonControl: 'combo',
+    MultiButtonIDControl: 'combo',
+    TextEditControl: 'text',
+    FileControl: 'text',
+    ColorControl: 'color',
+    ColorWheelControl: 'color',
+    OffsetControl: 'point',
+    ButtonControl: 'button',
+    LabelControl: 'label',
+    SeparatorControl: 'separator',
+    ImageControl: 'image',
+    GradientControl: 'gradient',
+    SplineControl: 'spline',
+};
+
+// Widgets for the stored value of a tool input, when no UserControls entry describes it.
+const VALUE_WIDGETS = {
+    Number: 'slider',
+    String: 'text',
+    StyledText: 'text',
+    Boolean: 'checkbox',
+    Point: 'point',
+    FuID: 'combo',
+    Gradient: 'gradient',
+};
+
+// Image inputs most tools have; they show as connections, not as controls.
+const IMAGE_INPUTS = new Set(['Input', 'Background', 'Foreground', 'EffectMask', 'Image', 'Image1', 'Image2']);
+
+// Inputs every tool has, which are usually left at their defaults and so have no stored value.
+const COMMON_INPUTS = {
+    Blend: 'slider',
+    ApplyMode: 'combo',
+    ProcessWhenBlendIs00: 'checkbox',
+    ProcessRed: 'checkbox',
+    ProcessGreen: 'checkbox',
+    ProcessBlue: 'checkbox',
+    ProcessAlpha: 'checkbox',
+    Center: 'point',
+    Comments: 'text',
+};
+
+const COLOR_SOURCE_REGEX = /(?:Red|Green|Blue|Alpha)\d*$/;
+
+const unquote = value => (/^".*"$/s.test(value) ? value.slice(1, -1).replace(/\\(.)/g, '$1') : undefined);
+
+/**
+ * Reads a user control created in the editor (its UserControls fields as Lua source text)
+ * in the form the parser gives for a tool's own controls.
+ */
+function readCreatedControl(userControl) {
+    const value = key => {
+        const field = userControl.fields.find(item => item.key === key);
+        return field ? unquote(field.value) : undefined;
+    };
+    const options = userControl.fields
+        .filter(field => field.key === null)
+        .map(field => /CCS_AddString\s*=\s*"((?:[^"\\]|\\.)*)"/.exec(field.value))
+        .filter(Boolean)
+        .map(match => match[1].replace(/\\(.)/g, '$1'));
+    return { inputControl: value('INPID_InputControl'), dataType: value('LINKID_DataType'), name: value('LINKS_Name'), options };
+}
+
+/**
+ * Works out roughly which widget Fusion shows for a published control: from the
+ * `INPID_InputControl` of a UserControls entry, else from the value stored in the tool,
+ * else from the InstanceInput's own properties.
+ * @param {object} node A CONTROL node.
+ * @param {Array<object>} tools The tools list returned by the parser.
+ * @returns {{widget: string, name: string|undefined, options: Array<string>}}
+ *          `widget` is one of slider, checkbox, combo, text, color, point, button, label,
+ *          separator, image, gradient, spline or other; `name` is the control's own label.
+ */
+export function inferWidget(node, tools) {
+    const { SourceOp, Source = '' } = node.data.properties;
+    const tool = tools.find(item => item.name === SourceOp);
+    const control = node.userControl ? readCreatedControl(node.userControl) : tool && tool.controls ? tool.controls[Source] : null;
+    if (control && control.inputControl) {
+        return { widget: CONTROL_WIDGETS[control.inputControl] || 'other', name: control.name, options: control.options };
+    }
+
+    const input = tool ? tool.inputs.find(item => item.id === Source) : null;
+    if (input && input.connectedTo && IMAGE_INPUTS.has(Source)) return { widget: 'image', name: undefined, options: [] };
+    if (COLOR_SOURCE_REGEX.test(Source)) return { widget: 'color', name: undefined, options: [] };
+    if (input && input.valueType && VALUE_WIDGETS[input.valueType]) {
+        return { widget: VALUE_WIDGETS[input.valueType], name: undefined, options: [] };
+    }
+    if (control && control.dataType) {
+        const byType = { Number: 'slider', Text: 'text', Point: 'point', Image: 'image', FuID: 'combo' };
+        return { widget: byType[control.dataType] || 'other', name: control.name, options: control.options };
+    }
+
+    const properties = node.data.properties;
+    if ('DefaultX' in properties || 'DefaultY' in properties) return { widget: 'point', name: undefined, options: [] };
+    if (IMAGE_INPUTS.has(Source)) return { widget: 'image', name: undefined, options: [] };
+    if (COMMON_INPUTS[Source]) return { widget: COMMON_INPUTS[Source], name: undefined, options: [] };
+    if (properties.Default !== undefined && !Number.isNaN(Number(properties.Default))) return { widget: 'slider', name: undefined, options: [] };
+    return { widget: 'other', name: undefined, options: [] };
+}
+
+function describeControl(node, tools) {
+    const { widget, name, options } = inferWidget(node, tools);
+    const properties = node.data.properties;
+    return {
+        kind: 'control',
+        id: node.id,
+        name: properties.Name || name || properties.Source || node.data.key,
+        widget,
+        options,
+        sources: [properties.Source],
+        default: properties.Default,
+    };
+}
+
+/**
+ * Consecutive controls with the same ControlGroup from the same tool are one widget in
+ * Fusion (e.g. the Red, Green and Blue of a color); merges them into their first control.
+ */
+function mergeControlGroups(items, nodes) {
+    const merged = [];
+    items.forEach((item, index) => {
+        const previous = merged[merged.length - 1];
+        const node = nodes[index];
+        const group = node && node.type === 'CONTROL' ? node.data.properties.ControlGroup : undefined;
+        if (item.kind === 'control' && group !== undefined && previous && previous.kind === 'control'
+            && previous.controlGroup === group && previous.sourceOp === node.data.properties.SourceOp) {
+            previous.sources.push(...item.sources);
+            if (item.widget === 'color') previous.widget = 'color';
+            return;
+        }
+        merged.push(group !== undefined ? { ...item, controlGroup: group, sourceOp: node.data.properties.SourceOp } : item);
+    });
+    return merged.map(({ controlGroup, sourceOp, ...item }) => item);
+}
+
+function describeChildren(nodes, tools) {
+    const visible = nodes.filter(node => !node.hidden && node.type !== 'PAGE');
+    const items = visible.map(node => {
+        if (node.type === 'GROUP') {
+            return { kind: 'group', id: node.id, name: node.name, collapsed: !!node.collapsed, items: describeChildren(node.children, tools) };
+        }
+        if (node.type === 'SEPARATOR') return { kind: 'separator', id: node.id };
+        return describeControl(node, tools);
+    });
+    return mergeControlGroups(items, visible);
+}
+
+/**
+ * Describes what the Fusion Inspector would show for a macro: one tab per page, each with
+ * its groups (nested), separators and controls in order. Items before the first page marker
+ * go on the default "Controls" page, which Fusion leaves out when it is empty.
+ * @param {object} tree The ROOT node.
+ * @param {Array<object>} tools The tools list returned by the parser.
+ * @returns {Array<{name: string, items: Array<object>}>} The pages. Items are
+ *          `{kind: 'group', id, name, collapsed, items}`, `{kind: 'separator', id}` or
+ *          `{kind: 'control', id, name, widget, options, sources, default}`.
+ */
+export function buildInspector(tree, tools) {
+    const pages = [{ name: 'Controls', nodes: [] }];
+    for (const node of tree.children) {
+        if (node.type === 'PAGE') {
+            pages.push({ name: node.name, nodes: [] });
+        } else {
+            pages[pages.length - 1].nodes.push(node);
+        }
+    }
+
+    const described = pages.map(page => ({ name: page.name, items: describeChildren(page.nodes, tools) }));
+    // Pages with the same name are one tab in Fusion.
+    const byName = new Map();
+    for (const page of described) {
+        if (byName.has(page.name)) {
+            byName.get(page.name).items.push(...page.items);
+        } else {
+            byName.set(page.name, page);
+        }
+    }
+    const result = Array.from(byName.values());
+    return result.length > 1 && result[0].name === 'Controls' && result[0].items.length === 0 ? result.slice(1) : result;
+}
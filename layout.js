@@ -0,0 +1,272 @@
+// layout.js
+
+/**
+ * A layout spec describes the structure of a macro's controls independently of the file:
+ *
+ *   {
+ *     "pages": [
+ *       { "name": "Controls", "items": [
+ *           "Input1",
+ *           { "input": "Input2", "name": "Glow Gain" },
+ *           { "separator": true },
+ *           { "group": "Glow", "items": ["Input3", "Input4"] }
+ *       ] },
+ *       { "name": "Advanced", "items": [{ "group": "Extra", "collapsed": true, "items": ["Input5"] }] }
+ *     ],
+ *     "renames": { "Input6": "Mode" }
+ *   }
+ *
+ * The first page is Fusion's default page when it is named "Controls"; any other page
+ * becomes a page marker. `{ "items": [...] }` is shorthand for a single "Controls" page.
+ *
+ * An input entry may also name the tool input it publishes, as exported templates do:
+ *
+ *   { "input": "Input2", "sourceOp": "ColorCorrector1", "source": "MasterRGBGain", "name": "Glow Gain" }
+ *
+ * Such entries are matched by `sourceOp`/`source` first, so a template still fits after the
+ * macro was re-exported from Fusion and its InputN keys were renumbered.
+ */
+
+import { MessageError } from './i18n.js';
+
+const DEFAULT_PAGE_NAME = 'Controls';
+
+function describeNode(node, options) {
+    if (node.type === 'CONTROL') {
+        const { Name: name, SourceOp: sourceOp, Source: source } = node.data.properties;
+        if (options.sources && sourceOp && source) {
+            return name ? { input: node.data.key, sourceOp, source, name } : { input: node.data.key, sourceOp, source };
+        }
+        return name ? { input: node.data.key, name } : node.data.key;
+    }
+    if (node.type === 'SEPARATOR') {
+        return { separator: true };
+    }
+    if (node.type === 'GROUP') {
+        const group = { group: node.name, items: node.children.filter(child => !child.hidden).map(child => describeNode(child, options)) };
+        if (node.collapsed) group.collapsed = true;
+        return group;
+    }
+    return null;
+}
+
+/**
+ * Describes the current tree as a layout spec. Hidden inputs (MainInputN) are left out.
+ * @param {object} tree The ROOT node.
+ * @param {{sources?: boolean}} [options] With `sources`, each input entry also records the
+ *        SourceOp/Source it publishes, making the spec a template that survives renumbered keys.
+ * @returns {{pages: Array<{name: string, items: Array}>}}
+ */
+export function exportLayout(tree, options = {}) {
+    const pages = [{ name: DEFAULT_PAGE_NAME, items: [] }];
+    for (const node of tree.children) {
+        if (node.type === 'PAGE') {
+            pages.push({ name: node.name, items: [] });
+        } else if (!node.hidden) {
+            pages[pages.length - 1].items.push(describeNode(node, options));
+        }
+    }
+    if (pages.length > 1 && pages[0].items.length === 0) pages.shift();
+    return { pages };
+}
+
+function normalizePages(layout) {
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+        throw new MessageError('layout.error.notObject');
+    }
+    if (Array.isArray(layout.pages)) {
+        layout.pages.forEach((page, index) => {
+            if (!page || typeof page.name !== 'string' || page.name.trim() === '') {
+                throw new MessageError('layout.error.pageName', { page: index + 1 });
+            }
+            if (page.items !== undefined && !Array.isArray(page.items)) {
+                throw new MessageError('layout.error.pageItems', { page: page.name });
+            }
+        });
+        return layout.pages;
+    }
+    if (Array.isArray(layout.items)) {
+        return [{ name: DEFAULT_PAGE_NAME, items: layout.items }];
+    }
+    throw new MessageError('layout.error.noItems');
+}
+
+const sourceKey = (sourceOp, source) => `${sourceOp}\u0000${source}`;
+
+/**
+ * Collects the SourceOp/Source pairs named anywhere in the layout.
+ */
+function collectLayoutSources(pages) {
+    const sources = new Set();
+    (function walk(items) {
+        for (const item of items || []) {
+            if (!item || typeof item !== 'object') continue;
+            if (typeof item.sourceOp === 'string' && typeof item.source === 'string') sources.add(sourceKey(item.sourceOp, item.source));
+            if (Array.isArray(item.items)) walk(item.items);
+        }
+    })(pages.flatMap(page => page.items || []));
+    return sources;
+}
+
+function collectNodes(tree) {
+    const nodes = [];
+    (function walk(node) {
+        if (node.type !== 'ROOT') nodes.push(node);
+        node.children.forEach(walk);
+    })(tree);
+    return nodes;
+}
+
+/**
+ * Rebuilds the tree so that it follows a layout spec.
+ *
+ * Inputs are matched by SourceOp/Source when the entry names them, otherwise by InstanceInput
+ * key. An entry whose tool input is gone falls back to its key only if the control under that
+ * key publishes a tool input the layout does not mention (e.g. a renamed tool).
+ * Existing groups are reused by name (keeping their AutoLabel keys) and existing separators
+ * are reused in order; anything else is created. Inputs of the macro that the layout does
+ * not mention are kept, appended at the end. Groups the layout does not mention are removed.
+ *
+ * @param {object} tree The ROOT node; it is modified in place.
+ * @param {object} layout The layout spec.
+ * @param {object} [options]
+ * @param {number} [options.firstId] The id of the first new node, so that ids stay unique across
+ *        the macros of a file. Defaults to one past the highest id in the tree.
+ * @returns {{placed: Array<string>, missing: Array<string>, unplaced: Array<string>, rekeyed: Array<{from: string, to: string}>, removedGroups: Array<string>}}
+ *          Keys that were placed, keys the layout names but the macro lacks, keys the layout left out,
+ *          layout keys that matched an input under a different key, and the names of the groups
+ *          that were removed.
+ * @throws {MessageError} If the layout is malformed or names an input twice.
+ */
+export function applyLayout(tree, layout, options = {}) {
+    const pages = normalizePages(layout);
+    const allNodes = collectNodes(tree);
+    const report = { placed: [], missing: [], unplaced: [], rekeyed: [], removedGroups: [] };
+    const layoutSources = collectLayoutSources(pages);
+
+    const controls = new Map();
+    const controlsBySource = new Map();
+    const groupsByName = new Map();
+    const separators = [];
+    const usedKeys = new Set();
+    let nextId = 0;
+    for (const node of allNodes) {
+        nextId = Math.max(nextId, typeof node.id === 'number' ? node.id : 0);
+        if (node.data && node.data.key) usedKeys.add(node.data.key);
+        if (node.type === 'CONTROL') {
+            controls.set(node.data.key, node);
+            const { SourceOp, Source } = node.data.properties;
+            if (SourceOp && Source && !controlsBySource.has(sourceKey(SourceOp, Source))) {
+                controlsBySource.set(sourceKey(SourceOp, Source), node);
+            }
+        }
+        if (node.type === 'SEPARATOR') separators.push(node);
+        if (node.type === 'GROUP') {
+            if (!groupsByName.has(node.name)) groupsByName.set(node.name, []);
+            groupsByName.get(node.name).push(node);
+        }
+    }
+    nextId = options.firstId ?? nextId + 1;
+
+    const placed = new Set();
+    const nodesByLayoutKey = new Map();
+    let separatorCounter = 1;
+    const newSeparatorKey = () => {
+        while (usedKeys.has(`Separator${separatorCounter}`)) separatorCounter++;
+        const key = `Separator${separatorCounter}`;
+        usedKeys.add(key);
+        return key;
+    };
+
+    function findControl(key, sourceOp, source) {
+        if (typeof sourceOp !== 'string' || typeof source !== 'string') return controls.get(key);
+        const bySource = controlsBySource.get(sourceKey(sourceOp, source));
+        if (bySource) return bySource;
+        const byKey = controls.get(key);
+        const { SourceOp, Source } = byKey ? byKey.data.properties : {};
+        return byKey && !layoutSources.has(sourceKey(SourceOp, Source)) ? byKey : undefined;
+    }
+
+    function placeControl(key, name, parent, sourceOp, source) {
+        const node = findControl(key, sourceOp, source);
+        if (!node) {
+            report.missing.push(key);
+            return null;
+        }
+        if (placed.has(node.data.key)) {
+            throw new MessageError('layout.error.duplicate', { input: key });
+        }
+        placed.add(node.data.key);
+        report.placed.push(node.data.key);
+        nodesByLayoutKey.set(key, node);
+        if (node.data.key !== key) report.rekeyed.push({ from: key, to: node.data.key });
+        if (typeof name === 'string' && name !== '') node.data.properties.Name = name;
+        node.parent = parent;
+        node.children = node.children || [];
+        return node;
+    }
+
+    function buildItems(items, parent) {
+        const children = [];
+        for (const item of items || []) {
+            let node = null;
+            if (typeof item === 'string') {
+                node = placeControl(item, null, parent);
+            } else if (item && typeof item === 'object' && typeof item.input === 'string') {
+                node = placeControl(item.input, item.name, parent, item.sourceOp, item.source);
+            } else if (item && typeof item === 'object' && item.separator) {
+                node = separators.shift() || { id: nextId++, type: 'SEPARATOR', children: [], data: { key: newSeparatorKey() } };
+                node.parent = parent;
+            } else if (item && typeof item === 'object' && typeof item.group === 'string') {
+                const existing = groupsByName.get(item.group);
+                node = (existing && existing.shift()) || { id: nextId++, type: 'GROUP', name: item.group, children: [] };
+                node.parent = parent;
+                if (item.collapsed !== undefined) node.collapsed = !!item.collapsed;
+                node.children = buildItems(item.items, node);
+            } else {
+                throw new MessageError('layout.error.unknownItem', { item: JSON.stringify(item) });
+            }
+            if (node) children.push(node);
+        }
+        return children;
+    }
+
+    // Hidden inputs the layout does not place stay at the top, where the parser puts them.
+    const pageChildren = [];
+    pages.forEach((page, index) => {
+        if (index > 0 || page.name !== DEFAULT_PAGE_NAME) {
+            pageChildren.push({ id: nextId++, type: 'PAGE', name: page.name, parent: tree, children: [] });
+        }
+        pageChildren.push(...buildItems(page.items, tree));
+    });
+
+    const hidden = [];
+    const leftovers = [];
+    for (const [key, node] of controls) {
+        if (placed.has(key)) continue;
+        node.parent = tree;
+        if (node.hidden) {
+            hidden.push(node);
+        } else {
+            leftovers.push(node);
+            report.unplaced.push(key);
+        }
+    }
+    tree.children = [...hidden, ...pageChildren, ...leftovers];
+    for (const groups of groupsByName.values()) {
+        report.removedGroups.push(...groups.map(group => group.name));
+    }
+
+    if (layout.renames && typeof layout.renames === 'object') {
+        for (const [key, name] of Object.entries(layout.renames)) {
+            const node = nodesByLayoutKey.get(key) || controls.get(key);
+            if (node) {
+                node.data.properties.Name = String(name);
+            } else if (!report.missing.includes(key)) {
+                report.missing.push(key);
+            }
+        }
+    }
+
+    return report;
+}
@@ -0,0 +1,72 @@
+// links.js
+
+/**
+ * Expression links drive a tool input inside the macro from a macro control, e.g.
+ * `Blur1.XBlurSize = background_helper.MySlider * 2`. Links read from the file live on the
+ * tools (`input.expression`); links added or removed in the editor are kept per macro as
+ * edits, `{ "Blur1.XBlurSize": "background_helper.MySlider * 2" }`, where null removes the
+ * expression. The writer applies the edits to the tools' Inputs.
+ */
+
+const editKey = (toolName, inputId) => `${toolName}.${inputId}`;
+
+/**
+ * Returns the expression a tool input will have once the edits are written.
+ * @param {object} edits The macro's expression edits.
+ * @param {string} toolName The tool name.
+ * @param {object} input The tool input (`{id, expression?}`).
+ * @returns {string|null}
+ */
+export function effectiveExpression(edits, toolName, input) {
+    const key = editKey(toolName, input.id);
+    if (edits && key in edits) return edits[key];
+    return input.expression ?? null;
+}
+
+/**
+ * Lists every tool input that has an expression, in tool order; inputs that only get one from
+ * the edits (because the file has no entry for them yet) follow their tool's stored inputs.
+ * @param {Array<object>} tools The tools list returned by the parser.
+ * @param {object} edits The macro's expression edits.
+ * @returns {Array<{tool: string, input: string, expression: string, edited: boolean}>}
+ */
+export function listLinks(tools, edits = {}) {
+    const links = [];
+    for (const tool of tools) {
+        const ids = tool.inputs.map(input => input.id);
+        for (const key of Object.keys(edits)) {
+            const inputId = key.slice(tool.name.length + 1);
+            if (key.startsWith(`${tool.name}.`) && !ids.includes(inputId)) ids.push(inputId);
+        }
+        for (const id of ids) {
+            const input = tool.inputs.find(item => item.id === id) || { id };
+            const expression = effectiveExpression(edits, tool.name, input);
+            if (expression === null) continue;
+            links.push({ tool: tool.name, input: id, expression, edited: editKey(tool.name, id) in edits });
+        }
+    }
+    return links;
+}
+
+/**
+ * Returns new edits with one input's expression set, or removed when `expression` is null.
+ * An edit that puts back what the file already has is dropped.
+ * @param {object} edits The macro's expression edits (left unchanged).
+ * @param {Array<object>} tools The tools list returned by the parser.
+ * @param {string} toolName The tool name.
+ * @param {string} inputId The input ID on that tool.
+ * @param {string|null} expression The expression, or null to remove the link.
+ * @returns {object} The new edits.
+ */
+export function setLink(edits, tools, toolName, inputId, expression) {
+    const next = { ...edits };
+    const tool = tools.find(item => item.name === toolName);
+    const input = tool ? tool.inputs.find(item => item.id === inputId) : null;
+    const original = input && input.expression !== undefined ? input.expression : null;
+    if (expression === original) {
+        delete next[editKey(toolName, inputId)];
+    } else {
+        next[editKey(toolName, inputId)] = expression;
+    }
+    return next;
+}
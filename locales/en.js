@@ -0,0 +1,349 @@
+// locales/en.js
+
+// English messages. Every key of the UI is defined here; other languages fall back to these.
+export default {
+    'app.title': 'DaVinci Resolve Macro Editor',
+
+    'batchRename.case': 'Case',
+    'batchRename.case.keep': 'Keep',
+    'batchRename.case.lower': 'lower case',
+    'batchRename.case.title': 'Title Case',
+    'batchRename.case.upper': 'UPPER CASE',
+    'batchRename.controls': 'Controls',
+    'batchRename.digits': 'Digits',
+    'batchRename.emptyName': 'The new name is empty.',
+    'batchRename.error.numbering': 'The numbering start and step must be numbers, and the digits a whole number of at least 1.',
+    'batchRename.error.pattern': 'The find pattern is not a valid regular expression: {message}',
+    'batchRename.find': 'Find',
+    'batchRename.find.placeholder': 'Leave empty to rename every item',
+    'batchRename.from': 'Current name',
+    'batchRename.groups': 'Groups',
+    'batchRename.hint': 'Use {n} in the replacement, prefix or suffix for a running number.',
+    'batchRename.ignoreCase': 'Ignore case',
+    'batchRename.items': 'Items',
+    'batchRename.nothing': 'No items to rename.',
+    'batchRename.prefix': 'Prefix',
+    'batchRename.regex': 'Regular expression ($1 inserts a group)',
+    'batchRename.replace': 'Replace with',
+    'batchRename.scope.all': 'Whole list',
+    'batchRename.scope.selection': 'Selected items',
+    'batchRename.start': 'Number from',
+    'batchRename.step': 'Step',
+    'batchRename.suffix': 'Suffix',
+    'batchRename.summary': '{changed} of {total} item(s) will be renamed.',
+    'batchRename.to': 'New name',
+
+    'clipboard.cutReferences': 'These expressions inside the macro reference the cut input(s) and will break unless they are pasted back into this macro:\n{lines}\n\nCut anyway?',
+    'clipboard.error.format': 'The clipboard does not hold controls copied in the editor.',
+    'clipboard.error.unknownItem': 'Unrecognized clipboard item: {item}',
+    'clipboard.error.version': 'The clipboard was written by another version of the editor.',
+    'clipboard.missing': 'These inputs are not in this macro and were left out:\n{inputs}',
+
+    'command.addPage': 'Add Page',
+    'command.addSeparator': 'Add Separator',
+    'command.batchRename': 'Batch Rename',
+    'command.changeLabelHost': 'Change Label Host',
+    'command.collapseByDefault': 'Collapse by Default',
+    'command.cut': 'Cut',
+    'command.delete': 'Delete',
+    'command.expandByDefault': 'Expand by Default',
+    'command.fix': 'Fix',
+    'command.fixAll': 'Fix All',
+    'command.groupSelection': 'Group Selection',
+    'command.hideDropDown': 'Hide Drop-down Button',
+    'command.importLayout': 'Import Layout',
+    'command.indent': 'Indent',
+    'command.linkInput': 'Link Input',
+    'command.move': 'Move',
+    'command.moveDown': 'Move Down',
+    'command.moveUp': 'Move Up',
+    'command.newControl': 'New Control',
+    'command.outdent': 'Outdent',
+    'command.paste': 'Paste',
+    'command.publishInput': 'Publish Input',
+    'command.removeLink': 'Remove Link',
+    'command.removeProperty': 'Remove Property',
+    'command.rename': 'Rename',
+    'command.setProperty': 'Set Property',
+    'command.showDropDown': 'Show Drop-down Button',
+    'command.ungroup': 'Ungroup',
+
+    'controls.macro': 'Macro',
+    'controls.macro.title': 'This file contains several macros. Choose the one to edit.',
+    'controls.title': 'Controls UI Structure',
+
+    'delete.alsoRemoved': 'Also removed: {items}.',
+    'delete.confirmControls': 'Unpublish {count} control(s)? They will be removed from the macro\'s inputs.',
+    'delete.confirmItems': 'Remove the selected item(s)?',
+    'delete.count.group': '{count} group(s)',
+    'delete.count.page': '{count} page(s)',
+    'delete.count.separator': '{count} separator(s)',
+    'delete.protected': '{keys} connect the macro\'s main image inputs and cannot be unpublished.',
+    'delete.reference': '  {input} uses {key}: {expression}',
+    'delete.references': 'Warning: these expressions inside the macro still reference the input and will break:\n{lines}',
+
+    'diagnostics.failed': 'The file could not be loaded: {errors} error(s) and {warnings} warning(s).',
+    'diagnostics.issue.group-count-overflow': '{label} ("{name}") holds {count} inputs according to LBLC_NumInputs, but only {items} item(s) follow it. The group takes the rest.',
+    'diagnostics.issue.label-count-missing': '{label} has no LBLC_NumInputs, so the number of inputs in its group is unknown. It is listed as a plain control.',
+    'diagnostics.issue.label-name-missing': '{label} has no LINKS_Name. It is listed as a plain control.',
+    'diagnostics.issue.no-inputs': '{macro} has no Inputs block, so it has no controls to edit.',
+    'diagnostics.issue.no-macro': 'No GroupOperator or MacroOperator block was found. Select the macro node in Fusion and copy it, or open the .setting file of a macro.',
+    'diagnostics.issue.no-published-inputs': 'The Inputs block of {macro} publishes no inputs, so it has no controls to edit.',
+    'diagnostics.loaded': 'The file was loaded with {errors} error(s) and {warnings} warning(s). Check that the list matches what Fusion shows.',
+    'diagnostics.position': 'Line {line}, column {column}',
+    'diagnostics.syntax.badEscape': 'Invalid escape sequence "{sequence}"',
+    'diagnostics.syntax.badHexEscape': '"\\x" must be followed by two hexadecimal digits',
+    'diagnostics.syntax.badKey': 'Table keys in brackets must be strings or numbers',
+    'diagnostics.syntax.badUnicodeEscape': '"\\u{" must be followed by a hexadecimal code point and "}"',
+    'diagnostics.syntax.expected': 'Expected "{expected}" but found {found}',
+    'diagnostics.syntax.expectedEnd': 'Expected "{expected}" but found end of file',
+    'diagnostics.syntax.expectedSeparator': 'Expected "," or "}" but found {found}',
+    'diagnostics.syntax.expectedSeparatorString': 'Expected "," or "}" but found a string',
+    'diagnostics.syntax.expectedString': 'Expected "{expected}" but found a string',
+    'diagnostics.syntax.trailing': 'Unexpected {found} after the end of the table',
+    'diagnostics.syntax.trailingString': 'Unexpected string after the end of the table',
+    'diagnostics.syntax.unexpected': 'Unexpected {found}',
+    'diagnostics.syntax.unexpectedCharacter': 'Unexpected character "{character}"',
+    'diagnostics.syntax.unexpectedEnd': 'Unexpected end of file',
+    'diagnostics.syntax.unexpectedString': 'Unexpected string',
+    'diagnostics.syntax.unmatchedBrace': 'Unmatched "{"',
+    'diagnostics.syntax.unterminatedLongBracket': 'Unterminated long bracket',
+    'diagnostics.syntax.unterminatedString': 'Unterminated string',
+    'diagnostics.title': 'File Problems',
+
+    'dialog.cancel': 'Cancel',
+    'dialog.close': 'Close',
+
+    'diff.collapsed': '⋯ {count} unchanged line(s) (click to show)',
+    'diff.noChanges': 'No changes.',
+    'diff.showChanges': 'Show Changes',
+    'diff.showOutput': 'Show Output',
+    'diff.summary': '{changed} changed, {added} added, {removed} removed line(s). Left: loaded file, right: output.',
+    'diff.toggle.title': 'Compare the generated output with the loaded file',
+
+    'group.defaultName': 'New Group',
+    'group.prompt': 'Enter group name:',
+
+    'help.title': 'Keyboard Shortcuts',
+
+    'host.apply': 'Apply',
+    'host.invalidName': 'Node names must start with a letter or underscore and contain only letters, digits and underscores.',
+    'host.kind': 'Store labels on',
+    'host.kind.helper': 'A helper node',
+    'host.kind.tool': 'An existing tool',
+    'host.name': 'Node name',
+    'host.nameTaken': 'A tool named {name} already exists in this file.',
+    'host.noTools': 'This macro has no tools to store the labels on.',
+    'host.position': 'Position',
+    'host.positionMissing': 'Enter the X and Y position of the helper node.',
+    'host.title': 'Label Host',
+    'host.title.title': 'Where the group labels and separators of this macro are stored',
+    'host.tool': 'Tool',
+    'host.type': 'Tool type',
+
+    'inspector.empty': 'Load a macro to preview how its controls appear in Fusion\'s Inspector.',
+    'inspector.pages': 'Pages',
+    'inspector.title': 'Inspector Preview',
+    'inspector.widget.gradient': 'gradient',
+    'inspector.widget.image': 'image input',
+    'inspector.widget.label': 'label',
+    'inspector.widget.separator': 'separator',
+    'inspector.widget.spline': 'spline',
+
+    'layout.applyFailed': 'The layout could not be applied:\n{message}',
+    'layout.error.duplicate': 'Input "{input}" appears more than once in the layout.',
+    'layout.error.noItems': 'The layout must contain a "pages" or "items" list.',
+    'layout.error.notObject': 'The layout must be an object with a "pages" or "items" list.',
+    'layout.error.pageItems': 'The "items" of page "{page}" must be a list.',
+    'layout.error.pageName': 'Page {page} needs a "name".',
+    'layout.error.unknownItem': 'Unrecognized layout item: {item}',
+    'layout.matched': 'Matched: {count} input(s)',
+    'layout.missing': 'Missing (in the layout but not in this macro): {keys}',
+    'layout.none': 'none',
+    'layout.otherMacro': 'Note: the layout was exported from "{macro}".',
+    'layout.readFailed': 'Could not read {filename}:\n{message}',
+    'layout.rekeyed': 'Matched under a new key: {keys}',
+    'layout.removedGroups': 'Removed groups (not in the layout; their inputs were kept at the end): {groups}',
+    'layout.unplaced': 'New (not in the layout, kept at the end): {keys}',
+
+    'links.prompt': 'Expression for {input} (for example background_helper.MySlider * 2). Leave empty to remove the link:',
+    'links.remove': 'Remove',
+    'links.title': 'Expression Links',
+    'links.title.title': 'Tool inputs driven by an expression, e.g. background_helper.MySlider * 2',
+
+    'list.page': '--- Page: {name} ---',
+    'list.separator': '--- Separator ---',
+
+    'load.clipboardEmpty': 'Clipboard is empty or contains no text.',
+    'load.clipboardFailed': 'Failed to read from clipboard. Please ensure you have granted clipboard access.',
+    'load.empty': 'The input is empty.',
+    'load.unsupported': 'The file could not be parsed. It may be in an unsupported format or damaged.',
+
+    'newControl.create': 'Create',
+    'newControl.default': 'Default',
+    'newControl.error.color': 'A color default must be #rrggbb or three numbers such as 1, 0.5, 0.',
+    'newControl.error.comboDefault': 'The default of a combo box is the number of an option, from 0 to {last}.',
+    'newControl.error.defaultNotNumber': 'The default must be a number.',
+    'newControl.error.maxNotNumber': 'The maximum must be a number.',
+    'newControl.error.minNotNumber': 'The minimum must be a number.',
+    'newControl.error.noName': 'Enter a name for the control.',
+    'newControl.error.noOptions': 'A combo box needs at least one option.',
+    'newControl.error.range': 'The minimum must be less than the maximum.',
+    'newControl.error.unknownType': 'Unknown control type "{type}".',
+    'newControl.hint.checkbox': '0 or 1',
+    'newControl.hint.color': '#ffffff',
+    'newControl.hint.combo': 'Option number, from 0',
+    'newControl.hint.slider': '0.5',
+    'newControl.hint.text': 'Text',
+    'newControl.max': 'Maximum',
+    'newControl.min': 'Minimum',
+    'newControl.name': 'Name',
+    'newControl.options': 'Options (one per line)',
+    'newControl.range': 'Range',
+    'newControl.tooltip': 'Tooltip',
+    'newControl.type.button': 'Button',
+    'newControl.type.checkbox': 'Checkbox',
+    'newControl.type.color': 'Color',
+    'newControl.type.combo': 'Combo Box',
+    'newControl.type.slider': 'Slider',
+    'newControl.type.text': 'Text',
+
+    'output.button.title': 'Output (Ctrl+Enter)',
+    'output.copied': 'Output copied to clipboard!',
+    'output.downloadFailed': 'Error generating file for download: {message}',
+    'output.failed': 'Error generating output: {message}',
+    'output.title': 'Generated Output',
+
+    'page.defaultName': 'New Page',
+    'page.prompt': 'Enter page name:',
+
+    'properties.add': 'Add Property',
+    'properties.add.key': 'Property',
+    'properties.add.value': 'Value',
+    'properties.collapsed': 'Collapsed by default',
+    'properties.dropDown': 'Show drop-down button',
+    'properties.empty': 'Select an item in the list to get started.',
+    'properties.exists': '{key} already exists. Edit its value above.',
+    'properties.invalidName': 'Property names must start with a letter or underscore and contain only letters, digits and underscores.',
+    'properties.key': 'Key',
+    'properties.name': 'Display Name',
+    'properties.notNumber': '{key} must be a number.',
+    'properties.pageReserved': 'Page is set by the page markers in the list. Use "Add Page" instead.',
+    'properties.remove': 'Remove {key}',
+    'properties.title': 'Properties',
+    'properties.type': 'Type',
+    'properties.valueMissing': 'Enter a value for the new property.',
+
+    'publish.alreadyPublished': '{input} is already published as {key}.',
+    'publish.namePrompt': 'Name for the published control (leave empty to use Fusion\'s default):',
+
+    'rename.prompt': 'Enter new name for "{name}":',
+
+    'session.error.mismatch': 'The saved session does not match its file.',
+    'session.error.version': 'The saved session was made by another version of the editor.',
+    'session.openFailed': 'Could not open the recent file: {message}',
+    'session.restore': 'Restore your last session?\n\n{session}',
+
+    'shortcut.clipboard': 'Copy, cut or paste the selection; pasted items go after it',
+    'shortcut.delete': 'Delete the selection',
+    'shortcut.expandCollapse': 'Expand or collapse a group; go to its first item or its parent',
+    'shortcut.focusEnds': 'Focus the first or last item',
+    'shortcut.group': 'Group the selection',
+    'shortcut.help': 'Show this list',
+    'shortcut.indent': 'Indent or outdent the selection',
+    'shortcut.move': 'Move the selection up or down',
+    'shortcut.moveFocus': 'Move focus; with Shift, extend the selection',
+    'shortcut.output': 'Output',
+    'shortcut.rename': 'Rename; with Shift, rename several items at once',
+    'shortcut.select': 'Select the focused item; with Ctrl, add it to or remove it from the selection',
+    'shortcut.selectAll': 'Select everything in the current group or page',
+    'shortcut.undo': 'Undo or redo',
+
+    'toolbar.addPage': 'Add Page',
+    'toolbar.addSeparator': 'Add Separator',
+    'toolbar.batchRename': 'Batch Rename',
+    'toolbar.batchRename.title': 'Rename the selection or the whole list with find/replace, prefix, suffix, case and numbering (Shift+F2)',
+    'toolbar.copy': 'Copy',
+    'toolbar.copy.title': 'Copy the selection, with the groups, separators and pages in it (Ctrl+C)',
+    'toolbar.cut': 'Cut',
+    'toolbar.cut.title': 'Copy the selection and remove it from the list (Ctrl+X)',
+    'toolbar.delete': 'Delete',
+    'toolbar.delete.title': 'Delete the selected items; controls are removed from the macro\'s inputs, groups together with their contents (Delete)',
+    'toolbar.exportLayout': 'Export Layout',
+    'toolbar.exportLayout.title': 'Save the pages, groups and order of the controls as a layout template',
+    'toolbar.group': 'Group Selection',
+    'toolbar.group.title': 'Group Selection (Ctrl+G)',
+    'toolbar.help.title': 'Keyboard shortcuts (?)',
+    'toolbar.importLayout': 'Import Layout',
+    'toolbar.importLayout.title': 'Apply a saved layout template to the loaded macro',
+    'toolbar.indent': '→ Indent',
+    'toolbar.indent.title': 'Indent (Tab)',
+    'toolbar.language.title': 'Language',
+    'toolbar.moveDown': '↓ Move Down',
+    'toolbar.moveDown.title': 'Move Down (Alt+↓)',
+    'toolbar.moveUp': '↑ Move Up',
+    'toolbar.moveUp.title': 'Move Up (Alt+↑)',
+    'toolbar.newControl': 'New Control',
+    'toolbar.newControl.title': 'Create a new control (slider, checkbox, combo box, text, button or color) on the label host',
+    'toolbar.open': 'Open .setting File',
+    'toolbar.outdent': '← Outdent',
+    'toolbar.outdent.title': 'Outdent (Shift+Tab)',
+    'toolbar.paste': 'Paste',
+    'toolbar.paste.title': 'Paste after the selection; inputs are matched to this macro\'s by tool and input (Ctrl+V)',
+    'toolbar.pasteFile': 'Paste from Clipboard',
+    'toolbar.recent': 'Recent Files…',
+    'toolbar.recent.title': 'Reopen a recently edited file together with its edits',
+    'toolbar.redo': '↷ Redo',
+    'toolbar.redo.title': 'Redo (Ctrl+Shift+Z)',
+    'toolbar.redoCommand.title': 'Redo {command} (Ctrl+Shift+Z)',
+    'toolbar.rename': 'Rename',
+    'toolbar.rename.title': 'Rename (F2)',
+    'toolbar.selectAll': 'Select All',
+    'toolbar.selectAll.title': 'Select everything in the current group or page; press again for the whole list (Ctrl+A)',
+    'toolbar.undo': '↶ Undo',
+    'toolbar.undo.title': 'Undo (Ctrl+Z)',
+    'toolbar.undoCommand.title': 'Undo {command} (Ctrl+Z)',
+    'toolbar.ungroup': 'Ungroup',
+    'toolbar.ungroup.title': 'Remove the selected groups or pages and keep their contents',
+
+    'tools.empty': 'Load a macro to list the tools inside it.',
+    'tools.enterInputToLink': 'Enter the ID of the tool input to link (for example "Angle").',
+    'tools.enterInputToPublish': 'Enter the ID of the tool input to publish (for example "Angle").',
+    'tools.expression': 'Expression: {expression}',
+    'tools.filter': 'Filter tools and inputs',
+    'tools.link': 'Link',
+    'tools.link.title': 'Drive this input from a macro control with an expression',
+    'tools.linked': '= Link',
+    'tools.otherInput': 'Other input ID',
+    'tools.publish': 'Publish',
+    'tools.title': 'Tool Inputs',
+    'tools.value': 'Value: {value}',
+
+    'validation.continueAnyway': 'Continue Anyway',
+    'validation.download': 'Download',
+    'validation.downloadAnyway': 'Download Anyway',
+    'validation.fix.new-key': 'Give it a new key',
+    'validation.fix.remove-group': 'Remove the group',
+    'validation.fix.remove-page': 'Remove the page',
+    'validation.fix.unpublish': 'Unpublish it',
+    'validation.fix.use-helper': 'Use a helper node instead',
+    'validation.issue.dangling-label': '{item} publishes the label {label}, which has no entry in {host} and will not exist after output.',
+    'validation.issue.duplicate-key': 'The key {key} is used by both {first} and {second}; Fusion keeps only one of them.',
+    'validation.issue.empty-group': 'The {item} is empty and would show as a label with nothing under it.',
+    'validation.issue.empty-page': 'The {item} has no controls, so Fusion will not show it.',
+    'validation.issue.missing-host': 'Group labels and separators are set to live on the tool "{tool}", which is not in the macro.',
+    'validation.issue.missing-tool': '{item} refers to the tool "{tool}", which is not in the macro.',
+    'validation.issue.no-source-op': '{item} has no SourceOp.',
+    'validation.issue.orphaned-label': '{host} has a label {label} that no group uses; it will be dropped from the output.',
+    'validation.item.control': '{key} ("{name}")',
+    'validation.item.group': 'group "{name}"',
+    'validation.item.page': 'page "{name}"',
+    'validation.item.separator': 'separator {key}',
+    'validation.none': 'No issues left.',
+    'validation.output': 'Output',
+    'validation.outputAnyway': 'Output Anyway',
+    'validation.select': 'Select in the list',
+    'validation.severity.error': 'error',
+    'validation.severity.warning': 'warning',
+    'validation.summary': 'Found {errors} error(s) and {warnings} warning(s) before {action}.',
+};
@@ -0,0 +1,349 @@
+// locales/ja.js
+
+// Japanese messages. Keys and {placeholders} match en.js.
+export default {
+    'app.title': 'DaVinci Resolve マクロエディター',
+
+    'batchRename.case': '大文字・小文字',
+    'batchRename.case.keep': 'そのまま',
+    'batchRename.case.lower': '小文字 (lower case)',
+    'batchRename.case.title': '先頭を大文字 (Title Case)',
+    'batchRename.case.upper': '大文字 (UPPER CASE)',
+    'batchRename.controls': 'コントロール',
+    'batchRename.digits': '桁数',
+    'batchRename.emptyName': '新しい名前が空です。',
+    'batchRename.error.numbering': '開始番号と増分は数値、桁数は 1 以上の整数で入力してください。',
+    'batchRename.error.pattern': '検索パターンが正しい正規表現ではありません: {message}',
+    'batchRename.find': '検索',
+    'batchRename.find.placeholder': '空欄ならすべての項目が対象',
+    'batchRename.from': '現在の名前',
+    'batchRename.groups': 'グループ',
+    'batchRename.hint': '置換後・接頭辞・接尾辞の {n} は連番になります。',
+    'batchRename.ignoreCase': '大文字と小文字を区別しない',
+    'batchRename.items': '対象',
+    'batchRename.nothing': '変更する項目がありません。',
+    'batchRename.prefix': '接頭辞',
+    'batchRename.regex': '正規表現（$1 でグループを挿入）',
+    'batchRename.replace': '置換後',
+    'batchRename.scope.all': 'リスト全体',
+    'batchRename.scope.selection': '選択した項目',
+    'batchRename.start': '開始番号',
+    'batchRename.step': '増分',
+    'batchRename.suffix': '接尾辞',
+    'batchRename.summary': '{total} 個中 {changed} 個の項目の名前が変わります。',
+    'batchRename.to': '新しい名前',
+
+    'clipboard.cutReferences': 'マクロ内の次の式が切り取る入力を参照しています。このマクロに貼り付け直さないと動かなくなります:\n{lines}\n\n切り取りますか？',
+    'clipboard.error.format': 'クリップボードにはエディターでコピーしたコントロールがありません。',
+    'clipboard.error.unknownItem': '認識できないクリップボードの項目です: {item}',
+    'clipboard.error.version': 'クリップボードの内容は別のバージョンのエディターで書き込まれています。',
+    'clipboard.missing': '次の入力はこのマクロに無いため、貼り付けませんでした:\n{inputs}',
+
+    'command.addPage': 'ページの追加',
+    'command.addSeparator': 'セパレーターの追加',
+    'command.batchRename': '名前の一括変更',
+    'command.changeLabelHost': 'ラベルの保存先の変更',
+    'command.collapseByDefault': '初期状態で折りたたむ',
+    'command.cut': '切り取り',
+    'command.delete': '削除',
+    'command.expandByDefault': '初期状態で展開する',
+    'command.fix': '修正',
+    'command.fixAll': 'すべて修正',
+    'command.groupSelection': 'グループ化',
+    'command.hideDropDown': 'ドロップダウンボタンを非表示',
+    'command.importLayout': 'レイアウトの読み込み',
+    'command.indent': 'インデント',
+    'command.linkInput': '入力のリンク',
+    'command.move': '移動',
+    'command.moveDown': '下へ移動',
+    'command.moveUp': '上へ移動',
+    'command.newControl': '新しいコントロール',
+    'command.outdent': 'アウトデント',
+    'command.paste': '貼り付け',
+    'command.publishInput': '入力の公開',
+    'command.removeLink': 'リンクの解除',
+    'command.removeProperty': 'プロパティの削除',
+    'command.rename': '名前の変更',
+    'command.setProperty': 'プロパティの変更',
+    'command.showDropDown': 'ドロップダウンボタンを表示',
+    'command.ungroup': 'グループ解除',
+
+    'controls.macro': 'マクロ',
+    'controls.macro.title': 'このファイルには複数のマクロがあります。編集するマクロを選んでください。',
+    'controls.title': 'コントロール UI の構成',
+
+    'delete.alsoRemoved': '同時に削除されるもの: {items}',
+    'delete.confirmControls': '{count} 個のコントロールの公開を解除しますか？マクロの入力から削除されます。',
+    'delete.confirmItems': '選択した項目を削除しますか？',
+    'delete.count.group': 'グループ {count} 個',
+    'delete.count.page': 'ページ {count} 個',
+    'delete.count.separator': 'セパレーター {count} 個',
+    'delete.protected': '{keys} はマクロのメイン画像入力につながっているため、公開を解除できません。',
+    'delete.reference': '  {input} が {key} を使用: {expression}',
+    'delete.references': '警告: マクロ内の次の式がこの入力を参照しているため、動かなくなります:\n{lines}',
+
+    'diagnostics.failed': 'ファイルを読み込めませんでした（エラー {errors} 件、警告 {warnings} 件）。',
+    'diagnostics.issue.group-count-overflow': 'LBLC_NumInputs によると {label}（「{name}」）には {count} 個の入力が入りますが、後に続く項目は {items} 個しかありません。残りはすべてこのグループに入れます。',
+    'diagnostics.issue.label-count-missing': '{label} に LBLC_NumInputs が無いため、グループ内の入力の数がわかりません。通常のコントロールとして表示します。',
+    'diagnostics.issue.label-name-missing': '{label} に LINKS_Name がありません。通常のコントロールとして表示します。',
+    'diagnostics.issue.no-inputs': '{macro} には Inputs ブロックが無いため、編集できるコントロールがありません。',
+    'diagnostics.issue.no-macro': 'GroupOperator または MacroOperator のブロックが見つかりませんでした。Fusion でマクロのノードを選択してコピーするか、マクロの .setting ファイルを開いてください。',
+    'diagnostics.issue.no-published-inputs': '{macro} の Inputs ブロックは入力を 1 つも公開していないため、編集できるコントロールがありません。',
+    'diagnostics.loaded': 'ファイルを読み込みましたが、エラー {errors} 件、警告 {warnings} 件があります。リストが Fusion の表示と合っているか確認してください。',
+    'diagnostics.position': '{line} 行 {column} 列',
+    'diagnostics.syntax.badEscape': '不正なエスケープシーケンス "{sequence}" です',
+    'diagnostics.syntax.badHexEscape': '"\\x" の後には 16 進数 2 桁が必要です',
+    'diagnostics.syntax.badKey': '角括弧で囲んだテーブルのキーは文字列か数値でなければなりません',
+    'diagnostics.syntax.badUnicodeEscape': '"\\u{" の後には 16 進数のコードポイントと "}" が必要です',
+    'diagnostics.syntax.expected': '"{expected}" があるはずの場所に {found} があります',
+    'diagnostics.syntax.expectedEnd': '"{expected}" があるはずの場所でファイルが終わっています',
+    'diagnostics.syntax.expectedSeparator': '"," または "}" があるはずの場所に {found} があります',
+    'diagnostics.syntax.expectedSeparatorString': '"," または "}" があるはずの場所に文字列があります',
+    'diagnostics.syntax.expectedString': '"{expected}" があるはずの場所に文字列があります',
+    'diagnostics.syntax.trailing': 'テーブルの終わりの後に予期しない {found} があります',
+    'diagnostics.syntax.trailingString': 'テーブルの終わりの後に予期しない文字列があります',
+    'diagnostics.syntax.unexpected': '予期しない {found} があります',
+    'diagnostics.syntax.unexpectedCharacter': '予期しない文字 "{character}" があります',
+    'diagnostics.syntax.unexpectedEnd': 'ファイルが途中で終わっています',
+    'diagnostics.syntax.unexpectedString': '予期しない文字列があります',
+    'diagnostics.syntax.unmatchedBrace': '"{" に対応する "}" がありません',
+    'diagnostics.syntax.unterminatedLongBracket': '長括弧 [[ ]] が閉じられていません',
+    'diagnostics.syntax.unterminatedString': '文字列が閉じられていません',
+    'diagnostics.title': 'ファイルの問題',
+
+    'dialog.cancel': 'キャンセル',
+    'dialog.close': '閉じる',
+
+    'diff.collapsed': '⋯ 変更のない {count} 行（クリックで表示）',
+    'diff.noChanges': '変更はありません。',
+    'diff.showChanges': '変更を表示',
+    'diff.showOutput': '出力を表示',
+    'diff.summary': '変更 {changed} 行、追加 {added} 行、削除 {removed} 行。左: 読み込んだファイル、右: 出力。',
+    'diff.toggle.title': '生成された出力を読み込んだファイルと比較',
+
+    'group.defaultName': '新しいグループ',
+    'group.prompt': 'グループ名を入力してください:',
+
+    'help.title': 'キーボードショートカット',
+
+    'host.apply': '適用',
+    'host.invalidName': 'ノード名は英字かアンダースコアで始まり、英数字とアンダースコアだけを含む必要があります。',
+    'host.kind': 'ラベルの保存先',
+    'host.kind.helper': 'ヘルパーノード',
+    'host.kind.tool': '既存のツール',
+    'host.name': 'ノード名',
+    'host.nameTaken': '{name} という名前のツールはこのファイルにすでにあります。',
+    'host.noTools': 'このマクロにはラベルを保存できるツールがありません。',
+    'host.position': '位置',
+    'host.positionMissing': 'ヘルパーノードの X と Y の位置を入力してください。',
+    'host.title': 'ラベルホスト',
+    'host.title.title': 'このマクロのグループラベルとセパレーターを保存する場所',
+    'host.tool': 'ツール',
+    'host.type': 'ツールの種類',
+
+    'inspector.empty': 'マクロを読み込むと、コントロールが Fusion のインスペクターでどう表示されるかをプレビューできます。',
+    'inspector.pages': 'ページ',
+    'inspector.title': 'インスペクターのプレビュー',
+    'inspector.widget.gradient': 'グラデーション',
+    'inspector.widget.image': '画像入力',
+    'inspector.widget.label': 'ラベル',
+    'inspector.widget.separator': 'セパレーター',
+    'inspector.widget.spline': 'スプライン',
+
+    'layout.applyFailed': 'レイアウトを適用できませんでした:\n{message}',
+    'layout.error.duplicate': '入力「{input}」がレイアウトに複数回出てきます。',
+    'layout.error.noItems': 'レイアウトには "pages" または "items" のリストが必要です。',
+    'layout.error.notObject': 'レイアウトは "pages" または "items" のリストを持つオブジェクトでなければなりません。',
+    'layout.error.pageItems': 'ページ「{page}」の "items" はリストでなければなりません。',
+    'layout.error.pageName': 'ページ {page} に "name" がありません。',
+    'layout.error.unknownItem': '認識できないレイアウトの項目です: {item}',
+    'layout.matched': '一致: {count} 個の入力',
+    'layout.missing': '不足（レイアウトにあってこのマクロに無いもの）: {keys}',
+    'layout.none': 'なし',
+    'layout.otherMacro': '注意: このレイアウトは「{macro}」から書き出されたものです。',
+    'layout.readFailed': '{filename} を読み込めませんでした:\n{message}',
+    'layout.rekeyed': '別のキーで一致: {keys}',
+    'layout.removedGroups': '削除したグループ（レイアウトに無いもの。中の入力は末尾に残しました）: {groups}',
+    'layout.unplaced': '新規（レイアウトに無く、末尾に残したもの）: {keys}',
+
+    'links.prompt': '{input} の式（例: background_helper.MySlider * 2）。空にするとリンクを解除します:',
+    'links.remove': '解除',
+    'links.title': 'エクスプレッションリンク',
+    'links.title.title': 'エクスプレッションで制御されるツール入力（例: background_helper.MySlider * 2）',
+
+    'list.page': '--- ページ: {name} ---',
+    'list.separator': '--- セパレーター ---',
+
+    'load.clipboardEmpty': 'クリップボードが空か、テキストが入っていません。',
+    'load.clipboardFailed': 'クリップボードを読み取れませんでした。クリップボードへのアクセスを許可しているか確認してください。',
+    'load.empty': '入力が空です。',
+    'load.unsupported': 'ファイルの解析に失敗しました。対応していない形式か、ファイルが破損している可能性があります。',
+
+    'newControl.create': '作成',
+    'newControl.default': '初期値',
+    'newControl.error.color': 'カラーの初期値は #rrggbb か、1, 0.5, 0 のような 3 つの数値で入力してください。',
+    'newControl.error.comboDefault': 'コンボボックスの初期値は選択肢の番号（0 から {last}）です。',
+    'newControl.error.defaultNotNumber': '初期値は数値で入力してください。',
+    'newControl.error.maxNotNumber': '最大値は数値で入力してください。',
+    'newControl.error.minNotNumber': '最小値は数値で入力してください。',
+    'newControl.error.noName': 'コントロールの名前を入力してください。',
+    'newControl.error.noOptions': 'コンボボックスには選択肢が 1 つ以上必要です。',
+    'newControl.error.range': '最小値は最大値より小さくしてください。',
+    'newControl.error.unknownType': '不明なコントロールの種類「{type}」です。',
+    'newControl.hint.checkbox': '0 または 1',
+    'newControl.hint.color': '#ffffff',
+    'newControl.hint.combo': '選択肢の番号（0 から）',
+    'newControl.hint.slider': '0.5',
+    'newControl.hint.text': 'テキスト',
+    'newControl.max': '最大値',
+    'newControl.min': '最小値',
+    'newControl.name': '名前',
+    'newControl.options': '選択肢（1 行に 1 つ）',
+    'newControl.range': '範囲',
+    'newControl.tooltip': 'ツールチップ',
+    'newControl.type.button': 'ボタン',
+    'newControl.type.checkbox': 'チェックボックス',
+    'newControl.type.color': 'カラー',
+    'newControl.type.combo': 'コンボボックス',
+    'newControl.type.slider': 'スライダー',
+    'newControl.type.text': 'テキスト',
+
+    'output.button.title': '出力 (Ctrl+Enter)',
+    'output.copied': '出力をクリップボードにコピーしました。',
+    'output.downloadFailed': 'ダウンロード用ファイルの生成中にエラーが発生しました: {message}',
+    'output.failed': '出力の生成中にエラーが発生しました: {message}',
+    'output.title': '生成された出力',
+
+    'page.defaultName': '新しいページ',
+    'page.prompt': 'ページ名を入力してください:',
+
+    'properties.add': 'プロパティを追加',
+    'properties.add.key': 'プロパティ',
+    'properties.add.value': '値',
+    'properties.collapsed': '初期状態で折りたたむ',
+    'properties.dropDown': 'ドロップダウンボタンを表示',
+    'properties.empty': 'リストの項目を選択してください。',
+    'properties.exists': '{key} はすでにあります。上の欄で値を編集してください。',
+    'properties.invalidName': 'プロパティ名は英字かアンダースコアで始まり、英数字とアンダースコアだけを含む必要があります。',
+    'properties.key': 'キー',
+    'properties.name': '表示名',
+    'properties.notNumber': '{key} には数値を入力してください。',
+    'properties.pageReserved': 'Page はリストのページ区切りで決まります。代わりに「ページを追加」を使ってください。',
+    'properties.remove': '{key} を削除',
+    'properties.title': 'プロパティ',
+    'properties.type': '種類',
+    'properties.valueMissing': '新しいプロパティの値を入力してください。',
+
+    'publish.alreadyPublished': '{input} はすでに {key} として公開されています。',
+    'publish.namePrompt': '公開するコントロールの名前（空にすると Fusion の既定の名前になります）:',
+
+    'rename.prompt': '「{name}」の新しい名前を入力してください:',
+
+    'session.error.mismatch': '保存されたセッションがファイルと一致しません。',
+    'session.error.version': '保存されたセッションは別のバージョンのエディターで作られています。',
+    'session.openFailed': '最近のファイルを開けませんでした: {message}',
+    'session.restore': '前回の編集内容を復元しますか？\n\n{session}',
+
+    'shortcut.clipboard': '選択した項目をコピー・切り取り・貼り付け（選択の後ろに貼り付け）',
+    'shortcut.delete': '選択した項目を削除',
+    'shortcut.expandCollapse': 'グループを展開・折りたたみ／最初の項目または親へ移動',
+    'shortcut.focusEnds': '最初または最後の項目にフォーカス',
+    'shortcut.group': '選択した項目をグループ化',
+    'shortcut.help': 'この一覧を表示',
+    'shortcut.indent': '選択した項目をインデント・アウトデント',
+    'shortcut.move': '選択した項目を上下に移動',
+    'shortcut.moveFocus': 'フォーカスを移動（Shift で選択を広げる）',
+    'shortcut.output': '出力',
+    'shortcut.rename': '名前を変更（Shift で複数の項目をまとめて変更）',
+    'shortcut.select': 'フォーカス中の項目を選択（Ctrl で選択に追加・解除）',
+    'shortcut.selectAll': '現在のグループまたはページ内をすべて選択',
+    'shortcut.undo': '元に戻す・やり直す',
+
+    'toolbar.addPage': 'ページを追加',
+    'toolbar.addSeparator': 'セパレーターを追加',
+    'toolbar.batchRename': '一括名前変更',
+    'toolbar.batchRename.title': '選択項目またはリスト全体の名前を、検索と置換・接頭辞・接尾辞・大文字小文字・連番でまとめて変更 (Shift+F2)',
+    'toolbar.copy': 'コピー',
+    'toolbar.copy.title': '選択項目を、含まれるグループ・セパレーター・ページごとコピー (Ctrl+C)',
+    'toolbar.cut': '切り取り',
+    'toolbar.cut.title': '選択項目をコピーしてリストから取り除く (Ctrl+X)',
+    'toolbar.delete': '削除',
+    'toolbar.delete.title': '選択項目を削除。コントロールはマクロの入力から外され、グループは中身ごと削除されます (Delete)',
+    'toolbar.exportLayout': 'レイアウトを書き出す',
+    'toolbar.exportLayout.title': 'ページ・グループ・コントロールの順序をレイアウトテンプレートとして保存',
+    'toolbar.group': 'グループ化',
+    'toolbar.group.title': '選択項目をグループ化 (Ctrl+G)',
+    'toolbar.help.title': 'キーボードショートカット (?)',
+    'toolbar.importLayout': 'レイアウトを読み込む',
+    'toolbar.importLayout.title': '保存したレイアウトテンプレートを読み込んだマクロに適用',
+    'toolbar.indent': '→ インデント',
+    'toolbar.indent.title': 'インデント (Tab)',
+    'toolbar.language.title': '言語',
+    'toolbar.moveDown': '↓ 下へ',
+    'toolbar.moveDown.title': '下へ移動 (Alt+↓)',
+    'toolbar.moveUp': '↑ 上へ',
+    'toolbar.moveUp.title': '上へ移動 (Alt+↑)',
+    'toolbar.newControl': '新しいコントロール',
+    'toolbar.newControl.title': 'ラベルホストに新しいコントロール（スライダー・チェックボックス・コンボボックス・テキスト・ボタン・カラー）を作成',
+    'toolbar.open': '.setting ファイルを開く',
+    'toolbar.outdent': '← アウトデント',
+    'toolbar.outdent.title': 'アウトデント (Shift+Tab)',
+    'toolbar.paste': '貼り付け',
+    'toolbar.paste.title': '選択項目の後に貼り付け。入力はツールと入力名でこのマクロの入力と照合されます (Ctrl+V)',
+    'toolbar.pasteFile': 'クリップボードから貼り付け',
+    'toolbar.recent': '最近のファイル…',
+    'toolbar.recent.title': '最近編集したファイルを編集内容ごと開き直す',
+    'toolbar.redo': '↷ やり直す',
+    'toolbar.redo.title': 'やり直す (Ctrl+Shift+Z)',
+    'toolbar.redoCommand.title': 'やり直す: {command} (Ctrl+Shift+Z)',
+    'toolbar.rename': '名前の変更',
+    'toolbar.rename.title': '名前の変更 (F2)',
+    'toolbar.selectAll': 'すべて選択',
+    'toolbar.selectAll.title': '現在のグループまたはページの項目をすべて選択。もう一度押すとリスト全体 (Ctrl+A)',
+    'toolbar.undo': '↶ 元に戻す',
+    'toolbar.undo.title': '元に戻す (Ctrl+Z)',
+    'toolbar.undoCommand.title': '元に戻す: {command} (Ctrl+Z)',
+    'toolbar.ungroup': 'グループ解除',
+    'toolbar.ungroup.title': '選択したグループやページを取り除き、中身は残す',
+
+    'tools.empty': 'マクロを読み込むと、中のツールが一覧表示されます。',
+    'tools.enterInputToLink': 'リンクするツール入力の ID を入力してください（例: "Angle"）。',
+    'tools.enterInputToPublish': '公開するツール入力の ID を入力してください（例: "Angle"）。',
+    'tools.expression': '式: {expression}',
+    'tools.filter': 'ツールと入力を絞り込む',
+    'tools.link': 'リンク',
+    'tools.link.title': 'この入力をマクロのコントロールから式で動かします',
+    'tools.linked': '= リンク',
+    'tools.otherInput': 'その他の入力 ID',
+    'tools.publish': '公開',
+    'tools.title': 'ツールの入力',
+    'tools.value': '値: {value}',
+
+    'validation.continueAnyway': 'このまま続ける',
+    'validation.download': 'ダウンロード',
+    'validation.downloadAnyway': 'このままダウンロード',
+    'validation.fix.new-key': '新しいキーを付ける',
+    'validation.fix.remove-group': 'グループを削除',
+    'validation.fix.remove-page': 'ページを削除',
+    'validation.fix.unpublish': '公開を解除',
+    'validation.fix.use-helper': '代わりにヘルパーノードを使う',
+    'validation.issue.dangling-label': '{item} はラベル {label} を公開していますが、{host} に対応する項目が無いため、出力後には存在しません。',
+    'validation.issue.duplicate-key': 'キー {key} が {first} と {second} の両方で使われています。Fusion ではどちらか一方しか残りません。',
+    'validation.issue.empty-group': '{item} は空です。下に何もないラベルとして表示されます。',
+    'validation.issue.empty-page': '{item} にはコントロールが無いため、Fusion では表示されません。',
+    'validation.issue.missing-host': 'グループのラベルとセパレーターの置き場所がツール「{tool}」になっていますが、このツールはマクロ内にありません。',
+    'validation.issue.missing-tool': '{item} が参照しているツール「{tool}」はマクロ内にありません。',
+    'validation.issue.no-source-op': '{item} に SourceOp がありません。',
+    'validation.issue.orphaned-label': '{host} のラベル {label} はどのグループにも使われていません。出力からは削除されます。',
+    'validation.item.control': '{key}（「{name}」）',
+    'validation.item.group': 'グループ「{name}」',
+    'validation.item.page': 'ページ「{name}」',
+    'validation.item.separator': 'セパレーター {key}',
+    'validation.none': '問題はもうありません。',
+    'validation.output': '出力',
+    'validation.outputAnyway': 'このまま出力',
+    'validation.select': 'リストで選択',
+    'validation.severity.error': 'エラー',
+    'validation.severity.warning': '警告',
+    'validation.summary': '{action}の前にエラー {errors} 件、警告 {warnings} 件が見つかりました。',
+};
@@ -1,108 +1,319 @@
 // parser.js
 
+import { parseSettingAst, getField, getFieldValue, isTableOf, scalarText, positionAt, leadingWhitespaceStart } from './ast.js';
+
+const HELPER_NODE_NAME = 'background_helper';
+const HELPER_NODE_TYPE = 'Background';
+const HELPER_NODE_POSITION = [0, -100];
+
+// UserControls entries that belong to the editor: group labels and the shared separator.
+const LABEL_KEY_REGEX = /^AutoLabel\d+$/;
+const isLabelControlKey = key => LABEL_KEY_REGEX.test(key) || key === 'Separator';
+
+// Label control properties the writer produces itself; any others are kept on the group node.
+const GENERATED_LABEL_PROPERTIES = new Set([
+    'INP_Passive', 'INP_External', 'LBLC_DropDownButton', 'INPID_InputControl',
+    'LBLC_NumInputs', 'LBLC_NestLevel', 'LINKID_DataType', 'LINKS_Name',
+]);
+
 /**
- * Finds a block enclosed by braces, handling nested braces correctly.
- * @param {string} text The text to search within.
- * @param {RegExp} headerRegex The regex to find the header immediately preceding the opening brace.
- * @param {number} [searchFrom=0] The index to start searching from.
- * @param {boolean} [consumeComma=false] If true, consumes a trailing comma and whitespace after the block.
- * @returns {object|null} An object with `header`, `content`, `fullText`, `startIndex`, and `endIndex`, or null.
+ * Builds a diagnostics issue (see `parseSettingFile`) located at an offset of the source.
+ * @param {string} source The source text.
+ * @param {number} offset The offset the issue points at.
+ * @param {'error'|'warning'} severity
+ * @param {string} code A short identifier of the kind of issue.
+ * @param {object} [params] The names the explanation of the issue needs.
+ * @returns {{code: string, severity: string, params: object, line: number, column: number, offset: number}}
  */
-function findBlock(text, headerRegex, searchFrom = 0, consumeComma = true) {
-    const searchText = text.substring(searchFrom);
-    const match = searchText.match(headerRegex);
-    if (!match) return null;
-
-    const header = match[0];
-    const startIndex = match.index + searchFrom;
-    const contentStartIndex = startIndex + header.length;
-
-    let braceCount = 1;
-    let contentEndIndex = -1;
-    for (let i = contentStartIndex; i < text.length; i++) {
-        if (text[i] === '{') {
-            braceCount++;
-        } else if (text[i] === '}') {
-            braceCount--;
-            if (braceCount === 0) {
-                contentEndIndex = i;
-                break;
-            }
+function issueAt(source, offset, severity, code, params = {}) {
+    return { code, severity, params, ...positionAt(source, offset), offset };
+}
+
+/**
+ * Collects every GroupOperator/MacroOperator field in the document in source order,
+ * including groups nested inside another macro's Tools block.
+ * @param {object} node The value node to search from.
+ * @param {number|null} parent The index of the enclosing macro in `found`, if any.
+ * @param {Array<{field: object, parent: number|null}>} found The list to append to.
+ * @returns {Array<{field: object, parent: number|null}>}
+ */
+export function collectMacroFields(node, parent = null, found = []) {
+    if (!node || node.type !== 'Table') return found;
+    for (const field of node.fields) {
+        if (field.key !== null && (isTableOf(field.value, 'GroupOperator') || isTableOf(field.value, 'MacroOperator'))) {
+            found.push({ field, parent });
+            collectMacroFields(field.value, found.length - 1, found);
+        } else {
+            collectMacroFields(field.value, parent, found);
         }
     }
-    if (contentEndIndex === -1) return null;
+    return found;
+}
 
-    let endIndex = contentEndIndex + 1; // `}` の直後を指す
+/**
+ * Collects the names of every tool-like field (`Name = Ctor { ... }`) in the document,
+ * so that a new helper node can be given a name that is not taken yet.
+ * @param {object} node The value node to search from.
+ * @param {Set<string>} names The set to add to.
+ * @returns {Set<string>}
+ */
+function collectToolNames(node, names = new Set()) {
+    if (!node || node.type !== 'Table') return names;
+    for (const field of node.fields) {
+        if (typeof field.key === 'string' && field.value.type === 'Table' && field.value.ctor) names.add(field.key);
+        collectToolNames(field.value, names);
+    }
+    return names;
+}
 
-    if (consumeComma) {
-        const trailingText = text.substring(endIndex);
-        const commaMatch = trailingText.match(/^[\s\t]*,+/);
-        if (commaMatch) {
-            endIndex += commaMatch[0].length;
+/**
+ * Checks whether a Tools entry is a helper node added by the editor: one marked with
+ * `CustomData = { MacroEditorHelper = true }`, or, from older versions, a Background named
+ * `background_helper` (`background_helper_N` when several macros in one file each have one).
+ */
+function isHelperField(field) {
+    if (typeof field.key !== 'string' || field.value.type !== 'Table' || !field.value.ctor) return false;
+    const customData = getFieldValue(field.value, 'CustomData');
+    const marker = customData && customData.type === 'Table' ? getFieldValue(customData, 'MacroEditorHelper') : null;
+    if (marker && marker.type === 'Boolean' && marker.value) return true;
+    return (field.key === HELPER_NODE_NAME || new RegExp(`^${HELPER_NODE_NAME}_\\d+$`).test(field.key))
+        && isTableOf(field.value, HELPER_NODE_TYPE);
+}
+
+/**
+ * Finds the tool that hosts the macro's group labels and separators. That is the tool the
+ * label and separator InstanceInputs are published from, provided it has such UserControls;
+ * failing that, a helper node added by the editor.
+ * @param {object} toolsTable The `Table` node of the macro's 'Tools' block.
+ * @param {object|null} inputsTable The `Table` node of the macro's 'Inputs' block.
+ * @returns {object|null} The host's `Field` node, or null.
+ */
+function findHostField(toolsTable, inputsTable) {
+    const referenced = new Set();
+    for (const field of inputsTable ? inputsTable.fields : []) {
+        if (!isTableOf(field.value, 'InstanceInput')) continue;
+        const sourceOp = getFieldValue(field.value, 'SourceOp');
+        const source = getFieldValue(field.value, 'Source');
+        if (sourceOp && sourceOp.type === 'String' && source && source.type === 'String' && isLabelControlKey(source.value)) {
+            referenced.add(sourceOp.value);
         }
     }
 
-    const fullText = text.substring(startIndex, endIndex);
-    const content = text.substring(contentStartIndex, contentEndIndex);
+    const hasLabelControls = field => {
+        const userControls = getFieldValue(field.value, 'UserControls');
+        return !!userControls && userControls.type === 'Table'
+            && userControls.fields.some(control => typeof control.key === 'string' && isLabelControlKey(control.key));
+    };
+    return toolsTable.fields.find(field => typeof field.key === 'string' && field.value.type === 'Table'
+            && referenced.has(field.key) && hasLabelControls(field))
+        || toolsTable.fields.find(isHelperField)
+        || null;
+}
 
-    return { header, content, fullText, startIndex, endIndex };
+/**
+ * Names the kind of value an input holds: 'Number', 'String', 'Boolean', 'Point' for a pair
+ * of numbers, or the constructor name (e.g. 'FuID', or 'Table') for anything else.
+ */
+function describeValueType(node) {
+    if (node.type === 'Call') return node.name;
+    if (node.type !== 'Table') return node.type;
+    if (node.ctor) return node.ctor.name;
+    const isPoint = node.fields.length === 2 && node.fields.every(field => field.key === null && field.value.type === 'Number');
+    return isPoint ? 'Point' : 'Table';
+}
+
+/**
+ * Reads what the Inspector needs to know about a UserControls entry: its control type,
+ * data type, display name and, for combo boxes, the choices.
+ * @param {object} table The `Table` node of the entry.
+ * @returns {{inputControl?: string, dataType?: string, name?: string, options: Array<string>}}
+ */
+function readUserControl(table) {
+    const text = key => {
+        const value = getFieldValue(table, key);
+        return value && value.type === 'String' ? value.value : undefined;
+    };
+    const options = [];
+    for (const field of table.fields) {
+        if (field.key !== null || field.value.type !== 'Table') continue;
+        const option = getFieldValue(field.value, 'CCS_AddString');
+        if (option && option.type === 'String') options.push(option.value);
+    }
+    return { inputControl: text('INPID_InputControl'), dataType: text('LINKID_DataType'), name: text('LINKS_Name'), options };
+}
+
+/**
+ * Reads the `ViewInfo = OperatorInfo { Pos = { x, y } }` position of a tool.
+ * @returns {Array<number>|null}
+ */
+function readToolPosition(toolTable) {
+    const viewInfo = getFieldValue(toolTable, 'ViewInfo');
+    const pos = viewInfo && viewInfo.type === 'Table' ? getFieldValue(viewInfo, 'Pos') : null;
+    if (!pos || pos.type !== 'Table' || pos.fields.length < 2) return null;
+    const [x, y] = pos.fields.map(field => field.value);
+    return x.type === 'Number' && y.type === 'Number' ? [x.value, y.value] : null;
+}
+
+/**
+ * Reads every tool inside the macro's Tools block together with the inputs that have
+ * entries in its `Inputs` table (Fusion only stores inputs that differ from their defaults).
+ * @param {object} toolsTable The `Table` node of the macro's 'Tools' block.
+ * @param {string} source The full file content.
+ * @param {object|null} hostField The tool hosting the group labels. A helper node is left out;
+ *        for any other tool only the label entries are.
+ * @returns {Array<{name: string, type: string, inputs: Array<object>, userControls: Array<string>, controls: object}>}
+ *          `controls` maps each UserControls key to what `readUserControl` reads from it.
+ */
+function readTools(toolsTable, source, hostField) {
+    const tools = [];
+    for (const field of toolsTable.fields) {
+        if (typeof field.key !== 'string' || field.value.type !== 'Table' || !field.value.ctor) continue;
+        if (field === hostField && isHelperField(field)) continue;
+        const isHost = field === hostField;
+
+        const inputs = [];
+        const inputsTable = getFieldValue(field.value, 'Inputs');
+        if (inputsTable && inputsTable.type === 'Table') {
+            for (const input of inputsTable.fields) {
+                if (typeof input.key !== 'string') continue;
+                if (isHost && LABEL_KEY_REGEX.test(input.key)) continue;
+                const entry = { id: input.key };
+                if (input.value.type === 'Table') {
+                    const value = getFieldValue(input.value, 'Value');
+                    const expression = getFieldValue(input.value, 'Expression');
+                    const sourceOp = getFieldValue(input.value, 'SourceOp');
+                    if (value) {
+                        entry.value = scalarText(value, source);
+                        entry.valueType = describeValueType(value);
+                    }
+                    if (expression) entry.expression = scalarText(expression, source);
+                    if (sourceOp) entry.connectedTo = scalarText(sourceOp, source);
+                }
+                inputs.push(entry);
+            }
+        }
+
+        const userControlsTable = getFieldValue(field.value, 'UserControls');
+        const controlFields = userControlsTable && userControlsTable.type === 'Table'
+            ? userControlsTable.fields.filter(control => typeof control.key === 'string' && !(isHost && isLabelControlKey(control.key)))
+            : [];
+        const userControls = controlFields.map(control => control.key);
+        const controls = {};
+        for (const control of controlFields) {
+            if (control.value.type === 'Table') controls[control.key] = readUserControl(control.value);
+        }
+
+        tools.push({ name: field.key, type: field.value.ctor.name, inputs, userControls, controls });
+    }
+    return tools;
 }
 
 /**
  * Phase 1: Parses a .setting file and breaks it down into a linear list of segments.
+ * Every GroupOperator/MacroOperator contributes its own inputs_block and helper_block
+ * segments, tagged with the macro's index in `macros`. Nested groups sit inside the
+ * enclosing macro's Tools block, so their segments never overlap.
  * @param {string} fileContent The entire string content of the .setting file.
- * @returns {{segments: Array<object>, diagnostics: object}}
+ * @returns {{segments: Array<object>, diagnostics: object, source: string, macros: Array<object>}}
  */
 function parseFileIntoSegments(fileContent) {
-    const diagnostics = {};
+    const diagnostics = { issues: [] };
     const foundBlocks = [];
 
-    const mainGroupRegex = /(?:\["([^"]+)"\]|(\w+))[\s\t]*=[\s\t]*(GroupOperator|MacroOperator)[\s\t]*{/;
-    const mainGroupResult = findBlock(fileContent, mainGroupRegex);
-
-
-    if (mainGroupResult) {
-        const groupBodyOffset = mainGroupResult.startIndex + mainGroupResult.header.length;
-        const groupBody = mainGroupResult.content;
+    const ast = parseSettingAst(fileContent);
+    const macroFields = collectMacroFields(ast.body);
+    diagnostics.foundGroupOperator = macroFields.length > 0;
+    diagnostics.macroCount = macroFields.length;
+    if (macroFields.length === 0) {
+        diagnostics.issues.push(issueAt(fileContent, ast.body.start, 'error', 'no-macro'));
+    }
 
-        const inputsRegex = /[\s\t]*Inputs[\s\t]*=[\s\t]*ordered\(\)[\s\t]*{/;
-        const inputsResult = findBlock(groupBody, inputsRegex, 0, true);
-        if (inputsResult) {
+    const takenNames = collectToolNames(ast.body);
+    const macros = macroFields.map(({ field, parent }, index) => {
+        const groupTable = field.value;
+        const macro = {
+            name: String(field.key),
+            type: groupTable.ctor.name,
+            parent,
+            depth: 0,
+            helperName: null,
+            host: null,
+            inputsTable: null,
+            helperTable: null,
+            helperUserControls: [],
+            tools: [],
+        };
+
+        const inputsField = getField(groupTable, 'Inputs');
+        if (!inputsField || inputsField.value.type !== 'Table') {
+            diagnostics.issues.push({
+                ...issueAt(fileContent, field.start, 'error', 'no-inputs', { macro: macro.name }),
+                macroIndex: index,
+            });
+        } else {
+            macro.inputsTable = inputsField.value;
             foundBlocks.push({
                 type: 'inputs_block',
-                startIndex: groupBodyOffset + inputsResult.startIndex,
-                endIndex: groupBodyOffset + inputsResult.endIndex,
-                content: inputsResult.content,
+                macroIndex: index,
+                startIndex: leadingWhitespaceStart(fileContent, inputsField.start),
+                endIndex: inputsField.separatorEnd,
+                content: fileContent.substring(inputsField.value.open + 1, inputsField.value.close),
+                node: inputsField.value,
             });
         }
 
-        const toolsRegex = /[\s\t]*Tools[\s\t]*=[\s\t]*ordered\(\)[\s\t]*{/;
-        const toolsResult = findBlock(groupBody, toolsRegex, 0, true);
-        if (toolsResult) {
-            const toolsBodyOffset = toolsResult.startIndex + toolsResult.header.length;
-            const toolsBody = toolsResult.content;
-
-            const helperRegex = /[\s\t]*background_helper[\s\t]*=[\s\t]*Background[\s\t]*{/;
-            const helperResult = findBlock(toolsBody, helperRegex, 0, true);
-            if (helperResult) {
+        const toolsTable = getFieldValue(groupTable, 'Tools');
+        if (toolsTable && toolsTable.type === 'Table') {
+            const hostField = findHostField(toolsTable, macro.inputsTable);
+            const helperField = hostField && isHelperField(hostField) ? hostField : null;
+            macro.tools = readTools(toolsTable, fileContent, hostField);
+            if (hostField) {
+                macro.helperName = hostField.key;
+                macro.helperTable = hostField.value;
+                macro.host = helperField
+                    ? { kind: 'helper', name: hostField.key, type: hostField.value.ctor.name, position: readToolPosition(hostField.value) || HELPER_NODE_POSITION }
+                    : { kind: 'tool', name: hostField.key };
+                const userControlsTable = getFieldValue(hostField.value, 'UserControls');
+                if (userControlsTable && userControlsTable.type === 'Table') {
+                    macro.helperUserControls = userControlsTable.fields.filter(control => typeof control.key === 'string').map(control => control.key);
+                }
+            }
+            if (helperField) {
                 foundBlocks.push({
                     type: 'helper_block',
-                    startIndex: groupBodyOffset + toolsBodyOffset + helperResult.startIndex,
-                    endIndex: groupBodyOffset + toolsBodyOffset + helperResult.endIndex,
-                    content: helperResult.content,
+                    macroIndex: index,
+                    startIndex: leadingWhitespaceStart(fileContent, helperField.start),
+                    endIndex: helperField.separatorEnd,
+                    content: fileContent.substring(helperField.value.open + 1, helperField.value.close),
+                    node: helperField.value,
                 });
             } else {
-                const firstNewlineInTools = toolsBody.indexOf('\n');
-                const insertionOffset = (firstNewlineInTools !== -1) ? firstNewlineInTools + 1 : 0;
-                const insertionIndex = groupBodyOffset + toolsBodyOffset + insertionOffset;
+                // No helper node: a new one would go right after the opening brace of the Tools block.
+                // When an existing tool hosts the labels, the writer edits that tool instead.
+                const insertionIndex = toolsTable.open + 1;
                 foundBlocks.push({
                     type: 'helper_block',
+                    macroIndex: index,
                     startIndex: insertionIndex,
                     endIndex: insertionIndex,
                     content: '',
+                    node: null,
+                    hostTool: hostField ? hostField.key : null,
                 });
             }
         }
+        return macro;
+    });
+
+    // Helpers created by the editor need a name that no other tool in the file uses.
+    for (const macro of macros) {
+        macro.depth = macro.parent === null ? 0 : macros[macro.parent].depth + 1;
+        if (macro.helperName) continue;
+        let name = HELPER_NODE_NAME;
+        for (let n = 2; takenNames.has(name); n++) name = `${HELPER_NODE_NAME}_${n}`;
+        takenNames.add(name);
+        macro.helperName = name;
+        macro.host = { kind: 'helper', name, type: HELPER_NODE_TYPE, position: HELPER_NODE_POSITION };
     }
 
     foundBlocks.sort((a, b) => a.startIndex - b.startIndex);
@@ -112,64 +323,53 @@ function parseFileIntoSegments(fileContent) {
         if (block.startIndex > currentIndex) {
             segments.push({ type: 'string', string: fileContent.substring(currentIndex, block.startIndex) });
         }
-        segments.push({ type: block.type, content: block.content });
+        segments.push({
+            type: block.type,
+            macroIndex: block.macroIndex,
+            content: block.content,
+            node: block.node,
+            original: fileContent.substring(block.startIndex, block.endIndex),
+            ...(block.hostTool ? { hostTool: block.hostTool } : {}),
+        });
         currentIndex = block.endIndex;
     }
     if (currentIndex < fileContent.length) {
         segments.push({ type: 'string', string: fileContent.substring(currentIndex) });
     }
 
-    return { segments, diagnostics };
+    return { segments, diagnostics, source: fileContent, macros };
 }
 
 
 /**
- * Phase 2: Builds the hierarchical tree from the content of the input and helper blocks.
- * @param {string} inputsBlockContent The content of the 'Inputs' block.
- * @param {string} helperBlockContent The content of the 'background_helper' block.
- * @param {object} diagnostics A reference to the diagnostics object to populate.
- * @returns {{tree: object, maxAutoLabelIndex: number}}
+ * Phase 2: Builds the hierarchical tree from the AST of the input and helper blocks.
+ * @param {object|null} inputsTable The `Table` node of the 'Inputs' block.
+ * @param {object|null} helperTable The `Table` node of the 'background_helper' block.
+ * @param {string} source The full file content the nodes were parsed from.
+ * @param {Array<object>} issues The list to add problems with the labels and groups to.
+ * @param {number} nextId The first node id to use; ids stay unique across all macros of a file.
+ * @param {string|null} helperName The name of the helper node when the editor wrote it. Its other
+ *        UserControls were created in the editor; each is kept on the control that publishes it.
+ * @returns {{tree: object, maxAutoLabelIndex: number, nextId: number}}
  */
-function buildTreeFromContent(inputsBlockContent, helperBlockContent, diagnostics) {
-    let nextId = 0;
+function buildTreeFromContent(inputsTable, helperTable, source, issues, nextId = 0, helperName = null) {
     const root = { id: nextId++, type: 'ROOT', children: [], parent: null };
 
     // --- Pass 1: Create a flat list of all InstanceInputs and Page Comments from the inputs_block ---
     const flatList = [];
-    if (inputsBlockContent) {
-        diagnostics.inputsBlockSnippet = inputsBlockContent.trim().substring(0, 200) + '...';
+    if (inputsTable) {
         let currentPageName = "Controls";
-
-        const instanceInputRegex = /([a-zA-Z0-9_]+)[\s\t]*=[\s\t]*InstanceInput[\s\t]*{([^}]*)}/g;
-        let match;
         const allControlData = [];
 
-        // Extract full block text for each input
-        const rawInputs = inputsBlockContent.split(/([a-zA-Z0-9_]+[\s\t]*=[\s\t]*InstanceInput[\s\t]*{)/).slice(1);
-        for (let i = 0; i < rawInputs.length; i += 2) {
-            const header = rawInputs[i];
-            const key = header.match(/([a-zA-Z0-9_]+)/)[0];
-            const bodySearch = rawInputs[i+1];
-
-            let braceDepth = 1;
-            let endIndex = -1;
-            for(let j=0; j<bodySearch.length; j++){
-                if(bodySearch[j] === '{') braceDepth++;
-                if(bodySearch[j] === '}') braceDepth--;
-                if(braceDepth === 0){
-                    endIndex = j;
-                    break;
-                }
-            }
-            if(endIndex === -1) continue;
+        for (const field of inputsTable.fields) {
+            if (field.key === null || !isTableOf(field.value, 'InstanceInput')) continue;
 
-            const content = bodySearch.substring(0, endIndex);
-            const fullOriginalBlock = header + content + '}';
+            const key = String(field.key);
+            const fullOriginalBlock = source.substring(field.start, field.value.end);
             const properties = {};
-            const propsRegex = /(\w+)[\s\t]*=[\s\t]*(?:"([^"]*)"|({[^}]*})|([^,}[\s\t]]+))/g;
-            let propMatch;
-            while ((propMatch = propsRegex.exec(content)) !== null) {
-                properties[propMatch[1]] = propMatch[2] || propMatch[3] || propMatch[4];
+            for (const prop of field.value.fields) {
+                if (prop.keyKind !== 'name') continue;
+                properties[prop.key] = scalarText(prop.value, source);
             }
 
             if (properties.Source === 'Separator') {
@@ -205,33 +405,68 @@ function buildTreeFromContent(inputsBlockContent, helperBlockContent, diagnostic
 
     // --- Pass 2: Read the helper node metadata from the helper_block ---
     const metadataMap = new Map();
+    const userControlMap = new Map();
     let maxAutoLabelIndex = 0;
-    if (helperBlockContent) {
-        diagnostics.helperBlockSnippet = helperBlockContent.trim().substring(0, 200) + '...';
-        const userControlsBlock = findBlock(helperBlockContent, /UserControls[\s\t]*=[\s\t]*ordered\(\)[\s\t]*{/);
-        if (userControlsBlock) {
-            const controlRegex = /(AutoLabel\d+)[\s\t]*=[\s\t]*{([^}]+)}/g;
-            let controlMatch;
-            while ((controlMatch = controlRegex.exec(userControlsBlock.content)) !== null) {
-                const key = controlMatch[1];
-                const numCap = key.match(/AutoLabel(\d+)/);
-                if (numCap) {
-                    maxAutoLabelIndex = Math.max(maxAutoLabelIndex, parseInt(numCap[1], 10));
-                }
-                const propertiesText = controlMatch[2];
-                const nameMatch = propertiesText.match(/LINKS_Name[\s\t]*=[\s\t]*"([^"]+)"/);
-                const nestLevelMatch = propertiesText.match(/LBLC_NestLevel[\s\t]*=[\s\t]*(\d+)/);
-                const numInputsMatch = propertiesText.match(/LBLC_NumInputs[\s\t]*=[\s\t]*(\d+)/);
-
-                if (nameMatch && nestLevelMatch && numInputsMatch) {
-                    metadataMap.set(key, {
-                        name: nameMatch[1],
-                        nestLevel: parseInt(nestLevelMatch[1], 10),
-                        childCount: parseInt(numInputsMatch[1], 10)
+    if (helperTable) {
+        // A label's Input value is its default state: 1 = expanded, 0 = collapsed.
+        const labelValues = new Map();
+        const helperInputsTable = getFieldValue(helperTable, 'Inputs');
+        if (helperInputsTable && helperInputsTable.type === 'Table') {
+            for (const input of helperInputsTable.fields) {
+                const value = typeof input.key === 'string' && input.value.type === 'Table' ? getFieldValue(input.value, 'Value') : null;
+                if (value && value.type === 'Number') labelValues.set(input.key, value.value);
+            }
+        }
+
+        const userControlsTable = getFieldValue(helperTable, 'UserControls');
+        if (userControlsTable && userControlsTable.type === 'Table') {
+            for (const control of userControlsTable.fields) {
+                const numCap = typeof control.key === 'string' ? control.key.match(/^AutoLabel(\d+)$/) : null;
+                if (!numCap || control.value.type !== 'Table') continue;
+                maxAutoLabelIndex = Math.max(maxAutoLabelIndex, parseInt(numCap[1], 10));
+
+                // LBLC_NestLevel is not needed: the writer derives it from the depth in the tree.
+                const nameNode = getFieldValue(control.value, 'LINKS_Name');
+                const numInputsNode = getFieldValue(control.value, 'LBLC_NumInputs');
+                const dropDownNode = getFieldValue(control.value, 'LBLC_DropDownButton');
+
+                if (!numInputsNode || numInputsNode.type !== 'Number') {
+                    issues.push(issueAt(source, control.start, 'warning', 'label-count-missing', { label: control.key }));
+                } else if (!nameNode || nameNode.type !== 'String') {
+                    issues.push(issueAt(source, control.start, 'warning', 'label-name-missing', { label: control.key }));
+                } else {
+                    const labelOptions = {};
+                    for (const prop of control.value.fields) {
+                        if (prop.keyKind === 'name' && !GENERATED_LABEL_PROPERTIES.has(prop.key)) {
+                            labelOptions[prop.key] = scalarText(prop.value, source);
+                        }
+                    }
+                    metadataMap.set(control.key, {
+                        name: nameNode.value,
+                        childCount: numInputsNode.value,
+                        childCountOffset: numInputsNode.start,
+                        collapsed: labelValues.get(control.key) === 0,
+                        dropDownButton: !!dropDownNode && dropDownNode.type === 'Boolean' && dropDownNode.value,
+                        labelOptions,
                     });
                 }
             }
         }
+
+        // User controls created in the editor, with the value stored for them (if any).
+        if (helperName && userControlsTable && userControlsTable.type === 'Table') {
+            for (const control of userControlsTable.fields) {
+                if (typeof control.key !== 'string' || isLabelControlKey(control.key) || control.value.type !== 'Table') continue;
+                const fields = control.value.fields.map(prop => ({
+                    key: prop.keyKind === 'name' ? prop.key : null,
+                    value: source.substring(prop.value.start, prop.value.end),
+                }));
+                userControlMap.set(control.key, { fields, input: null });
+            }
+            for (const input of helperInputsTable && helperInputsTable.type === 'Table' ? helperInputsTable.fields : []) {
+                if (userControlMap.has(input.key)) userControlMap.get(input.key).input = source.substring(input.value.start, input.value.end);
+            }
+        }
     }
 
     // --- Pass 3: Reconstruct the tree using a recursive function ---
@@ -255,19 +490,27 @@ function buildTreeFromContent(inputsBlockContent, helperBlockContent, diagnostic
                 const isGroup = metadataMap.has(item.properties.Source);
                 if (isGroup) {
                     const metadata = metadataMap.get(item.properties.Source);
+                    if (metadata.childCount > items.length) {
+                        issues.push(issueAt(source, metadata.childCountOffset, 'warning', 'group-count-overflow',
+                            { label: item.properties.Source, name: metadata.name, count: metadata.childCount, items: items.length }));
+                    }
                     const groupNode = {
                         id: nextId++, type: 'GROUP', name: metadata.name,
                         internalKey: item.properties.Source, parent: parent, children: [],
+                        collapsed: metadata.collapsed, dropDownButton: metadata.dropDownButton, labelOptions: metadata.labelOptions,
                         data: { key: item.key, originalBlock: item.originalBlock, properties: item.properties }
                     };
                     parent.children.push(groupNode);
                     buildTreeRecursive(groupNode, items.splice(0, metadata.childCount));
                 } else {
-                    parent.children.push({
+                    const controlNode = {
                         id: nextId++, type: 'CONTROL',
                         data: { key: item.key, originalBlock: item.originalBlock, properties: item.properties },
                         parent: parent, children: [], hidden: /^MainInput\d+$/i.test(item.key)
-                    });
+                    };
+                    const userControl = item.properties.SourceOp === helperName ? userControlMap.get(item.properties.Source) : null;
+                    if (userControl) controlNode.userControl = userControl;
+                    parent.children.push(controlNode);
                 }
             }
         }
@@ -275,32 +518,81 @@ function buildTreeFromContent(inputsBlockContent, helperBlockContent, diagnostic
 
     buildTreeRecursive(root, flatList);
 
-    return { tree: root, maxAutoLabelIndex };
+    return { tree: root, maxAutoLabelIndex, nextId };
 }
 
 
 /**
  * Main parser function.
+ *
+ * A file may hold several GroupOperator/MacroOperator blocks, possibly nested. Each one is
+ * returned in `macros` with its own tree, tools and label host; `tree`, `tools`,
+ * `macroName` and `maxAutoLabelIndex` describe the first one, for callers that edit a single macro.
+ * The host is where group labels and separators live: `{kind: 'helper', name, type, position}`
+ * for a helper node added by the editor, or `{kind: 'tool', name}` for one of the macro's own
+ * tools. `helperName` is the host's name.
+ *
+ * Problems found on the way are listed in `diagnostics.issues`, in source order, as
+ * `{code, severity, params, line, column, offset, macroIndex}`: an 'error' means a macro (or the
+ * whole file) cannot be edited, a 'warning' that part of it is read differently than Fusion
+ * probably shows it, e.g. a group whose LBLC_NumInputs is larger than the inputs that follow it.
+ * `params` holds the names that the explanation of the code needs, e.g. `{macro}` for
+ * 'no-inputs'; the explanations themselves are the `diagnostics.issue.*` messages.
+ * `macroIndex` is absent for problems of the file as a whole. Syntax errors are thrown instead;
+ * `syntaxErrorIssue` turns them into the same form.
  * @param {string} content The string content of the .setting file.
- * @returns {{tree: object, segments: Array<object>, maxAutoLabelIndex: number, diagnostics: object}}
+ * @returns {{tree: object, segments: Array<object>, maxAutoLabelIndex: number, diagnostics: object, tools: Array<object>, macroName: string|null, macros: Array<object>}}
+ * @throws {SettingSyntaxError} If the content is not a well-formed .setting table.
  */
 export function parseSettingFile(content) {
     // Phase 1: Split file into structural segments
-    const { segments, diagnostics } = parseFileIntoSegments(content);
-
-    // Extract the content of our target blocks
-    const inputsSegment = segments.find(s => s.type === 'inputs_block');
-    const helperSegment = segments.find(s => s.type === 'helper_block');
-    const inputsBlockContent = inputsSegment ? inputsSegment.content : '';
-    const helperBlockContent = helperSegment ? helperSegment.content : '';
-
-    // Phase 2: Build the UI tree from the extracted content
-    const { tree, maxAutoLabelIndex } = buildTreeFromContent(inputsBlockContent, helperBlockContent, diagnostics);
+    const { segments, diagnostics, source, macros: found } = parseFileIntoSegments(content);
 
+    // Phase 2: Build a UI tree for every macro from its parsed blocks
+    let nextId = 0;
+    const macros = found.map((macro, index) => {
+        const ownHelper = macro.host && macro.host.kind === 'helper' ? macro.host.name : null;
+        const issues = [];
+        const built = buildTreeFromContent(macro.inputsTable, macro.helperTable, source, issues, nextId, ownHelper);
+        nextId = built.nextId;
+        if (macro.inputsTable && built.tree.children.length === 0) {
+            issues.push(issueAt(source, macro.inputsTable.open, 'error', 'no-published-inputs', { macro: macro.name }));
+        }
+        issues.forEach(issue => diagnostics.issues.push({ ...issue, macroIndex: index }));
+        return {
+            name: macro.name,
+            type: macro.type,
+            parent: macro.parent,
+            depth: macro.depth,
+            helperName: macro.helperName,
+            host: macro.host,
+            helperUserControls: macro.helperUserControls,
+            tree: built.tree,
+            maxAutoLabelIndex: built.maxAutoLabelIndex,
+            tools: macro.tools,
+        };
+    });
+
+    diagnostics.issues.sort((a, b) => a.offset - b.offset);
+
+    const first = macros[0];
     return {
-        tree,
+        tree: first ? first.tree : { id: 0, type: 'ROOT', children: [], parent: null },
         segments,
-        maxAutoLabelIndex,
-        diagnostics
+        maxAutoLabelIndex: first ? first.maxAutoLabelIndex : 0,
+        diagnostics,
+        tools: first ? first.tools : [],
+        macroName: first ? first.name : null,
+        macros,
     };
 }
+
+/**
+ * Describes a syntax error thrown by `parseSettingFile` as a diagnostics issue, so it can be
+ * shown together with the others. Its explanation is the error's own message key.
+ * @param {SettingSyntaxError} error The error.
+ * @returns {{code: string, severity: string, messageKey: string, params: object, line: number, column: number, offset: number}}
+ */
+export function syntaxErrorIssue(error) {
+    return { code: 'syntax', severity: 'error', messageKey: error.reasonKey, params: error.params, line: error.line, column: error.column, offset: error.offset };
+}
@@ -0,0 +1,125 @@
+// rename.js
+
+/**
+ * Batch renaming builds new names for many list items at once. A rename spec:
+ *
+ *   {
+ *     "find": "Center", "replace": "Pivot", "regex": false, "ignoreCase": false,
+ *     "case": "title",                  // "", "upper", "lower" or "title"
+ *     "prefix": "{n} ", "suffix": "",
+ *     "start": 1, "step": 1, "digits": 2
+ *   }
+ *
+ * Steps run in that order: find/replace, case, then prefix and suffix. `{n}` in the
+ * replacement, prefix or suffix is the running number of the item among those renamed.
+ * With a find text, only items whose name contains it are renamed.
+ */
+
+import { MessageError } from './i18n.js';
+
+export const CASE_TRANSFORMS = {
+    upper: name => name.toUpperCase(),
+    lower: name => name.toLowerCase(),
+    title: name => name.toLowerCase().replace(/(^|[\s_-])(\S)/g, (match, separator, letter) => separator + letter.toUpperCase()),
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns the name a list item shows: a group's or page's name, or a control's display name.
+ * @param {object} node A GROUP, PAGE or CONTROL node.
+ * @returns {string}
+ */
+export function displayName(node) {
+    if (node.type === 'GROUP' || node.type === 'PAGE') return node.name;
+    const properties = node.data.properties || {};
+    return properties.Name || properties.LINKS_Name || properties.Source || node.data.key;
+}
+
+/**
+ * Lists the items a batch rename applies to, in list order: the given nodes, or every item
+ * when `nodes` is null. Separators and hidden inputs have no name to change and are left out.
+ * @param {object} root The ROOT node.
+ * @param {Array<object>|null} nodes The selected nodes, or null for the whole list.
+ * @param {Array<string>} [types] The node types to include.
+ * @returns {Array<object>}
+ */
+export function renameTargets(root, nodes, types = ['CONTROL', 'GROUP', 'PAGE']) {
+    const wanted = nodes ? new Set(nodes) : null;
+    const targets = [];
+    (function walk(node) {
+        const included = node.type !== 'ROOT' && types.includes(node.type) && !node.hidden && (!wanted || wanted.has(node));
+        if (included) targets.push(node);
+        node.children.forEach(walk);
+    })(root);
+    return targets;
+}
+
+function compileFind(spec) {
+    if (!spec.find) return null;
+    const flags = spec.ignoreCase ? 'gi' : 'g';
+    if (!spec.regex) return new RegExp(escapeRegExp(spec.find), flags);
+    try {
+        return new RegExp(spec.find, flags);
+    } catch (error) {
+        throw new MessageError('batchRename.error.pattern', { message: error.message });
+    }
+}
+
+/**
+ * Works out the new name of every item without changing anything, for the preview.
+ * @param {Array<object>} nodes The items to rename, from `renameTargets`.
+ * @param {object} spec The rename spec.
+ * @returns {Array<{node: object, from: string, to: string, changed: boolean, error: string|null}>}
+ *          One entry per item. An item whose new name would be empty gets the error 'empty-name'
+ *          and is not renamed.
+ * @throws {MessageError} If the regular expression is invalid or the numbering is not a number.
+ */
+export function planRename(nodes, spec) {
+    const find = compileFind(spec);
+    const start = spec.start === undefined || spec.start === '' ? 1 : Number(spec.start);
+    const step = spec.step === undefined || spec.step === '' ? 1 : Number(spec.step);
+    const digits = spec.digits === undefined || spec.digits === '' ? 1 : Number(spec.digits);
+    if (!Number.isFinite(start) || !Number.isFinite(step) || !Number.isInteger(digits) || digits < 1) {
+        throw new MessageError('batchRename.error.numbering');
+    }
+    const transform = CASE_TRANSFORMS[spec.case] || (name => name);
+
+    let count = 0;
+    return nodes.map(node => {
+        const from = displayName(node);
+        if (find) find.lastIndex = 0;
+        if (find && !find.test(from)) {
+            return { node, from, to: from, changed: false, error: null };
+        }
+        const number = String(start + step * count++).padStart(digits, '0');
+        const withNumber = text => (text || '').replace(/\{n\}/g, number);
+        // Literal replacements are taken as they are; with a regex, $1 and the like insert groups.
+        const replacement = withNumber(spec.replace);
+        let name = find ? from.replace(find, spec.regex ? replacement : () => replacement) : from;
+        name = withNumber(spec.prefix) + transform(name) + withNumber(spec.suffix);
+        const to = name.trim();
+        const error = to === '' ? 'empty-name' : null;
+        return { node, from, to: error ? from : to, changed: !error && to !== from, error };
+    });
+}
+
+/**
+ * Applies a plan from `planRename`: controls get the new display name, groups and pages the
+ * new name. Entries with an error or no change are skipped.
+ * @param {Array<object>} plan The plan.
+ * @returns {number} How many items were renamed.
+ */
+export function applyRename(plan) {
+    let renamed = 0;
+    for (const entry of plan) {
+        if (!entry.changed) continue;
+        if (entry.node.type === 'CONTROL') {
+            entry.node.data.properties.Name = entry.to;
+        } else {
+            entry.node.name = entry.to;
+        }
+        renamed++;
+    }
+    return renamed;
+}
@@ -1,14 +1,78 @@
 // script.js
-import { parseSettingFile } from './parser.js';
-import { generateSettingFile } from './writer.js';
+import { syntaxErrorIssue } from './parser.js';
+import { SettingSyntaxError, sourceExcerpt } from './ast.js';
+import { generateSettingFile, createInstanceInputBlock } from './writer.js';
+import { captureTree, restoreTree, createHistory } from './history.js';
+import { exportLayout, applyLayout } from './layout.js';
+import { parseYaml } from './yaml.js';
+import { buildSideBySide } from './diff.js';
+import { validateMacro } from './validate.js';
+import { buildInspector } from './inspector.js';
+import { createUserControl } from './controls.js';
+import { copiedNodes, copyNodes, pasteNodes } from './clipboard.js';
+import { displayName, renameTargets, planRename, applyRename } from './rename.js';
+import { effectiveExpression, listLinks, setLink } from './links.js';
+import { serializeSession, openEdit, listSessions, saveSession } from './session.js';
+import { LANGUAGES, MessageError, t, detectLanguage, setLanguage, getLanguage, translateDocument } from './i18n.js';
+import { canNestIn, maxNodeId, topLevelNodes, canDropAt, moveNodes, nextInputKey, nextSeparatorKey, findPublishedInput, findInputReferences, isProtectedInput, nodesBetween, nodesInScope, moveSiblings, indentNodes, outdentNodes, groupNodes, removeNodes } from './tree.js';
 
 let tree = { id: 0, type: 'ROOT', children: [], parent: null };
 let segments = [];
+let macros = [];
+let activeMacroIndex = 0;
+let tools = [];
+let macroName = null;
+const openToolNames = new Set();
 let nodeMap = new Map();
 let originalFilename = 'macro.setting';
-let maxAutoLabelIndex = 0;
+let sourceText = '';
 let selectedIds = new Set();
 let lastSelectedId = null;
+let history = createHistory();
+let draggedNodes = [];
+// The id of the next node created in the editor. It only counts up, so an id is never given out
+// twice, not even to a node of another macro while an undone one waits in a redo stack.
+let nextNodeId = 0;
+// The list item that has keyboard focus, and the groups folded in the list (view state only).
+let focusedId = null;
+const collapsedInList = new Set();
+// The page tab shown in the Inspector preview, and groups opened or closed there (view state only).
+let inspectorPage = null;
+const inspectorGroupState = new Map();
+let pendingOutput = null;
+// Problems found in the file last loaded, as shown in the diagnostics panel.
+let loadDiagnostics = null;
+// Items copied or cut in the list; kept when another file or macro is loaded (see clipboard.js).
+let controlsClipboard = null;
+// The expression last entered for a link, offered again for the next one.
+let lastLinkExpression = '';
+// The id the current edit is autosaved under, and the pending (debounced) save.
+let sessionId = null;
+let autosaveTimer = null;
+const AUTOSAVE_DELAY = 500;
+const LANGUAGE_STORAGE_KEY = 'macro-editor-language';
+
+// InstanceInput properties offered in the Properties panel (Name is edited as the Display Name).
+const EDITABLE_PROPERTIES = ['Default', 'MinScale', 'MaxScale', 'MinAllowed', 'MaxAllowed', 'ControlGroup', 'SourceOp', 'Source'];
+const NUMERIC_PROPERTIES = new Set(['MinScale', 'MaxScale', 'MinAllowed', 'MaxAllowed', 'ControlGroup']);
+
+// Listed in the help overlay. The list keys apply while the controls list has focus.
+const SHORTCUTS = [
+    { keys: ['↑', '↓'], action: 'shortcut.moveFocus' },
+    { keys: ['Home', 'End'], action: 'shortcut.focusEnds' },
+    { keys: ['→', '←'], action: 'shortcut.expandCollapse' },
+    { keys: ['Space'], action: 'shortcut.select' },
+    { keys: ['F2', 'Shift+F2'], action: 'shortcut.rename' },
+    { keys: ['Alt+↑', 'Alt+↓'], action: 'shortcut.move' },
+    { keys: ['Tab', 'Shift+Tab'], action: 'shortcut.indent' },
+    { keys: ['Delete'], action: 'shortcut.delete' },
+    { keys: ['Ctrl+G'], action: 'shortcut.group' },
+    { keys: ['Ctrl+A'], action: 'shortcut.selectAll' },
+    { keys: ['Ctrl+C', 'Ctrl+X', 'Ctrl+V'], action: 'shortcut.clipboard' },
+    { keys: ['Ctrl+Z', 'Ctrl+Shift+Z'], action: 'shortcut.undo' },
+    { keys: ['Ctrl+Enter'], action: 'shortcut.output' },
+    { keys: ['?'], action: 'shortcut.help' },
+];
 
 const ui = {
     openBtn: document.getElementById('open-btn'),
@@ -16,23 +80,116 @@ const ui = {
     controlsList: document.getElementById('controls-list'),
     groupBtn: document.getElementById('group-btn'),
     renameBtn: document.getElementById('rename-btn'),
+    batchRenameBtn: document.getElementById('batch-rename-btn'),
+    renameOverlay: document.getElementById('rename-overlay'),
+    renameDialog: document.getElementById('rename-dialog'),
+    renameScope: document.getElementById('rename-scope'),
+    renameControls: document.getElementById('rename-controls'),
+    renameGroups: document.getElementById('rename-groups'),
+    renamePages: document.getElementById('rename-pages'),
+    renameFind: document.getElementById('rename-find'),
+    renameReplace: document.getElementById('rename-replace'),
+    renameRegex: document.getElementById('rename-regex'),
+    renameIgnoreCase: document.getElementById('rename-ignore-case'),
+    renamePrefix: document.getElementById('rename-prefix'),
+    renameSuffix: document.getElementById('rename-suffix'),
+    renameCase: document.getElementById('rename-case'),
+    renameStart: document.getElementById('rename-start'),
+    renameStep: document.getElementById('rename-step'),
+    renameDigits: document.getElementById('rename-digits'),
+    renamePreviewBody: document.getElementById('rename-preview-body'),
+    renameMessage: document.getElementById('rename-message'),
+    renameApplyBtn: document.getElementById('rename-apply-btn'),
+    renameCancelBtn: document.getElementById('rename-cancel-btn'),
     pageBtn: document.getElementById('page-btn'),
     separatorBtn: document.getElementById('separator-btn'),
-    deleteBtn: document.getElementById('delete-btn'),
+    newControlBtn: document.getElementById('new-control-btn'),
+    controlOverlay: document.getElementById('control-overlay'),
+    controlDialog: document.getElementById('control-dialog'),
+    controlType: document.getElementById('control-type'),
+    controlName: document.getElementById('control-name'),
+    controlDefaultRow: document.getElementById('control-default-row'),
+    controlDefault: document.getElementById('control-default'),
+    controlRangeRow: document.getElementById('control-range-row'),
+    controlMin: document.getElementById('control-min'),
+    controlMax: document.getElementById('control-max'),
+    controlOptionsRow: document.getElementById('control-options-row'),
+    controlOptions: document.getElementById('control-options'),
+    controlTooltip: document.getElementById('control-tooltip'),
+    controlCancelBtn: document.getElementById('control-cancel-btn'),
+    ungroupBtn: document.getElementById('ungroup-btn'),
+    unpublishBtn: document.getElementById('unpublish-btn'),
     pasteBtn: document.getElementById('paste-btn'),
+    layoutFileInput: document.getElementById('layout-file-input'),
+    exportLayoutBtn: document.getElementById('export-layout-btn'),
+    importLayoutBtn: document.getElementById('import-layout-btn'),
     outputBtn: document.getElementById('output-btn'),
     moveUpBtn: document.getElementById('move-up-btn'),
     moveDownBtn: document.getElementById('move-down-btn'),
     indentBtn: document.getElementById('indent-btn'),
     outdentBtn: document.getElementById('outdent-btn'),
+    undoBtn: document.getElementById('undo-btn'),
+    redoBtn: document.getElementById('redo-btn'),
+    selectAllBtn: document.getElementById('select-all-btn'),
+    copyItemsBtn: document.getElementById('copy-items-btn'),
+    cutItemsBtn: document.getElementById('cut-items-btn'),
+    pasteItemsBtn: document.getElementById('paste-items-btn'),
+    helpBtn: document.getElementById('help-btn'),
+    languageSelect: document.getElementById('language-select'),
+    diagnosticsPanel: document.getElementById('diagnostics-panel'),
+    diagnosticsSummary: document.getElementById('diagnostics-summary'),
+    diagnosticsList: document.getElementById('diagnostics-list'),
+    diagnosticsCloseBtn: document.getElementById('diagnostics-close-btn'),
+    recentSelect: document.getElementById('recent-select'),
+    helpOverlay: document.getElementById('help-overlay'),
+    helpTableBody: document.querySelector('#help-table tbody'),
+    helpCloseBtn: document.getElementById('help-close-btn'),
     propertyEditor: document.getElementById('property-editor'),
     noSelection: document.getElementById('no-selection'),
     propName: document.getElementById('prop-name'),
     propType: document.getElementById('prop-type'),
+    propKeyRow: document.getElementById('prop-key-row'),
+    propKey: document.getElementById('prop-key'),
+    controlProperties: document.getElementById('control-properties'),
+    groupOptions: document.getElementById('group-options'),
+    propCollapsed: document.getElementById('prop-collapsed'),
+    propDropdown: document.getElementById('prop-dropdown'),
+    propFields: document.getElementById('prop-fields'),
+    newPropKey: document.getElementById('new-prop-key'),
+    newPropValue: document.getElementById('new-prop-value'),
+    addPropBtn: document.getElementById('add-prop-btn'),
+    macroPicker: document.getElementById('macro-picker'),
+    macroSelect: document.getElementById('macro-select'),
+    hostSettings: document.getElementById('host-settings'),
+    hostKind: document.getElementById('host-kind'),
+    hostHelperFields: document.getElementById('host-helper-fields'),
+    hostName: document.getElementById('host-name'),
+    hostType: document.getElementById('host-type'),
+    hostX: document.getElementById('host-x'),
+    hostY: document.getElementById('host-y'),
+    hostToolFields: document.getElementById('host-tool-fields'),
+    hostTool: document.getElementById('host-tool'),
+    applyHostBtn: document.getElementById('apply-host-btn'),
+    toolsFilter: document.getElementById('tools-filter'),
+    toolsList: document.getElementById('tools-list'),
+    noTools: document.getElementById('no-tools'),
+    linksPanel: document.getElementById('links-panel'),
+    linksList: document.getElementById('links-list'),
+    inspectorTabs: document.getElementById('inspector-tabs'),
+    inspectorBody: document.getElementById('inspector-body'),
+    noInspector: document.getElementById('no-inspector'),
     outputArea: document.getElementById('output-area'),
     outputText: document.getElementById('output-text'),
     copyOutputBtn: document.getElementById('copy-output-btn'),
     downloadOutputBtn: document.getElementById('download-output-btn'),
+    diffToggleBtn: document.getElementById('diff-toggle-btn'),
+    outputDiff: document.getElementById('output-diff'),
+    validationPanel: document.getElementById('validation-panel'),
+    validationSummary: document.getElementById('validation-summary'),
+    validationList: document.getElementById('validation-list'),
+    fixAllBtn: document.getElementById('fix-all-btn'),
+    continueOutputBtn: document.getElementById('continue-output-btn'),
+    cancelValidationBtn: document.getElementById('cancel-validation-btn'),
 };
 
 function addClickFeedback(button) {
@@ -42,41 +199,236 @@ function addClickFeedback(button) {
     }, 200); // Remove the class after 200ms
 }
 
-function processInputContent(text, filename = 'clipboard_macro.setting') {
+/**
+ * Applies an edit to the tree as an undoable command.
+ * The tree and selection are captured before and after `mutate` runs; undo and redo
+ * restore those snapshots. If `mutate` returns false, nothing is recorded.
+ * @param {string} label The message key of a short description of the edit, shown in the
+ *        Undo/Redo tooltips.
+ * @param {Function} mutate The function that changes `tree` (and optionally the selection).
+ */
+function runCommand(label, mutate) {
+    const before = captureTree(tree);
+    const selectionBefore = { ids: Array.from(selectedIds), last: lastSelectedId };
+    if (mutate() === false) return;
+    const after = captureTree(tree);
+    const selectionAfter = { ids: Array.from(selectedIds), last: lastSelectedId };
+
+    const restore = (snapshot, selection) => {
+        restoreTree(snapshot);
+        selectedIds = new Set(selection.ids);
+        lastSelectedId = selection.last;
+    };
+    history.push({
+        label,
+        undo: () => restore(before, selectionBefore),
+        redo: () => restore(after, selectionAfter),
+    });
+    render();
+    scheduleAutosave();
+}
+
+function undo() {
+    if (!history.undo()) return;
+    render();
+    renderHostSettings();
+    scheduleAutosave();
+}
+
+function redo() {
+    if (!history.redo()) return;
+    render();
+    renderHostSettings();
+    scheduleAutosave();
+}
+
+/**
+ * Loads a .setting file into the editor.
+ * @param {string} text The file content.
+ * @param {string} [filename] The name used for the downloaded output.
+ * @param {object|null} [session] A stored session whose edits are put back on top of the file.
+ */
+function processInputContent(text, filename = 'clipboard_macro.setting', session = null) {
     try {
-        originalFilename = filename;
+        // The edit being replaced stays available under Recent Files.
+        flushAutosave();
         if (!text || text.trim() === '') {
-            throw new Error("入力が空です。");
+            showDiagnostics('diagnostics.failed', [{ code: 'empty', severity: 'error', messageKey: 'load.empty' }], '');
+            return;
         }
 
-        const result = parseSettingFile(text);
+        // Everything is worked out before any state is replaced, so a file or session that
+        // cannot be loaded leaves the current edit as it was.
+        const { id, result, macros: loaded } = openEdit(text, filename, session);
+        const { issues } = result.diagnostics;
 
-        if (!result || !result.tree || !result.segments || result.tree.children.length === 0) {
-            const error = new Error("ファイルの解析に失敗しました。対応していない形式か、ファイルが破損している可能性があります。");
-            error.diagnostics = result.diagnostics;
-            throw error;
+        const firstEditable = result.macros.findIndex(macro => macro.tree.children.length > 0);
+        if (firstEditable === -1) {
+            const fallback = [{ code: 'unsupported', severity: 'error', messageKey: 'load.unsupported' }];
+            showDiagnostics('diagnostics.failed', issues.length > 0 ? issues : fallback, text);
+            return;
         }
 
-        tree = result.tree;
+        originalFilename = filename;
         segments = result.segments;
-        maxAutoLabelIndex = result.maxAutoLabelIndex || 0;
-        selectedIds.clear();
-        lastSelectedId = null;
-        render();
+        sourceText = text;
+        sessionId = id;
+        // Each macro keeps its own undo history; node ids are unique across the file.
+        macros = loaded.map(macro => ({ ...macro, history: createHistory() }));
+        nextNodeId = maxNodeId(macros.map(macro => macro.tree)) + 1;
+        hideValidation();
+        ui.outputText.value = '';
+        showOutputText();
+        renderMacroPicker();
+        selectMacro(session && macros[session.activeMacroIndex] ? session.activeMacroIndex : firstEditable);
+        if (issues.length > 0) {
+            showDiagnostics('diagnostics.loaded', issues, text);
+        } else {
+            hideDiagnostics();
+        }
     } catch (error) {
-        alert(`読み込みに失敗しました。\n\n[エラー]\n${error.message}`);
-        console.error("======= Macro Parsing Failed: Diagnostic Report =======");
-        console.error("Error: ", error.message);
-        if (error.diagnostics) {
-            console.log("--- Analysis Status ---");
-            console.log("Found GroupOperator Block?: ", error.diagnostics.foundGroupOperator);
-            console.log("Extracted 'groupBody' (first 200 chars):\n", error.diagnostics.groupBodySnippet);
-            console.log("Extracted 'inputsBlock' (first 200 chars):\n", error.diagnostics.inputsBlockSnippet);
-            console.log("Extracted 'toolsBlock' (first 200 chars):\n", error.diagnostics.toolsBlockSnippet);
+        if (error instanceof SettingSyntaxError) {
+            showDiagnostics('diagnostics.failed', [syntaxErrorIssue(error)], text);
+        } else {
+            const message = error instanceof MessageError ? { messageKey: error.messageKey, params: error.params } : { message: error.message };
+            showDiagnostics('diagnostics.failed', [{ code: 'exception', severity: 'error', ...message }], text || '');
+            console.error('Error while loading the file:', error);
+        }
+    }
+}
+
+/**
+ * Makes one of the file's macros the one shown and edited.
+ * @param {number} index The index of the macro in `macros`.
+ */
+function selectMacro(index) {
+    const macro = macros[index];
+    activeMacroIndex = index;
+    tree = macro.tree;
+    tools = macro.tools || [];
+    macroName = macro.name;
+    history = macro.history;
+    openToolNames.clear();
+    selectedIds.clear();
+    lastSelectedId = null;
+    focusedId = null;
+    collapsedInList.clear();
+    inspectorPage = null;
+    inspectorGroupState.clear();
+    ui.macroSelect.value = String(index);
+    render();
+    renderHostSettings();
+}
+
+/**
+ * Fills the macro selector. It is only shown when the file contains more than one macro;
+ * nested macros are indented under the macro that contains them.
+ */
+function renderMacroPicker() {
+    ui.macroSelect.innerHTML = '';
+    macros.forEach((macro, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = `${'\u00a0\u00a0'.repeat(macro.depth)}${macro.name} (${macro.type})`;
+        ui.macroSelect.appendChild(option);
+    });
+    ui.macroPicker.hidden = macros.length < 2;
+}
+
+/**
+ * Shows where the active macro keeps its group labels and separators.
+ */
+function renderHostSettings() {
+    const macro = macros[activeMacroIndex];
+    ui.hostSettings.hidden = !macro;
+    if (!macro) return;
+    const host = macro.host;
+
+    ui.hostTool.innerHTML = '';
+    tools.forEach(tool => {
+        const option = document.createElement('option');
+        option.value = tool.name;
+        option.textContent = `${tool.name} (${tool.type})`;
+        ui.hostTool.appendChild(option);
+    });
+    ui.hostKind.value = host.kind;
+    if (host.kind === 'tool') {
+        ui.hostTool.value = host.name;
+        // Suggest a helper node in case the labels are moved off the tool.
+        ui.hostName.value = 'background_helper';
+        ui.hostType.value = 'Background';
+        [ui.hostX.value, ui.hostY.value] = ['0', '-100'];
+    } else {
+        ui.hostName.value = host.name;
+        ui.hostType.value = host.type;
+        [ui.hostX.value, ui.hostY.value] = host.position.map(String);
+    }
+    updateHostFields();
+}
+
+function updateHostFields() {
+    const isTool = ui.hostKind.value === 'tool';
+    ui.hostHelperFields.hidden = isTool;
+    ui.hostToolFields.hidden = !isTool;
+}
+
+/**
+ * Changes where the active macro keeps its group labels and separators, as an undoable command.
+ * The group and separator InstanceInputs follow the host when the file is written.
+ */
+function applyHostSettings() {
+    const macro = macros[activeMacroIndex];
+    let host;
+    if (ui.hostKind.value === 'tool') {
+        if (!ui.hostTool.value) {
+            alert(t('host.noTools'));
+            return;
+        }
+        host = { kind: 'tool', name: ui.hostTool.value };
+    } else {
+        const name = ui.hostName.value.trim();
+        const position = [Number(ui.hostX.value), Number(ui.hostY.value)];
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            alert(t('host.invalidName'));
+            return;
+        }
+        // Tool names are unique across the whole file, nested macros included.
+        const takenNames = new Set(macros.flatMap(other => [
+            other.name,
+            ...(other.tools || []).map(tool => tool.name),
+            ...(other !== macro && other.host.kind === 'helper' ? [other.host.name] : []),
+        ]));
+        if (takenNames.has(name)) {
+            alert(t('host.nameTaken', { name }));
+            return;
+        }
+        if (ui.hostX.value === '' || ui.hostY.value === '' || position.some(Number.isNaN)) {
+            alert(t('host.positionMissing'));
+            return;
         }
-        console.error("Full error object: ", error);
-        console.error("=====================================================");
+        host = { kind: 'helper', name, type: ui.hostType.value, position };
     }
+
+    const before = macro.host;
+    if (JSON.stringify(before) === JSON.stringify(host)) return;
+    const setHost = value => {
+        macro.host = value;
+        macro.helperName = value.name;
+        // User controls created in the editor move with the host.
+        (function walk(node) {
+            if (node.userControl) node.data.properties.SourceOp = value.name;
+            node.children.forEach(walk);
+        })(macro.tree);
+    };
+    setHost(host);
+    history.push({
+        label: 'command.changeLabelHost',
+        undo: () => setHost(before),
+        redo: () => setHost(host),
+    });
+    render();
+    renderHostSettings();
+    scheduleAutosave();
 }
 
 function buildNodeMap(node) {
@@ -90,6 +442,7 @@ function getFlatListForRender() {
     function flatten(node, depth = 0) {
         let list = [];
         if (node.type !== 'ROOT' && !node.hidden) { list.push({ ...node, depth }); }
+        if (collapsedInList.has(node.id)) return list;
         const childrenDepth = (node.type === 'GROUP') ? depth + 1 : depth;
         if (node.children) { node.children.forEach(child => { list = list.concat(flatten(child, childrenDepth)); }); }
         return list;
@@ -98,18 +451,35 @@ function getFlatListForRender() {
 }
 
 const render = () => {
+    // Re-rendering replaces the items, so focus has to be put back on the new one.
+    const listHadFocus = ui.controlsList.contains(document.activeElement);
     ui.controlsList.innerHTML = '';
     nodeMap.clear();
     buildNodeMap(tree);
+    selectedIds.forEach(id => { if (!nodeMap.has(id)) selectedIds.delete(id); });
+    if (lastSelectedId !== null && !nodeMap.has(lastSelectedId)) lastSelectedId = null;
+    collapsedInList.forEach(id => { if (!nodeMap.has(id)) collapsedInList.delete(id); });
     const flatList = getFlatListForRender();
+    if (!flatList.some(item => item.id === focusedId)) {
+        // Focus moves to the nearest visible ancestor (e.g. after collapsing its group), else the first item.
+        let node = nodeMap.get(focusedId);
+        while (node && !flatList.some(item => item.id === node.id)) node = node.parent;
+        focusedId = node ? node.id : (flatList.length > 0 ? flatList[0].id : null);
+    }
 
     flatList.forEach(item => {
         const li = document.createElement('li');
         const contentDiv = document.createElement('div');
 
         li.dataset.id = item.id;
+        li.draggable = true;
         li.className = `list-item ${item.type.toLowerCase()}-item`;
         li.style.paddingLeft = `${item.depth * 20}px`;
+        li.setAttribute('role', 'treeitem');
+        li.setAttribute('aria-level', String(item.depth + 1));
+        li.setAttribute('aria-selected', String(selectedIds.has(item.id)));
+        if (item.type === 'GROUP') li.setAttribute('aria-expanded', String(!collapsedInList.has(item.id)));
+        li.tabIndex = item.id === focusedId ? 0 : -1;
 
         contentDiv.className = 'list-item-content';
         if (selectedIds.has(item.id)) {
@@ -120,72 +490,421 @@ const render = () => {
             case 'CONTROL':
                 contentDiv.textContent = `${item.data.properties.Name || item.data.properties.LINKS_Name || item.data.properties.Source || item.data.key}`;
                 break;
-            case 'GROUP':
-                contentDiv.textContent = `▶ ${item.name}`;
+            case 'GROUP': {
+                const toggle = document.createElement('span');
+                toggle.className = 'tree-toggle';
+                toggle.setAttribute('aria-hidden', 'true');
+                toggle.textContent = collapsedInList.has(item.id) ? '▶' : '▼';
+                contentDiv.append(toggle, item.name);
                 break;
+            }
             case 'PAGE':
-                contentDiv.textContent = `--- Page: ${item.name} ---`;
+                contentDiv.textContent = t('list.page', { name: item.name });
                 break;
             case 'SEPARATOR':
-                contentDiv.textContent = '--- Separator ---';
+                contentDiv.textContent = t('list.separator');
                 break;
         }
         li.appendChild(contentDiv);
         ui.controlsList.appendChild(li);
     });
+    if (listHadFocus) focusListItem(focusedId);
     updateButtonStates();
     updatePropertyEditor();
+    renderToolsPanel();
+    renderInspector();
 };
 
-const updateButtonStates = () => {
-    const selectionSize = selectedIds.size;
-    const hasSelection = selectionSize > 0;
-    const isSingleSelection = selectionSize === 1;
+function createToolInputRow(tool, input) {
+    const row = document.createElement('div');
+    row.className = 'tool-input-row';
+
+    const expression = effectiveExpression(macros[activeMacroIndex].expressionEdits, tool.name, input);
+    const idSpan = document.createElement('span');
+    idSpan.className = 'tool-input-id';
+    idSpan.textContent = input.id;
+    idSpan.title = expression ? t('tools.expression', { expression }) : (input.value !== undefined ? t('tools.value', { value: input.value }) : input.id);
+    row.appendChild(idSpan);
+
+    const published = findPublishedInput(tree, tool.name, input.id);
+    if (published) {
+        const state = document.createElement('span');
+        state.className = 'tool-input-state';
+        state.textContent = published.data.key;
+        row.appendChild(state);
+    } else if (input.connectedTo) {
+        const state = document.createElement('span');
+        state.className = 'tool-input-state';
+        state.textContent = `← ${input.connectedTo}`;
+        row.appendChild(state);
+    } else {
+        const publishBtn = document.createElement('button');
+        publishBtn.className = 'publish-btn';
+        publishBtn.dataset.tool = tool.name;
+        publishBtn.dataset.input = input.id;
+        publishBtn.textContent = t('tools.publish');
+        row.appendChild(publishBtn);
+    }
+    if (!input.connectedTo) {
+        const linkBtn = document.createElement('button');
+        linkBtn.className = 'link-btn';
+        linkBtn.dataset.tool = tool.name;
+        linkBtn.dataset.input = input.id;
+        linkBtn.textContent = expression ? t('tools.linked') : t('tools.link');
+        linkBtn.title = expression ? t('tools.expression', { expression }) : t('tools.link.title');
+        row.appendChild(linkBtn);
+    }
+    return row;
+}
 
-    ui.outputBtn.disabled = tree.children.length === 0;
-    ui.groupBtn.disabled = !hasSelection;
-    ui.pageBtn.disabled = !isSingleSelection;
-    ui.separatorBtn.disabled = !isSingleSelection;
-    ui.deleteBtn.disabled = !hasSelection;
-
-    if (!hasSelection) {
-        ui.moveUpBtn.disabled = true;
-        ui.moveDownBtn.disabled = true;
-        ui.indentBtn.disabled = true;
-        ui.outdentBtn.disabled = true;
-        ui.renameBtn.disabled = true;
+/**
+ * Lists the tools inside the macro with their inputs, marking the ones already published.
+ */
+function renderToolsPanel() {
+    ui.toolsList.innerHTML = '';
+    ui.noTools.style.display = tools.length === 0 ? 'block' : 'none';
+    const filter = ui.toolsFilter.value.trim().toLowerCase();
+
+    tools.forEach(tool => {
+        const toolMatches = !filter || tool.name.toLowerCase().includes(filter) || tool.type.toLowerCase().includes(filter);
+        const inputIds = [...tool.inputs.map(input => input.id), ...tool.userControls.filter(id => !tool.inputs.some(input => input.id === id))];
+        const inputs = inputIds
+            .map(id => tool.inputs.find(input => input.id === id) || { id })
+            .filter(input => toolMatches || input.id.toLowerCase().includes(filter));
+        if (!toolMatches && inputs.length === 0) return;
+
+        const details = document.createElement('details');
+        details.className = 'tool-entry';
+        details.dataset.tool = tool.name;
+        details.open = openToolNames.has(tool.name) || (!!filter && !toolMatches);
+
+        const summary = document.createElement('summary');
+        summary.textContent = `${tool.name} `;
+        const typeSpan = document.createElement('span');
+        typeSpan.className = 'tool-type';
+        typeSpan.textContent = tool.type;
+        summary.appendChild(typeSpan);
+        details.appendChild(summary);
+
+        inputs.forEach(input => details.appendChild(createToolInputRow(tool, input)));
+
+        // Inputs left at their defaults are not stored in the file, so allow entering any input ID.
+        const customRow = document.createElement('div');
+        customRow.className = 'tool-input-row';
+        const customInput = document.createElement('input');
+        customInput.type = 'text';
+        customInput.placeholder = t('tools.otherInput');
+        customInput.className = 'custom-input-id';
+        const customBtn = document.createElement('button');
+        customBtn.className = 'publish-btn';
+        customBtn.dataset.tool = tool.name;
+        customBtn.textContent = t('tools.publish');
+        const customLinkBtn = document.createElement('button');
+        customLinkBtn.className = 'link-btn';
+        customLinkBtn.dataset.tool = tool.name;
+        customLinkBtn.textContent = t('tools.link');
+        customRow.append(customInput, customBtn, customLinkBtn);
+        details.appendChild(customRow);
+
+        ui.toolsList.appendChild(details);
+    });
+    renderLinks();
+}
+
+/**
+ * Lists the tool inputs driven by an expression, each with a button to remove the link.
+ */
+function renderLinks() {
+    const links = macros.length > 0 ? listLinks(tools, macros[activeMacroIndex].expressionEdits) : [];
+    ui.linksList.innerHTML = '';
+    ui.linksPanel.hidden = links.length === 0;
+    links.forEach(link => {
+        const li = document.createElement('li');
+        li.className = 'tool-input-row';
+        const text = document.createElement('span');
+        text.className = 'tool-input-id';
+        text.textContent = `${link.tool}.${link.input} = ${link.expression}`;
+        text.title = text.textContent;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'unlink-btn';
+        removeBtn.dataset.tool = link.tool;
+        removeBtn.dataset.input = link.input;
+        removeBtn.textContent = t('links.remove');
+        li.append(text, removeBtn);
+        ui.linksList.appendChild(li);
+    });
+}
+
+/**
+ * Sets (or with null, removes) the expression of a tool input, as an undoable command.
+ */
+function applyLink(toolName, inputId, expression) {
+    const macro = macros[activeMacroIndex];
+    const before = macro.expressionEdits || {};
+    const after = setLink(before, tools, toolName, inputId, expression);
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    const setEdits = value => { macro.expressionEdits = value; };
+    setEdits(after);
+    history.push({
+        label: expression === null ? 'command.removeLink' : 'command.linkInput',
+        undo: () => setEdits(before),
+        redo: () => setEdits(after),
+    });
+    render();
+    scheduleAutosave();
+}
+
+/**
+ * Asks for the expression that drives a tool input. The selected control is offered as the
+ * starting point, e.g. `background_helper.MySlider`; an empty answer removes the link.
+ */
+function linkToolInput(toolName, inputId) {
+    const tool = tools.find(item => item.name === toolName);
+    const input = (tool && tool.inputs.find(item => item.id === inputId)) || { id: inputId };
+    const current = effectiveExpression(macros[activeMacroIndex].expressionEdits, toolName, input);
+    const selection = selectedNodes();
+    const control = selection.length === 1 && selection[0].type === 'CONTROL' ? selection[0].data.properties : null;
+    const suggestion = current
+        || (control && control.SourceOp && control.Source ? `${control.SourceOp}.${control.Source}` : lastLinkExpression);
+
+    const expression = prompt(t('links.prompt', { input: `${toolName}.${inputId}` }), suggestion);
+    if (expression === null) return;
+    if (expression.trim() === '') {
+        if (current) applyLink(toolName, inputId, null);
         return;
     }
+    lastLinkExpression = expression.trim();
+    applyLink(toolName, inputId, expression.trim());
+}
+
+// --- INSPECTOR PREVIEW ---
+
+/**
+ * Builds a disabled look-alike of the Fusion widget for a control.
+ * @param {object} item A control item from `buildInspector`.
+ * @returns {HTMLElement}
+ */
+function createInspectorWidget(item) {
+    const input = document.createElement('input');
+    input.disabled = true;
+    switch (item.widget) {
+        case 'slider':
+            input.type = 'range';
+            input.min = '0';
+            input.max = '1';
+            input.step = 'any';
+            if (item.default !== undefined && !Number.isNaN(Number(item.default))) input.value = item.default;
+            return input;
+        case 'checkbox':
+            input.type = 'checkbox';
+            input.checked = Number(item.default) === 1;
+            return input;
+        case 'combo': {
+            const select = document.createElement('select');
+            select.disabled = true;
+            (item.options.length > 0 ? item.options : ['…']).forEach(option => select.add(new Option(option)));
+            return select;
+        }
+        case 'text':
+            input.type = 'text';
+            return input;
+        case 'color': {
+            const swatch = document.createElement('span');
+            swatch.className = 'inspector-swatch';
+            swatch.title = item.sources.join(', ');
+            return swatch;
+        }
+        case 'point': {
+            const point = document.createElement('span');
+            point.className = 'inspector-point';
+            point.textContent = 'X 0.5  Y 0.5';
+            return point;
+        }
+        case 'button': {
+            const button = document.createElement('button');
+            button.disabled = true;
+            button.textContent = item.name;
+            return button;
+        }
+        default: {
+            const note = document.createElement('span');
+            note.className = 'inspector-note';
+            note.textContent = item.widget === 'other' ? '' : t(`inspector.widget.${item.widget}`);
+            return note;
+        }
+    }
+}
+
+function appendInspectorItems(container, items) {
+    items.forEach(item => {
+        if (item.kind === 'separator') {
+            const line = document.createElement('hr');
+            line.className = 'inspector-separator';
+            container.appendChild(line);
+            return;
+        }
+        if (item.kind === 'group') {
+            const open = inspectorGroupState.has(item.id) ? inspectorGroupState.get(item.id) : !item.collapsed;
+            const group = document.createElement('div');
+            group.className = 'inspector-group';
+            const header = document.createElement('button');
+            header.className = 'inspector-group-header';
+            header.dataset.id = item.id;
+            header.setAttribute('aria-expanded', String(open));
+            header.textContent = `${open ? '▼' : '▶'} ${item.name}`;
+            group.appendChild(header);
+            if (open) {
+                const body = document.createElement('div');
+                body.className = 'inspector-group-body';
+                appendInspectorItems(body, item.items);
+                group.appendChild(body);
+            }
+            container.appendChild(group);
+            return;
+        }
 
-    const firstNode = nodeMap.get(Array.from(selectedIds)[0]);
-    if (!firstNode) return;
+        const row = document.createElement('div');
+        row.className = 'inspector-row';
+        row.dataset.id = item.id;
+        if (selectedIds.has(item.id)) row.classList.add('selected');
+        const label = document.createElement('span');
+        label.className = 'inspector-label';
+        label.textContent = item.widget === 'button' ? '' : item.name;
+        row.append(label, createInspectorWidget(item));
+        container.appendChild(row);
+    });
+}
 
-    const canRename = isSingleSelection && ((firstNode.type === 'GROUP' || firstNode.type === 'PAGE') || (firstNode.type === 'CONTROL' && !firstNode.hidden));
-    ui.renameBtn.disabled = !canRename;
+/**
+ * Shows the macro's controls the way Fusion's Inspector lays them out: pages as tabs,
+ * groups as collapsible headers, separators as lines and a widget for each control.
+ */
+function renderInspector() {
+    const pages = tree.children.length > 0 ? buildInspector(tree, tools) : [];
+    ui.inspectorTabs.innerHTML = '';
+    ui.inspectorBody.innerHTML = '';
+    ui.noInspector.style.display = pages.length === 0 ? 'block' : 'none';
+    if (pages.length === 0) return;
+
+    if (!pages.some(page => page.name === inspectorPage)) inspectorPage = pages[0].name;
+    pages.forEach(page => {
+        const tab = document.createElement('button');
+        tab.className = 'inspector-tab';
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', String(page.name === inspectorPage));
+        tab.dataset.page = page.name;
+        tab.textContent = page.name;
+        ui.inspectorTabs.appendChild(tab);
+    });
+    appendInspectorItems(ui.inspectorBody, pages.find(page => page.name === inspectorPage).items);
+}
 
-    if (!isSingleSelection) {
-        ui.moveUpBtn.disabled = true;
-        ui.moveDownBtn.disabled = true;
-        ui.indentBtn.disabled = true;
-        ui.outdentBtn.disabled = true;
+/**
+ * Publishes a tool input as a new InstanceInput, placed after the selected item
+ * (or at the end of the list when nothing is selected).
+ */
+function publishToolInput(toolName, inputId) {
+    const existing = findPublishedInput(tree, toolName, inputId);
+    if (existing) {
+        alert(t('publish.alreadyPublished', { input: `${toolName}.${inputId}`, key: existing.data.key }));
         return;
     }
+    const name = prompt(t('publish.namePrompt'), inputId);
+    if (name === null) return;
+
+    runCommand('command.publishInput', () => {
+        const key = nextInputKey(tree);
+        const properties = { SourceOp: toolName, Source: inputId };
+        if (name.trim() !== '') properties.Name = name.trim();
+
+        const anchor = selectedIds.size === 1 ? nodeMap.get(selectedIds.values().next().value) : null;
+        const parent = anchor ? anchor.parent : tree;
+        const index = anchor ? parent.children.indexOf(anchor) + 1 : parent.children.length;
+        const newNode = {
+            id: nextNodeId++, type: 'CONTROL', parent, children: [], hidden: false,
+            data: { key, properties: { ...properties }, originalBlock: createInstanceInputBlock(key, properties) }
+        };
+        parent.children.splice(index, 0, newNode);
 
-    const parent = firstNode.parent;
-    const siblings = parent ? parent.children : [];
-    const currentIndex = siblings.indexOf(firstNode);
-
-    ui.moveUpBtn.disabled = currentIndex === 0;
-    ui.moveDownBtn.disabled = currentIndex === siblings.length - 1;
+        selectedIds.clear();
+        selectedIds.add(newNode.id);
+        lastSelectedId = newNode.id;
+    });
+}
 
-    const itemAbove = currentIndex > 0 ? siblings[currentIndex - 1] : null;
-    const canIndent = itemAbove && itemAbove.type === 'GROUP' && (firstNode.type === 'CONTROL' || firstNode.type === 'GROUP' || firstNode.type === 'SEPARATOR') && firstNode.parent === itemAbove.parent;
-    ui.indentBtn.disabled = !canIndent;
+const updateButtonStates = () => {
+    const selectionSize = selectedIds.size;
+    const hasSelection = selectionSize > 0;
+    const isSingleSelection = selectionSize === 1;
 
-    const canOutdent = parent && parent.type === 'GROUP';
-    ui.outdentBtn.disabled = !canOutdent;
+    ui.outputBtn.disabled = tree.children.length === 0;
+    ui.exportLayoutBtn.disabled = tree.children.length === 0;
+    ui.importLayoutBtn.disabled = tree.children.length === 0;
+    ui.undoBtn.disabled = !history.canUndo();
+    ui.redoBtn.disabled = !history.canRedo();
+    ui.undoBtn.title = history.canUndo() ? t('toolbar.undoCommand.title', { command: t(history.undoLabel()) }) : t('toolbar.undo.title');
+    ui.redoBtn.title = history.canRedo() ? t('toolbar.redoCommand.title', { command: t(history.redoLabel()) }) : t('toolbar.redo.title');
+    ui.selectAllBtn.disabled = tree.children.length === 0;
+    ui.newControlBtn.disabled = tree.children.length === 0;
+    const selection = selectedNodes();
+    const topNodes = topLevelNodes(tree, selection);
+    ui.groupBtn.disabled = !hasSelection || !topNodes.every(node => node.type !== 'PAGE');
+    ui.pageBtn.disabled = !hasSelection;
+    ui.separatorBtn.disabled = !hasSelection;
+    ui.ungroupBtn.disabled = !hasSelection || !selection.every(node => node.type === 'GROUP' || node.type === 'PAGE');
+    ui.unpublishBtn.disabled = !hasSelection || selection.some(isProtectedInput);
+    ui.copyItemsBtn.disabled = copiedNodes(tree, selection).length === 0;
+    ui.cutItemsBtn.disabled = ui.copyItemsBtn.disabled || selection.some(isProtectedInput);
+    ui.pasteItemsBtn.disabled = !controlsClipboard || tree.children.length === 0;
+
+    const firstNode = topNodes[0];
+    const canRename = isSingleSelection && !!firstNode && ((firstNode.type === 'GROUP' || firstNode.type === 'PAGE') || (firstNode.type === 'CONTROL' && !firstNode.hidden));
+    ui.renameBtn.disabled = !canRename;
+    ui.batchRenameBtn.disabled = tree.children.length === 0;
+
+    // A bulk move is possible when at least one selected item has an unselected neighbour
+    // to pass; adjacent selected items move along with it.
+    const movingSet = new Set(topNodes);
+    const siblingOf = (node, offset) => node.parent.children[node.parent.children.indexOf(node) + offset];
+    const canStep = offset => topNodes.some(node => {
+        const other = siblingOf(node, offset);
+        return other && !movingSet.has(other);
+    });
+    ui.moveUpBtn.disabled = !hasSelection || !canStep(-1);
+    ui.moveDownBtn.disabled = !hasSelection || !canStep(1);
+    ui.indentBtn.disabled = !topNodes.some(node => {
+        const above = siblingOf(node, -1);
+        return above && !movingSet.has(above) && canNestIn(node, above);
+    });
+    ui.outdentBtn.disabled = !topNodes.some(node => node.parent.type === 'GROUP');
 };
 
+function createPropertyRow(key, value, removable) {
+    const label = document.createElement('label');
+    label.textContent = key;
+    label.htmlFor = `prop-field-${key}`;
+
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `prop-field-${key}`;
+    input.dataset.prop = key;
+    input.value = value === undefined ? '' : value;
+    if (NUMERIC_PROPERTIES.has(key)) input.inputMode = 'decimal';
+    row.appendChild(input);
+
+    if (removable) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-prop-btn';
+        removeBtn.dataset.prop = key;
+        removeBtn.title = t('properties.remove', { key });
+        removeBtn.textContent = '×';
+        row.appendChild(removeBtn);
+    }
+    return [label, row];
+}
+
 const updatePropertyEditor = () => {
     if (selectedIds.size !== 1) {
         ui.propertyEditor.style.display = 'none';
@@ -199,14 +918,35 @@ const updatePropertyEditor = () => {
     const node = nodeMap.get(selectedIds.values().next().value);
     if (!node) return;
     ui.propType.value = node.type;
+    ui.propKeyRow.style.display = node.data && node.data.key ? 'block' : 'none';
+    ui.propKey.value = node.data && node.data.key ? node.data.key : '';
+    ui.controlProperties.style.display = 'none';
+    ui.groupOptions.style.display = node.type === 'GROUP' ? 'block' : 'none';
 
     switch (node.type) {
-        case 'CONTROL':
-            ui.propName.value = node.data.properties.Name || node.data.properties.LINKS_Name || '';
+        case 'CONTROL': {
+            const properties = node.data.properties;
+            ui.propName.value = properties.Name || properties.LINKS_Name || '';
+            ui.propName.disabled = !!node.hidden;
+            ui.controlProperties.style.display = 'block';
+            ui.propFields.innerHTML = '';
+            EDITABLE_PROPERTIES.forEach(key => {
+                ui.propFields.append(...createPropertyRow(key, properties[key], false));
+            });
+            Object.keys(properties)
+                .filter(key => key !== 'Name' && !EDITABLE_PROPERTIES.includes(key))
+                .forEach(key => ui.propFields.append(...createPropertyRow(key, properties[key], true)));
             break;
+        }
         case 'GROUP':
+            ui.propName.value = node.name;
+            ui.propName.disabled = false;
+            ui.propCollapsed.checked = !!node.collapsed;
+            ui.propDropdown.checked = node.dropDownButton !== false;
+            break;
         case 'PAGE':
             ui.propName.value = node.name;
+            ui.propName.disabled = false;
             break;
         case 'SEPARATOR':
             ui.propertyEditor.style.display = 'none';
@@ -215,6 +955,29 @@ const updatePropertyEditor = () => {
     }
 };
 
+/**
+ * Sets (or, for an empty value, removes) a property of the selected control as an undoable edit.
+ * @returns {boolean} False if the value was rejected.
+ */
+function editControlProperty(node, key, rawValue) {
+    const value = rawValue.trim();
+    if (value !== '' && NUMERIC_PROPERTIES.has(key) && !Number.isFinite(Number(value))) {
+        alert(t('properties.notNumber', { key }));
+        return false;
+    }
+    const properties = node.data.properties;
+    if ((value === '' && !(key in properties)) || properties[key] === value) return true;
+
+    runCommand(value === '' ? 'command.removeProperty' : 'command.setProperty', () => {
+        if (value === '') {
+            delete node.data.properties[key];
+        } else {
+            node.data.properties[key] = value;
+        }
+    });
+    return true;
+}
+
 // --- EVENT HANDLERS ---
 ui.openBtn.addEventListener('click', () => {
     addClickFeedback(ui.openBtn);
@@ -224,10 +987,9 @@ ui.openBtn.addEventListener('click', () => {
 ui.fileInput.addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
-    originalFilename = file.name;
     const reader = new FileReader();
     reader.onload = (ev) => {
-        processInputContent(ev.target.result, originalFilename);
+        processInputContent(ev.target.result, file.name);
     };
     reader.readAsText(file);
     e.target.value = '';
@@ -240,36 +1002,128 @@ ui.pasteBtn.addEventListener('click', async () => {
         if (text) {
             processInputContent(text);
         } else {
-            alert('Clipboard is empty or contains no text.');
+            alert(t('load.clipboardEmpty'));
         }
     } catch (err) {
-        alert('Failed to read from clipboard. Please ensure you have granted clipboard access.');
+        alert(t('load.clipboardFailed'));
         console.error('Failed to read clipboard contents: ', err);
     }
 });
 
+/**
+ * Offers a text as a file download.
+ * @param {string} text The file content.
+ * @param {string} filename The suggested file name.
+ * @param {string} type The MIME type.
+ */
+function downloadText(text, filename, type) {
+    const blob = new Blob([text], { type });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(a.href);
+}
+
+// Inputs are recorded with their SourceOp/Source so the template still applies after the
+// macro is re-exported from Fusion and its keys are renumbered.
+ui.exportLayoutBtn.addEventListener('click', () => {
+    addClickFeedback(ui.exportLayoutBtn);
+    const template = { macro: macroName, ...exportLayout(tree, { sources: true }) };
+    downloadText(JSON.stringify(template, null, 2) + '\n', `${macroName || 'macro'}.layout.json`, 'application/json;charset=utf-8');
+});
+
+ui.importLayoutBtn.addEventListener('click', () => {
+    addClickFeedback(ui.importLayoutBtn);
+    ui.layoutFileInput.click();
+});
+
+/**
+ * Applies a layout template to the current macro as one undoable edit and reports
+ * which inputs were matched, which are new to the template and which it names but the macro lacks.
+ * @param {string} text The template file content (JSON or YAML).
+ * @param {string} filename The template file name.
+ */
+function importLayout(text, filename) {
+    let layout;
+    try {
+        layout = /\.ya?ml$/i.test(filename) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+        alert(t('layout.readFailed', { filename, message: error.message }));
+        return;
+    }
+
+    let report = null;
+    const before = captureTree(tree);
+    try {
+        runCommand('command.importLayout', () => {
+            report = applyLayout(tree, layout, { firstId: nextNodeId });
+            nextNodeId = Math.max(nextNodeId, maxNodeId([tree]) + 1);
+            selectedIds.clear();
+            lastSelectedId = null;
+        });
+    } catch (error) {
+        // A malformed layout can fail halfway through; put the tree back as it was.
+        restoreTree(before);
+        render();
+        alert(t('layout.applyFailed', { message: errorMessage(error) }));
+        return;
+    }
+
+    const list = keys => (keys.length > 0 ? keys.join(', ') : t('layout.none'));
+    const lines = [t('layout.matched', { count: report.placed.length })];
+    if (report.rekeyed.length > 0) {
+        lines.push(t('layout.rekeyed', { keys: report.rekeyed.map(({ from, to }) => `${from} → ${to}`).join(', ') }));
+    }
+    lines.push(t('layout.unplaced', { keys: list(report.unplaced) }));
+    lines.push(t('layout.missing', { keys: list(report.missing) }));
+    if (report.removedGroups.length > 0) {
+        lines.push(t('layout.removedGroups', { groups: report.removedGroups.join(', ') }));
+    }
+    if (layout.macro && macroName && layout.macro !== macroName) {
+        lines.push('', t('layout.otherMacro', { macro: layout.macro }));
+    }
+    alert(lines.join('\n'));
+}
+
+ui.layoutFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+        importLayout(ev.target.result, file.name);
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+});
+
 ui.controlsList.addEventListener('click', (e) => {
     const li = e.target.closest('li.list-item');
     if (!li) return;
     const clickedId = parseInt(li.dataset.id, 10);
     const clickedNode = nodeMap.get(clickedId);
+    const toggle = e.ctrlKey || e.metaKey;
+    focusedId = clickedId;
 
-    if (e.shiftKey && lastSelectedId !== null) {
-        const lastNode = nodeMap.get(lastSelectedId);
-        if (clickedNode && lastNode && clickedNode.type === 'CONTROL' && lastNode.type === 'CONTROL' && clickedNode.parent === lastNode.parent) {
-            const siblings = clickedNode.parent.children;
-            const lastIndex = siblings.indexOf(lastNode);
-            const clickedIndex = siblings.indexOf(clickedNode);
-            const start = Math.min(lastIndex, clickedIndex);
-            const end = Math.max(lastIndex, clickedIndex);
+    if (e.target.closest('.tree-toggle')) {
+        toggleListGroup(clickedNode);
+        return;
+    }
 
-            selectedIds.clear();
-            for (let i = start; i <= end; i++) {
-                if (siblings[i].type === 'CONTROL' && !siblings[i].hidden) {
-                    selectedIds.add(siblings[i].id);
-                }
-            }
+    if (e.shiftKey && lastSelectedId !== null && nodeMap.has(lastSelectedId)) {
+        // Shift selects every visible item between the anchor and the clicked one;
+        // with Ctrl/Cmd the range is added to the current selection.
+        if (!toggle) selectedIds.clear();
+        nodesBetween(tree, nodeMap.get(lastSelectedId), clickedNode).forEach(node => selectedIds.add(node.id));
+    } else if (toggle) {
+        if (selectedIds.has(clickedId)) {
+            selectedIds.delete(clickedId);
+        } else {
+            selectedIds.add(clickedId);
         }
+        lastSelectedId = clickedId;
     } else {
         selectedIds.clear();
         selectedIds.add(clickedId);
@@ -278,227 +1132,1425 @@ ui.controlsList.addEventListener('click', (e) => {
     render();
 });
 
-ui.groupBtn.addEventListener('click', () => {
-    addClickFeedback(ui.groupBtn);
-    if (selectedIds.size === 0) return;
-    const name = prompt("Enter group name:", "New Group");
-    if (!name) return;
+/**
+ * The selected nodes, in no particular order.
+ */
+function selectedNodes() {
+    return Array.from(selectedIds).map(id => nodeMap.get(id)).filter(Boolean);
+}
 
-    const selectedNodes = Array.from(selectedIds).map(id => nodeMap.get(id)).sort((a, b) => a.parent.children.indexOf(a) - b.parent.children.indexOf(b));
-    const firstNode = selectedNodes[0];
-    const parent = firstNode.parent;
-    const siblings = parent.children;
-    const firstIndex = siblings.indexOf(firstNode);
+/**
+ * Selects every item in the group or page of the last clicked item. When those are all
+ * selected already (or nothing was clicked yet), selects the whole list.
+ */
+function selectAllInScope() {
+    const anchor = lastSelectedId !== null ? nodeMap.get(lastSelectedId) || null : null;
+    let scope = nodesInScope(tree, anchor);
+    if (scope.every(node => selectedIds.has(node.id))) scope = nodesInScope(tree, null);
+    selectedIds = new Set(scope.map(node => node.id));
+    render();
+}
 
-    const newGroup = { id: Date.now(), type: 'GROUP', name, parent, children: [], };
-    selectedNodes.forEach(node => { node.parent = newGroup; newGroup.children.push(node); });
-    const newSiblings = siblings.filter(node => !selectedIds.has(node.id));
-    newSiblings.splice(firstIndex, 0, newGroup);
-    parent.children = newSiblings;
+// --- KEYBOARD NAVIGATION ---
 
-    selectedIds.clear();
-    selectedIds.add(newGroup.id);
-    lastSelectedId = newGroup.id;
-    render();
-});
+function focusListItem(id) {
+    const li = ui.controlsList.querySelector(`li[data-id="${id}"]`);
+    if (li) li.focus();
+}
 
-ui.renameBtn.addEventListener('click', () => {
-    addClickFeedback(ui.renameBtn);
-    if (selectedIds.size !== 1) return;
-    const nodeId = selectedIds.values().next().value;
-    const node = nodeMap.get(nodeId);
-    if (!node) return;
+/**
+ * Folds or unfolds a group in the list. This only changes the view; whether Fusion shows the
+ * group collapsed is the "Collapsed by default" option.
+ */
+function toggleListGroup(node, expand = collapsedInList.has(node.id)) {
+    if (!node || node.type !== 'GROUP') return;
+    if (expand) {
+        collapsedInList.delete(node.id);
+    } else {
+        collapsedInList.add(node.id);
+    }
+    render();
+}
 
-    if (node.type === 'GROUP' || node.type === 'PAGE') {
-        const newName = prompt(`Enter new name for "${node.name}":`, node.name);
-        if (newName && newName.trim() !== '') {
-            node.name = newName.trim();
-            render();
-        }
-        return;
+/**
+ * Moves keyboard focus to another item. Without modifiers the selection follows the focus;
+ * Shift extends it from the anchor, Ctrl/Cmd leaves it as it is.
+ */
+function moveFocusTo(id, e) {
+    focusedId = id;
+    if (e.shiftKey && lastSelectedId !== null && nodeMap.has(lastSelectedId)) {
+        if (!(e.ctrlKey || e.metaKey)) selectedIds.clear();
+        nodesBetween(tree, nodeMap.get(lastSelectedId), nodeMap.get(id)).forEach(node => selectedIds.add(node.id));
+    } else if (!(e.ctrlKey || e.metaKey)) {
+        selectedIds.clear();
+        selectedIds.add(id);
+        lastSelectedId = id;
     }
+    render();
+    focusListItem(id);
+}
 
-    if (node.type === 'CONTROL' && !node.hidden) {
-        const currentName = (
-            node.data && node.data.properties &&
-            (node.data.properties.Name || node.data.properties.LINKS_Name || node.data.properties.Source)
-        ) || node.data.key || '';
+/**
+ * Runs a toolbar button from the keyboard, if it is enabled.
+ * @returns {boolean} Whether the button ran.
+ */
+function pressButton(button) {
+    if (button.disabled) return false;
+    button.click();
+    return true;
+}
 
-        const newName = prompt(`Enter new name for "${currentName}":`, currentName);
-        if (newName && newName.trim() !== '') {
-            if (!node.data) node.data = {};
-            if (!node.data.properties) node.data.properties = {};
-            node.data.properties.Name = newName.trim();
-            node.data.__renamed = true;
+ui.controlsList.addEventListener('keydown', (e) => {
+    const ids = Array.from(ui.controlsList.querySelectorAll('li.list-item'), li => parseInt(li.dataset.id, 10));
+    if (ids.length === 0) return;
+    const index = Math.max(0, ids.indexOf(focusedId));
+    const node = nodeMap.get(ids[index]);
+    let handled = true;
+
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+        pressButton(e.key === 'ArrowUp' ? ui.moveUpBtn : ui.moveDownBtn);
+        focusListItem(focusedId);
+    } else if (e.altKey) {
+        handled = false;
+    } else if (e.key === 'ArrowDown') {
+        moveFocusTo(ids[Math.min(index + 1, ids.length - 1)], e);
+    } else if (e.key === 'ArrowUp') {
+        moveFocusTo(ids[Math.max(index - 1, 0)], e);
+    } else if (e.key === 'Home') {
+        moveFocusTo(ids[0], e);
+    } else if (e.key === 'End') {
+        moveFocusTo(ids[ids.length - 1], e);
+    } else if (e.key === 'ArrowRight' && node.type === 'GROUP') {
+        if (collapsedInList.has(node.id)) {
+            toggleListGroup(node, true);
+        } else if (node.children.some(child => !child.hidden)) {
+            moveFocusTo(ids[index + 1], e);
+        }
+    } else if (e.key === 'ArrowLeft') {
+        if (node.type === 'GROUP' && !collapsedInList.has(node.id)) {
+            toggleListGroup(node, false);
+        } else if (node.parent && node.parent.type === 'GROUP') {
+            moveFocusTo(node.parent.id, e);
+        }
+    } else if (e.key === ' ') {
+        if (e.ctrlKey || e.metaKey) {
+            if (selectedIds.has(node.id)) {
+                selectedIds.delete(node.id);
+            } else {
+                selectedIds.add(node.id);
+            }
+            lastSelectedId = node.id;
             render();
+        } else {
+            moveFocusTo(node.id, e);
         }
-        return;
+    } else if (e.key === 'F2') {
+        pressButton(e.shiftKey ? ui.batchRenameBtn : ui.renameBtn);
+    } else if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey) {
+        // Tab leaves the list as usual when there is nothing to indent or outdent.
+        handled = pressButton(e.shiftKey ? ui.outdentBtn : ui.indentBtn);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        pressButton(ui.unpublishBtn);
+    } else {
+        handled = false;
     }
+    if (handled) e.preventDefault();
 });
 
-ui.pageBtn.addEventListener('click', () => {
-    addClickFeedback(ui.pageBtn);
-    if (selectedIds.size !== 1) return;
-    const name = prompt("Enter page name:", "New Page");
-    if (!name) return;
+// --- HELP ---
+
+function renderHelp() {
+    ui.helpTableBody.innerHTML = '';
+    SHORTCUTS.forEach(shortcut => {
+        const tr = document.createElement('tr');
+        const keysCell = document.createElement('th');
+        shortcut.keys.forEach((key, i) => {
+            if (i > 0) keysCell.append(' / ');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            keysCell.appendChild(kbd);
+        });
+        const actionCell = document.createElement('td');
+        actionCell.textContent = t(shortcut.action);
+        tr.append(keysCell, actionCell);
+        ui.helpTableBody.appendChild(tr);
+    });
+}
 
-    const selectedNode = nodeMap.get(selectedIds.values().next().value);
-    let topLevelNode = selectedNode;
-    while (topLevelNode.parent && topLevelNode.parent.type !== 'ROOT') {
-        topLevelNode = topLevelNode.parent;
-    }
+let focusBeforeHelp = null;
 
-    const siblings = tree.children;
-    const index = siblings.indexOf(topLevelNode);
-    if (index === -1) return;
+function openHelp() {
+    focusBeforeHelp = document.activeElement;
+    renderHelp();
+    ui.helpOverlay.hidden = false;
+    ui.helpCloseBtn.focus();
+}
 
-    const newPage = { id: Date.now(), type: 'PAGE', name, parent: tree, children: [] };
-    siblings.splice(index, 0, newPage);
-    render();
+function closeHelp() {
+    ui.helpOverlay.hidden = true;
+    if (focusBeforeHelp && document.contains(focusBeforeHelp)) focusBeforeHelp.focus();
+    focusBeforeHelp = null;
+}
+
+ui.helpBtn.addEventListener('click', () => {
+    addClickFeedback(ui.helpBtn);
+    openHelp();
 });
 
-ui.separatorBtn.addEventListener('click', () => {
-    addClickFeedback(ui.separatorBtn);
-    if (selectedIds.size !== 1) return;
+ui.helpCloseBtn.addEventListener('click', closeHelp);
 
-    const selectedNode = nodeMap.get(selectedIds.values().next().value);
-    if (!selectedNode) return;
+ui.helpOverlay.addEventListener('click', (e) => {
+    if (e.target === ui.helpOverlay) closeHelp();
+});
 
-    const parent = selectedNode.parent;
-    if (!parent) return;
+ui.helpOverlay.addEventListener('keydown', (e) => {
+    // The dialog has a single control, so Tab stays on it.
+    if (e.key === 'Escape' || e.key === 'Tab') {
+        e.preventDefault();
+        if (e.key === 'Escape') closeHelp();
+    }
+});
 
-    const siblings = parent.children;
-    const index = siblings.indexOf(selectedNode);
-    if (index === -1) return;
+// --- NEW CONTROL ---
 
-    const newSeparator = { id: Date.now(), type: 'SEPARATOR', parent: parent, children: [], data: { key: `Separator${Date.now()}` } };
-    siblings.splice(index, 0, newSeparator);
-    render();
-});
+// What the Default field expects for each control type (message keys).
+const CONTROL_DEFAULT_HINTS = {
+    slider: 'newControl.hint.slider',
+    checkbox: 'newControl.hint.checkbox',
+    combo: 'newControl.hint.combo',
+    text: 'newControl.hint.text',
+    color: 'newControl.hint.color',
+};
 
-ui.deleteBtn.addEventListener('click', () => {
-    addClickFeedback(ui.deleteBtn);
-    if (selectedIds.size === 0) return;
+let focusBeforeControlDialog = null;
 
-    const nodesToDelete = Array.from(selectedIds).map(id => nodeMap.get(id));
-    nodesToDelete.forEach(node => {
-        const parent = node.parent;
-        if (!parent) return;
-        const index = parent.children.indexOf(node);
-        if (index === -1) return;
+function updateControlFields() {
+    const type = ui.controlType.value;
+    ui.controlDefaultRow.hidden = type === 'button';
+    ui.controlDefault.placeholder = CONTROL_DEFAULT_HINTS[type] ? t(CONTROL_DEFAULT_HINTS[type]) : '';
+    ui.controlRangeRow.hidden = type !== 'slider';
+    ui.controlOptionsRow.hidden = type !== 'combo';
+}
 
-        parent.children.splice(index, 1, ...(node.children || []));
-        if (node.children) {
-            node.children.forEach(child => child.parent = parent);
-        }
-    });
-    selectedIds.clear();
-    lastSelectedId = null;
-    render();
-});
+function openControlDialog() {
+    focusBeforeControlDialog = document.activeElement;
+    ui.controlDialog.reset();
+    updateControlFields();
+    ui.controlOverlay.hidden = false;
+    ui.controlName.focus();
+}
 
-ui.moveUpBtn.addEventListener('click', () => {
-    addClickFeedback(ui.moveUpBtn);
-    if (selectedIds.size !== 1) return;
-    const nodeId = selectedIds.values().next().value;
-    const node = nodeMap.get(nodeId);
-    const parent = node.parent;
-    if (!parent) return;
-    const siblings = parent.children;
-    const index = siblings.indexOf(node);
-    if (index > 0) {
-        [siblings[index - 1], siblings[index]] = [siblings[index], siblings[index - 1]];
-        render();
+function closeControlDialog() {
+    ui.controlOverlay.hidden = true;
+    if (focusBeforeControlDialog && document.contains(focusBeforeControlDialog)) focusBeforeControlDialog.focus();
+    focusBeforeControlDialog = null;
+}
+
+/**
+ * Creates the control described in the dialog on the label host and publishes it after the
+ * selected item (or at the end of the list), as one undoable command.
+ * @returns {boolean} False if the dialog has to stay open.
+ */
+function createControlFromDialog() {
+    const macro = macros[activeMacroIndex];
+    const hostName = macro.host ? macro.host.name : (macro.helperName || 'background_helper');
+    // A tool that hosts the labels already has inputs and controls of its own.
+    const hostTool = tools.find(tool => tool.name === hostName);
+    const takenKeys = hostTool ? [...hostTool.userControls, ...hostTool.inputs.map(input => input.id)] : [];
+    const spec = {
+        type: ui.controlType.value,
+        name: ui.controlName.value,
+        default: ui.controlDefault.value,
+        min: ui.controlMin.value,
+        max: ui.controlMax.value,
+        tooltip: ui.controlTooltip.value.trim(),
+        options: ui.controlOptions.value.split(/\r?\n/),
+    };
+
+    let newNodes;
+    try {
+        newNodes = createUserControl(tree, spec, hostName, takenKeys, nextNodeId);
+        nextNodeId += newNodes.length;
+    } catch (error) {
+        alert(errorMessage(error));
+        return false;
     }
-});
 
-ui.moveDownBtn.addEventListener('click', () => {
-    addClickFeedback(ui.moveDownBtn);
-    if (selectedIds.size !== 1) return;
-    const nodeId = selectedIds.values().next().value;
-    const node = nodeMap.get(nodeId);
-    const parent = node.parent;
-    if (!parent) return;
-    const siblings = parent.children;
-    const index = siblings.indexOf(node);
-    if (index < siblings.length - 1) {
-        [siblings[index], siblings[index + 1]] = [siblings[index + 1], siblings[index]];
+    runCommand('command.newControl', () => {
+        const anchor = selectedIds.size === 1 ? nodeMap.get(selectedIds.values().next().value) : null;
+        const parent = anchor ? anchor.parent : tree;
+        const index = anchor ? parent.children.indexOf(anchor) + 1 : parent.children.length;
+        newNodes.forEach(node => { node.parent = parent; });
+        parent.children.splice(index, 0, ...newNodes);
+
+        selectedIds = new Set([newNodes[0].id]);
+        lastSelectedId = newNodes[0].id;
+    });
+    return true;
+}
+
+ui.newControlBtn.addEventListener('click', () => {
+    addClickFeedback(ui.newControlBtn);
+    openControlDialog();
+});
+
+ui.controlType.addEventListener('change', updateControlFields);
+
+ui.controlDialog.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (createControlFromDialog()) closeControlDialog();
+});
+
+ui.controlCancelBtn.addEventListener('click', closeControlDialog);
+
+ui.controlOverlay.addEventListener('click', (e) => {
+    if (e.target === ui.controlOverlay) closeControlDialog();
+});
+
+ui.controlOverlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeControlDialog();
+    }
+});
+
+// --- BATCH RENAME ---
+
+let focusBeforeRenameDialog = null;
+
+function readRenameDialog() {
+    const types = [[ui.renameControls, 'CONTROL'], [ui.renameGroups, 'GROUP'], [ui.renamePages, 'PAGE']]
+        .filter(([checkbox]) => checkbox.checked)
+        .map(([, type]) => type);
+    const nodes = ui.renameScope.value === 'all' ? null : selectedNodes();
+    return {
+        targets: renameTargets(tree, nodes, types),
+        spec: {
+            find: ui.renameFind.value,
+            replace: ui.renameReplace.value,
+            regex: ui.renameRegex.checked,
+            ignoreCase: ui.renameIgnoreCase.checked,
+            case: ui.renameCase.value,
+            prefix: ui.renamePrefix.value,
+            suffix: ui.renameSuffix.value,
+            start: ui.renameStart.value,
+            step: ui.renameStep.value,
+            digits: ui.renameDigits.value,
+        },
+    };
+}
+
+/**
+ * Shows in the dialog what the batch rename would do, as the options are edited.
+ * @returns {Array<object>|null} The rename plan, or null if the options are invalid.
+ */
+function updateRenamePreview() {
+    const { targets, spec } = readRenameDialog();
+    ui.renamePreviewBody.innerHTML = '';
+    ui.renameMessage.className = '';
+    let plan;
+    try {
+        plan = planRename(targets, spec);
+    } catch (error) {
+        ui.renameMessage.textContent = errorMessage(error);
+        ui.renameMessage.className = 'error';
+        ui.renameApplyBtn.disabled = true;
+        return null;
+    }
+
+    plan.forEach(entry => {
+        const tr = document.createElement('tr');
+        tr.className = entry.error ? 'error' : (entry.changed ? 'changed' : 'unchanged');
+        const from = document.createElement('td');
+        from.textContent = entry.from;
+        const to = document.createElement('td');
+        to.textContent = entry.error ? t('batchRename.emptyName') : entry.to;
+        tr.append(from, to);
+        ui.renamePreviewBody.appendChild(tr);
+    });
+    const changed = plan.filter(entry => entry.changed).length;
+    ui.renameMessage.textContent = plan.length === 0
+        ? t('batchRename.nothing')
+        : t('batchRename.summary', { changed, total: plan.length });
+    ui.renameApplyBtn.disabled = changed === 0;
+    return plan;
+}
+
+function openRenameDialog() {
+    focusBeforeRenameDialog = document.activeElement;
+    ui.renameDialog.reset();
+    // Without a selection there is only the whole list to rename.
+    ui.renameScope.options[0].disabled = selectedIds.size === 0;
+    ui.renameScope.value = selectedIds.size > 0 ? 'selection' : 'all';
+    updateRenamePreview();
+    ui.renameOverlay.hidden = false;
+    ui.renameFind.focus();
+}
+
+function closeRenameDialog() {
+    ui.renameOverlay.hidden = true;
+    if (focusBeforeRenameDialog && document.contains(focusBeforeRenameDialog)) focusBeforeRenameDialog.focus();
+    focusBeforeRenameDialog = null;
+}
+
+ui.batchRenameBtn.addEventListener('click', () => {
+    addClickFeedback(ui.batchRenameBtn);
+    openRenameDialog();
+});
+
+ui.renameDialog.addEventListener('input', updateRenamePreview);
+
+ui.renameDialog.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const plan = updateRenamePreview();
+    if (!plan || !plan.some(entry => entry.changed)) return;
+    runCommand('command.batchRename', () => {
+        applyRename(plan);
+    });
+    closeRenameDialog();
+});
+
+ui.renameCancelBtn.addEventListener('click', closeRenameDialog);
+
+ui.renameOverlay.addEventListener('click', (e) => {
+    if (e.target === ui.renameOverlay) closeRenameDialog();
+});
+
+ui.renameOverlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeRenameDialog();
+    }
+});
+
+// --- COPY AND PASTE ---
+
+ui.copyItemsBtn.addEventListener('click', () => {
+    addClickFeedback(ui.copyItemsBtn);
+    if (selectedIds.size === 0) return;
+    controlsClipboard = copyNodes(tree, selectedNodes());
+    updateButtonStates();
+});
+
+ui.cutItemsBtn.addEventListener('click', () => {
+    addClickFeedback(ui.cutItemsBtn);
+    const nodesToCut = copiedNodes(tree, selectedNodes());
+    if (nodesToCut.length === 0) return;
+
+    // Cut inputs are unpublished until they are pasted, which may be into another macro.
+    // Links to them are kept, so they work again once the inputs are pasted back.
+    const controls = [];
+    (function collect(nodes) {
+        nodes.forEach(node => {
+            if (node.type === 'CONTROL') controls.push(node);
+            collect(node.children);
+        });
+    })(nodesToCut);
+    const { expressionEdits } = macros[activeMacroIndex];
+    const references = controls
+        .flatMap(node => findInputReferences(tools, macroName, node, expressionEdits).map(ref => ({ ...ref, key: node.data.key })));
+    if (references.length > 0) {
+        const lines = references.map(ref => t('delete.reference', { input: `${ref.tool}.${ref.input}`, key: ref.key, expression: ref.expression }));
+        if (!confirm(t('clipboard.cutReferences', { lines: lines.join('\n') }))) return;
+    }
+
+    controlsClipboard = copyNodes(tree, nodesToCut);
+    runCommand('command.cut', () => {
+        removeNodes(tree, nodesToCut);
+        selectedIds.clear();
+        lastSelectedId = null;
+    });
+});
+
+ui.pasteItemsBtn.addEventListener('click', () => {
+    addClickFeedback(ui.pasteItemsBtn);
+    if (!controlsClipboard || tree.children.length === 0) return;
+    const macro = macros[activeMacroIndex];
+    const options = {
+        maxAutoLabelIndex: macro.maxAutoLabelIndex || 0,
+        tools,
+        hostName: macro.host ? macro.host.name : (macro.helperName || 'background_helper'),
+        firstId: nextNodeId,
+    };
+
+    // The items go after the selection, or at the end of the list.
+    const anchor = topLevelNodes(tree, selectedNodes()).pop() || null;
+    let report = null;
+    const before = captureTree(tree);
+    try {
+        runCommand('command.paste', () => {
+            report = pasteNodes(tree, controlsClipboard, anchor, 'after', options);
+            if (report.nodes.length === 0) return false;
+            nextNodeId = Math.max(nextNodeId, maxNodeId([tree]) + 1);
+            selectedIds = new Set(report.nodes.map(node => node.id));
+            lastSelectedId = report.nodes[report.nodes.length - 1].id;
+        });
+    } catch (error) {
+        // Inputs may already have been moved when a bad item turns up; put the tree back.
+        restoreTree(before);
         render();
+        alert(errorMessage(error));
+        return;
+    }
+    if (report.missing.length > 0) {
+        alert(t('clipboard.missing', { inputs: report.missing.join('\n') }));
     }
 });
 
-ui.indentBtn.addEventListener('click', () => {
-    addClickFeedback(ui.indentBtn);
+// --- LOAD DIAGNOSTICS ---
+
+/**
+ * Shows the problems found while loading a file, each with the lines of the file around it.
+ * @param {string} summary The message key of the summary line.
+ * @param {Array<object>} issues Issues as described in `parseSettingFile`, worded by their code.
+ *        Syntax errors and issues of the editor itself carry a `messageKey` instead, and
+ *        unexpected exceptions their `message`.
+ * @param {string} source The text that was loaded.
+ */
+function showDiagnostics(summary, issues, source) {
+    loadDiagnostics = { summary, issues, source };
+    renderDiagnostics();
+    ui.diagnosticsPanel.scrollIntoView({ block: 'nearest' });
+}
+
+function hideDiagnostics() {
+    loadDiagnostics = null;
+    ui.diagnosticsPanel.hidden = true;
+    ui.diagnosticsList.innerHTML = '';
+}
+
+function createExcerptTable(source, issue) {
+    const table = document.createElement('table');
+    table.className = 'diff-table diagnostics-source';
+    const tbody = document.createElement('tbody');
+    sourceExcerpt(source, issue.line).forEach(({ number, text }) => {
+        const tr = document.createElement('tr');
+        const numberCell = document.createElement('td');
+        numberCell.className = 'diff-num';
+        numberCell.textContent = number;
+        const textCell = document.createElement('td');
+        textCell.textContent = text;
+        tr.append(numberCell, textCell);
+        tbody.appendChild(tr);
+        if (number !== issue.line) return;
+        tr.className = 'diagnostics-line';
+        // A caret under the column; tabs are kept so it lines up with the text above.
+        const caretRow = document.createElement('tr');
+        caretRow.className = 'diagnostics-caret';
+        const caretCell = document.createElement('td');
+        caretCell.textContent = `${text.slice(0, issue.column - 1).replace(/[^\t]/g, ' ')}^`;
+        caretRow.append(document.createElement('td'), caretCell);
+        tbody.appendChild(caretRow);
+    });
+    table.appendChild(tbody);
+    return table;
+}
+
+function renderDiagnostics() {
+    const { summary, issues, source } = loadDiagnostics;
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    ui.diagnosticsSummary.textContent = t(summary, { errors, warnings: issues.length - errors });
+    ui.diagnosticsList.innerHTML = '';
+
+    issues.forEach(issue => {
+        const li = document.createElement('li');
+        li.className = `issue-${issue.severity}`;
+
+        const heading = document.createElement('div');
+        heading.className = 'diagnostics-heading';
+        const severity = document.createElement('span');
+        severity.className = 'issue-severity';
+        severity.textContent = t(`validation.severity.${issue.severity}`);
+        heading.appendChild(severity);
+        if (issue.line) {
+            const position = document.createElement('span');
+            position.className = 'diagnostics-position';
+            position.textContent = t('diagnostics.position', { line: issue.line, column: issue.column });
+            heading.appendChild(position);
+        }
+        const message = document.createElement('span');
+        message.className = 'issue-message';
+        if (issue.messageKey) {
+            message.textContent = t(issue.messageKey, issue.params);
+        } else {
+            message.textContent = issue.message ?? t(`diagnostics.issue.${issue.code}`, issue.params);
+        }
+        heading.appendChild(message);
+        li.appendChild(heading);
+
+        if (issue.line && source) li.appendChild(createExcerptTable(source, issue));
+        ui.diagnosticsList.appendChild(li);
+    });
+    ui.diagnosticsPanel.hidden = false;
+}
+
+ui.diagnosticsCloseBtn.addEventListener('click', () => {
+    addClickFeedback(ui.diagnosticsCloseBtn);
+    hideDiagnostics();
+});
+
+// --- LANGUAGE ---
+
+/**
+ * The message of an error in the UI language. Errors of the editor's own modules carry a
+ * message key; others (e.g. from the browser) are shown as they are.
+ * @param {Error} error
+ * @returns {string}
+ */
+function errorMessage(error) {
+    return error instanceof MessageError ? t(error.messageKey, error.params) : error.message;
+}
+
+function readStoredLanguage() {
+    try {
+        return localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (error) {
+        // Storage can be off (e.g. for files opened from disk in some browsers).
+        return null;
+    }
+}
+
+/**
+ * Switches the UI language and redraws everything that shows translated text.
+ * @param {string} lang A key of `LANGUAGES`.
+ */
+function applyLanguage(lang) {
+    setLanguage(lang);
+    ui.languageSelect.value = lang;
+    translateDocument(document);
+    render();
+    if (!ui.outputDiff.hidden) {
+        renderDiff();
+        ui.diffToggleBtn.textContent = t('diff.showOutput');
+    }
+    if (!ui.validationPanel.hidden) renderValidation();
+    if (!ui.diagnosticsPanel.hidden) renderDiagnostics();
+    if (!ui.helpOverlay.hidden) renderHelp();
+}
+
+Object.entries(LANGUAGES).forEach(([lang, name]) => ui.languageSelect.add(new Option(name, lang)));
+
+ui.languageSelect.addEventListener('change', () => {
+    applyLanguage(ui.languageSelect.value);
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, getLanguage());
+    } catch (error) {
+        console.warn('Could not save the language:', error);
+    }
+});
+
+applyLanguage(detectLanguage(readStoredLanguage(), navigator.languages || [navigator.language]));
+
+// --- AUTOSAVE AND RECENT FILES ---
+
+function saveCurrentSession() {
+    const session = serializeSession({ id: sessionId, filename: originalFilename, source: sourceText, macros, activeMacroIndex });
+    return saveSession(session)
+        .then(renderRecentFiles)
+        .catch(error => console.warn('Autosave failed:', error));
+}
+
+/**
+ * Saves the current edit to IndexedDB shortly after the last change. Called by the commands that
+ * change it, not by `render`, so that selecting or scrolling does not reorder Recent Files.
+ */
+function scheduleAutosave() {
+    if (sessionId === null || typeof indexedDB === 'undefined') return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+        autosaveTimer = null;
+        saveCurrentSession();
+    }, AUTOSAVE_DELAY);
+}
+
+/**
+ * Saves a pending change right away, before the state it describes is replaced.
+ */
+function flushAutosave() {
+    if (autosaveTimer === null) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    saveCurrentSession();
+}
+
+function describeSession(session) {
+    return `${session.filename} (${new Date(session.savedAt).toLocaleString()})`;
+}
+
+/**
+ * Fills the Recent Files menu with the stored sessions.
+ */
+function renderRecentFiles() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve([]);
+    return listSessions().then(sessions => {
+        ui.recentSelect.length = 1;
+        sessions.forEach(session => ui.recentSelect.add(new Option(describeSession(session), session.id)));
+        ui.recentSelect.disabled = sessions.length === 0;
+        return sessions;
+    });
+}
+
+ui.recentSelect.addEventListener('change', () => {
+    const id = ui.recentSelect.value;
+    ui.recentSelect.selectedIndex = 0;
+    listSessions().then(sessions => {
+        const session = sessions.find(item => item.id === id);
+        if (session) processInputContent(session.source, session.filename, session);
+    }).catch(error => alert(t('session.openFailed', { message: error.message })));
+});
+
+// On startup, offer to pick up the last session where it was left.
+renderRecentFiles().then(sessions => {
+    const last = sessions[0];
+    if (last && confirm(t('session.restore', { session: describeSession(last) }))) {
+        processInputContent(last.source, last.filename, last);
+    }
+}).catch(error => console.warn('Could not read saved sessions:', error));
+
+window.addEventListener('pagehide', flushAutosave);
+
+// --- DRAG AND DROP ---
+
+/**
+ * Works out where a drag over `li` would drop: before/after the item, or inside it for groups.
+ * @returns {'before'|'after'|'inside'}
+ */
+function getDropPosition(li, target, clientY) {
+    const rect = li.getBoundingClientRect();
+    const ratio = (clientY - rect.top) / rect.height;
+    if (target.type === 'GROUP') {
+        if (ratio < 0.25) return 'before';
+        if (ratio > 0.75) return 'after';
+        return 'inside';
+    }
+    return ratio < 0.5 ? 'before' : 'after';
+}
+
+function clearDropIndicators() {
+    ui.controlsList.querySelectorAll('.drop-before, .drop-after, .drop-inside').forEach(li => {
+        li.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    });
+}
+
+ui.controlsList.addEventListener('dragstart', (e) => {
+    const li = e.target.closest('li.list-item');
+    if (!li) return;
+    const id = parseInt(li.dataset.id, 10);
+
+    // Dragging a selected item moves the whole selection; otherwise only the item itself.
+    if (!selectedIds.has(id)) {
+        selectedIds.clear();
+        selectedIds.add(id);
+        lastSelectedId = id;
+    }
+    draggedNodes = topLevelNodes(tree, Array.from(selectedIds).map(selectedId => nodeMap.get(selectedId)));
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(id));
+    draggedNodes.forEach(node => {
+        const draggedLi = ui.controlsList.querySelector(`li[data-id="${node.id}"]`);
+        if (draggedLi) draggedLi.classList.add('dragging');
+    });
+});
+
+ui.controlsList.addEventListener('dragover', (e) => {
+    const li = e.target.closest('li.list-item');
+    if (!li || draggedNodes.length === 0) return;
+    const target = nodeMap.get(parseInt(li.dataset.id, 10));
+    const position = getDropPosition(li, target, e.clientY);
+
+    clearDropIndicators();
+    if (!canDropAt(draggedNodes, target, position)) {
+        e.dataTransfer.dropEffect = 'none';
+        return;
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    li.classList.add(`drop-${position}`);
+});
+
+ui.controlsList.addEventListener('dragleave', (e) => {
+    if (!ui.controlsList.contains(e.relatedTarget)) clearDropIndicators();
+});
+
+ui.controlsList.addEventListener('drop', (e) => {
+    e.preventDefault();
+    clearDropIndicators();
+    const li = e.target.closest('li.list-item');
+    if (!li || draggedNodes.length === 0) return;
+    const target = nodeMap.get(parseInt(li.dataset.id, 10));
+    const position = getDropPosition(li, target, e.clientY);
+    if (!canDropAt(draggedNodes, target, position)) return;
+
+    const nodes = draggedNodes;
+    draggedNodes = [];
+    runCommand('command.move', () => {
+        moveNodes(nodes, target, position);
+    });
+});
+
+ui.controlsList.addEventListener('dragend', () => {
+    // dragend follows every drag, dropped or not. A drop that moved the items has already
+    // emptied draggedNodes and rendered; otherwise the dragging marks are cleared here.
+    if (draggedNodes.length === 0) return;
+    draggedNodes = [];
+    render();
+});
+
+ui.groupBtn.addEventListener('click', () => {
+    addClickFeedback(ui.groupBtn);
+    if (selectedIds.size === 0) return;
+    const name = prompt(t('group.prompt'), t('group.defaultName'));
+    if (!name) return;
+
+    runCommand('command.groupSelection', () => {
+        // The group takes the place of the first selected item; the rest follow in list order.
+        const newGroup = { id: nextNodeId++, type: 'GROUP', name, parent: null, children: [], };
+        if (!groupNodes(tree, selectedNodes(), newGroup)) return false;
+
+        selectedIds.clear();
+        selectedIds.add(newGroup.id);
+        lastSelectedId = newGroup.id;
+    });
+});
+
+ui.renameBtn.addEventListener('click', () => {
+    addClickFeedback(ui.renameBtn);
     if (selectedIds.size !== 1) return;
     const nodeId = selectedIds.values().next().value;
     const node = nodeMap.get(nodeId);
-    const parent = node.parent;
-    if (!parent) return;
+    if (!node) return;
 
-    const siblings = parent.children;
-    const index = siblings.indexOf(node);
-    if (index > 0) {
-        const potentialParent = siblings[index - 1];
-        if (potentialParent.type === 'GROUP' && node.parent === potentialParent.parent) {
-            siblings.splice(index, 1);
-            potentialParent.children.push(node);
-            node.parent = potentialParent;
+    if (node.type === 'GROUP' || node.type === 'PAGE') {
+        const newName = prompt(t('rename.prompt', { name: node.name }), node.name);
+        if (newName && newName.trim() !== '') {
+            runCommand('command.rename', () => {
+                node.name = newName.trim();
+            });
+        }
+        return;
+    }
+
+    if (node.type === 'CONTROL' && !node.hidden) {
+        const currentName = displayName(node);
+
+        const newName = prompt(t('rename.prompt', { name: currentName }), currentName);
+        if (newName && newName.trim() !== '') {
+            runCommand('command.rename', () => {
+                if (!node.data) node.data = {};
+                if (!node.data.properties) node.data.properties = {};
+                node.data.properties.Name = newName.trim();
+            });
+        }
+        return;
+    }
+});
+
+ui.propName.addEventListener('change', () => {
+    if (selectedIds.size !== 1) return;
+    const node = nodeMap.get(selectedIds.values().next().value);
+    if (!node) return;
+    const newName = ui.propName.value.trim();
+
+    if (node.type === 'GROUP' || node.type === 'PAGE') {
+        if (newName === '' || newName === node.name) {
             render();
+            return;
+        }
+        runCommand('command.rename', () => {
+            node.name = newName;
+        });
+    } else if (node.type === 'CONTROL' && !node.hidden) {
+        editControlProperty(node, 'Name', newName);
+    }
+});
+
+ui.propCollapsed.addEventListener('change', () => {
+    const node = selectedIds.size === 1 ? nodeMap.get(selectedIds.values().next().value) : null;
+    if (!node || node.type !== 'GROUP') return;
+    const collapsed = ui.propCollapsed.checked;
+    runCommand(collapsed ? 'command.collapseByDefault' : 'command.expandByDefault', () => {
+        node.collapsed = collapsed;
+    });
+});
+
+ui.propDropdown.addEventListener('change', () => {
+    const node = selectedIds.size === 1 ? nodeMap.get(selectedIds.values().next().value) : null;
+    if (!node || node.type !== 'GROUP') return;
+    const dropDownButton = ui.propDropdown.checked;
+    runCommand(dropDownButton ? 'command.showDropDown' : 'command.hideDropDown', () => {
+        node.dropDownButton = dropDownButton;
+    });
+});
+
+ui.propFields.addEventListener('change', (e) => {
+    const input = e.target.closest('input[data-prop]');
+    if (!input || selectedIds.size !== 1) return;
+    const node = nodeMap.get(selectedIds.values().next().value);
+    if (!node || node.type !== 'CONTROL') return;
+    if (!editControlProperty(node, input.dataset.prop, input.value)) render();
+});
+
+ui.propFields.addEventListener('click', (e) => {
+    const button = e.target.closest('.remove-prop-btn');
+    if (!button || selectedIds.size !== 1) return;
+    const node = nodeMap.get(selectedIds.values().next().value);
+    if (!node || node.type !== 'CONTROL') return;
+    editControlProperty(node, button.dataset.prop, '');
+});
+
+ui.addPropBtn.addEventListener('click', () => {
+    addClickFeedback(ui.addPropBtn);
+    if (selectedIds.size !== 1) return;
+    const node = nodeMap.get(selectedIds.values().next().value);
+    if (!node || node.type !== 'CONTROL') return;
+
+    const key = ui.newPropKey.value.trim();
+    const value = ui.newPropValue.value;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+        alert(t('properties.invalidName'));
+        return;
+    }
+    if (key === 'Page') {
+        alert(t('properties.pageReserved'));
+        return;
+    }
+    if (key in node.data.properties) {
+        alert(t('properties.exists', { key }));
+        return;
+    }
+    if (value.trim() === '') {
+        alert(t('properties.valueMissing'));
+        return;
+    }
+    if (editControlProperty(node, key, value)) {
+        ui.newPropKey.value = '';
+        ui.newPropValue.value = '';
+    }
+});
+
+ui.macroSelect.addEventListener('change', () => {
+    selectMacro(parseInt(ui.macroSelect.value, 10));
+});
+
+ui.hostKind.addEventListener('change', updateHostFields);
+
+ui.applyHostBtn.addEventListener('click', () => {
+    addClickFeedback(ui.applyHostBtn);
+    applyHostSettings();
+});
+
+ui.toolsFilter.addEventListener('input', renderToolsPanel);
+
+ui.toolsList.addEventListener('toggle', (e) => {
+    const details = e.target.closest('details.tool-entry');
+    if (!details) return;
+    if (details.open) {
+        openToolNames.add(details.dataset.tool);
+    } else {
+        openToolNames.delete(details.dataset.tool);
+    }
+}, true);
+
+ui.toolsList.addEventListener('click', (e) => {
+    const button = e.target.closest('.publish-btn, .link-btn');
+    if (!button) return;
+    addClickFeedback(button);
+    let inputId = button.dataset.input;
+    if (!inputId) {
+        const field = button.parentElement.querySelector('.custom-input-id');
+        inputId = field ? field.value.trim() : '';
+        if (!/^[A-Za-z_][A-Za-z0-9_.]*$/.test(inputId)) {
+            alert(t(button.classList.contains('link-btn') ? 'tools.enterInputToLink' : 'tools.enterInputToPublish'));
+            return;
         }
     }
+    if (button.classList.contains('link-btn')) {
+        linkToolInput(button.dataset.tool, inputId);
+    } else {
+        publishToolInput(button.dataset.tool, inputId);
+    }
+});
+
+ui.linksList.addEventListener('click', (e) => {
+    const button = e.target.closest('.unlink-btn');
+    if (!button) return;
+    addClickFeedback(button);
+    applyLink(button.dataset.tool, button.dataset.input, null);
+});
+
+ui.inspectorTabs.addEventListener('click', (e) => {
+    const tab = e.target.closest('.inspector-tab');
+    if (!tab) return;
+    inspectorPage = tab.dataset.page;
+    renderInspector();
+});
+
+ui.inspectorBody.addEventListener('click', (e) => {
+    const header = e.target.closest('.inspector-group-header');
+    if (header) {
+        inspectorGroupState.set(Number(header.dataset.id), header.getAttribute('aria-expanded') !== 'true');
+        renderInspector();
+        return;
+    }
+    // Clicking a control selects it in the list.
+    const row = e.target.closest('.inspector-row');
+    if (!row) return;
+    const node = nodeMap.get(Number(row.dataset.id));
+    if (!node) return;
+    selectedIds = new Set([node.id]);
+    lastSelectedId = node.id;
+    focusedId = node.id;
+    for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) collapsedInList.delete(ancestor.id);
+    render();
+});
+
+ui.pageBtn.addEventListener('click', () => {
+    addClickFeedback(ui.pageBtn);
+    if (selectedIds.size === 0) return;
+    const name = prompt(t('page.prompt'), t('page.defaultName'));
+    if (!name) return;
+
+    // The page starts at the first selected item (or the top-level group containing it).
+    const selectedNode = topLevelNodes(tree, selectedNodes())[0];
+    let topLevelNode = selectedNode;
+    while (topLevelNode.parent && topLevelNode.parent.type !== 'ROOT') {
+        topLevelNode = topLevelNode.parent;
+    }
+
+    const siblings = tree.children;
+    const index = siblings.indexOf(topLevelNode);
+    if (index === -1) return;
+
+    runCommand('command.addPage', () => {
+        const newPage = { id: nextNodeId++, type: 'PAGE', name, parent: tree, children: [] };
+        siblings.splice(index, 0, newPage);
+    });
+});
+
+ui.separatorBtn.addEventListener('click', () => {
+    addClickFeedback(ui.separatorBtn);
+    if (selectedIds.size === 0) return;
+
+    // The separator goes above the first selected item.
+    const selectedNode = topLevelNodes(tree, selectedNodes())[0];
+    if (!selectedNode) return;
+
+    const parent = selectedNode.parent;
+    if (!parent) return;
+
+    const siblings = parent.children;
+    const index = siblings.indexOf(selectedNode);
+    if (index === -1) return;
+
+    runCommand('command.addSeparator', () => {
+        const newSeparator = { id: nextNodeId++, type: 'SEPARATOR', parent: parent, children: [], data: { key: nextSeparatorKey(tree) } };
+        siblings.splice(index, 0, newSeparator);
+    });
+});
+
+ui.ungroupBtn.addEventListener('click', () => {
+    addClickFeedback(ui.ungroupBtn);
+    const nodesToUngroup = Array.from(selectedIds).map(id => nodeMap.get(id)).filter(node => node && (node.type === 'GROUP' || node.type === 'PAGE'));
+    if (nodesToUngroup.length === 0) return;
+
+    runCommand('command.ungroup', () => {
+        // Groups and pages are containers only: their contents move up into their place.
+        nodesToUngroup.forEach(node => {
+            const parent = node.parent;
+            if (!parent) return;
+            const index = parent.children.indexOf(node);
+            if (index === -1) return;
+
+            parent.children.splice(index, 1, ...node.children);
+            node.children.forEach(child => child.parent = parent);
+        });
+        selectedIds.clear();
+        lastSelectedId = null;
+    });
+});
+
+ui.unpublishBtn.addEventListener('click', () => {
+    addClickFeedback(ui.unpublishBtn);
+    const nodesToRemove = topLevelNodes(tree, selectedNodes());
+    if (nodesToRemove.length === 0) return;
+
+    // Groups are deleted with everything inside them.
+    const removed = [];
+    (function collect(nodes) {
+        nodes.forEach(node => {
+            removed.push(node);
+            collect(node.children);
+        });
+    })(nodesToRemove);
+    const controls = removed.filter(node => node.type === 'CONTROL');
+
+    const protectedNodes = controls.filter(isProtectedInput);
+    if (protectedNodes.length > 0) {
+        alert(t('delete.protected', { keys: protectedNodes.map(node => node.data.key).join(', ') }));
+        return;
+    }
+
+    // Links to the removed inputs are kept: undo brings the inputs back, and the Links panel
+    // lists the links for removal.
+    const { expressionEdits } = macros[activeMacroIndex];
+    const references = controls
+        .flatMap(node => findInputReferences(tools, macroName, node, expressionEdits).map(ref => ({ ...ref, key: node.data.key })));
+    const counts = ['GROUP', 'PAGE', 'SEPARATOR']
+        .map(type => [type.toLowerCase(), removed.filter(node => node.type === type).length])
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => t(`delete.count.${type}`, { count }));
+    let message = controls.length > 0
+        ? t('delete.confirmControls', { count: controls.length })
+        : t('delete.confirmItems');
+    if (counts.length > 0) {
+        message += `\n\n${t('delete.alsoRemoved', { items: counts.join(', ') })}`;
+    }
+    if (references.length > 0) {
+        const lines = references.map(ref => t('delete.reference', { input: `${ref.tool}.${ref.input}`, key: ref.key, expression: ref.expression }));
+        message += `\n\n${t('delete.references', { lines: lines.join('\n') })}`;
+    }
+    if (!confirm(message)) return;
+
+    runCommand('command.delete', () => {
+        removeNodes(tree, nodesToRemove);
+        selectedIds.clear();
+        lastSelectedId = null;
+    });
+});
+
+ui.moveUpBtn.addEventListener('click', () => {
+    addClickFeedback(ui.moveUpBtn);
+    if (selectedIds.size === 0) return;
+    runCommand('command.moveUp', () => moveSiblings(tree, selectedNodes(), -1));
+});
+
+ui.moveDownBtn.addEventListener('click', () => {
+    addClickFeedback(ui.moveDownBtn);
+    if (selectedIds.size === 0) return;
+    runCommand('command.moveDown', () => moveSiblings(tree, selectedNodes(), 1));
+});
+
+ui.indentBtn.addEventListener('click', () => {
+    addClickFeedback(ui.indentBtn);
+    if (selectedIds.size === 0) return;
+    runCommand('command.indent', () => indentNodes(tree, selectedNodes()));
 });
 
 ui.outdentBtn.addEventListener('click', () => {
     addClickFeedback(ui.outdentBtn);
-    if (selectedIds.size !== 1) return;
-    const nodeId = selectedIds.values().next().value;
-    const node = nodeMap.get(nodeId);
-    const parent = node.parent;
-    if (!parent || parent.type === 'ROOT') return;
+    if (selectedIds.size === 0) return;
+    runCommand('command.outdent', () => outdentNodes(tree, selectedNodes()));
+});
+
+ui.selectAllBtn.addEventListener('click', () => {
+    addClickFeedback(ui.selectAllBtn);
+    selectAllInScope();
+});
+
+ui.undoBtn.addEventListener('click', () => {
+    addClickFeedback(ui.undoBtn);
+    undo();
+});
+
+ui.redoBtn.addEventListener('click', () => {
+    addClickFeedback(ui.redoBtn);
+    redo();
+});
+
+document.addEventListener('keydown', (e) => {
+    if (!ui.helpOverlay.hidden || !ui.controlOverlay.hidden || !ui.renameOverlay.hidden) return;
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (e.key === '?' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        openHelp();
+        return;
+    }
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key === 'g' && !e.shiftKey) {
+        e.preventDefault();
+        pressButton(ui.groupBtn);
+    } else if (key === 'enter') {
+        e.preventDefault();
+        pressButton(ui.outputBtn);
+    } else if (key === 'a' && !e.shiftKey && tree.children.length > 0) {
+        e.preventDefault();
+        selectAllInScope();
+    } else if ((key === 'c' || key === 'x') && !e.shiftKey && document.getSelection().isCollapsed) {
+        // Text selected on the page (e.g. in the output) is copied by the browser as usual.
+        if (pressButton(key === 'c' ? ui.copyItemsBtn : ui.cutItemsBtn)) e.preventDefault();
+    } else if (key === 'v' && !e.shiftKey) {
+        if (pressButton(ui.pasteItemsBtn)) e.preventDefault();
+    } else if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+});
+
+// --- Diff view ---
+
+function appendDiffCells(tr, side, className) {
+    const number = document.createElement('td');
+    number.className = 'diff-num';
+    const text = document.createElement('td');
+    text.className = side ? className : 'diff-empty';
+    if (side) {
+        number.textContent = side.number;
+        if (side.runs) {
+            side.runs.forEach(run => {
+                const span = document.createElement('span');
+                if (run.changed) span.className = 'diff-hl';
+                span.textContent = run.text;
+                text.appendChild(span);
+            });
+        } else {
+            text.textContent = side.text;
+        }
+    }
+    tr.appendChild(number);
+    tr.appendChild(text);
+}
+
+function createDiffRow(row) {
+    const tr = document.createElement('tr');
+    if (row.type === 'collapsed') {
+        tr.className = 'diff-collapsed';
+        const td = document.createElement('td');
+        td.colSpan = 4;
+        td.textContent = t('diff.collapsed', { count: row.rows.length });
+        tr.appendChild(td);
+        tr.addEventListener('click', () => {
+            const fragment = document.createDocumentFragment();
+            row.rows.forEach(hidden => fragment.appendChild(createDiffRow(hidden)));
+            tr.replaceWith(fragment);
+        });
+        return tr;
+    }
+    const changed = row.type !== 'equal';
+    appendDiffCells(tr, row.left, changed ? 'diff-del' : '');
+    appendDiffCells(tr, row.right, changed ? 'diff-ins' : '');
+    return tr;
+}
+
+/**
+ * Shows the loaded file and the generated output side by side, with unchanged regions collapsed.
+ */
+function renderDiff() {
+    const { rows, stats } = buildSideBySide(sourceText, ui.outputText.value);
+    ui.outputDiff.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'diff-summary';
+    summary.textContent = stats.changed + stats.added + stats.removed === 0
+        ? t('diff.noChanges')
+        : t('diff.summary', stats);
+    ui.outputDiff.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'diff-table';
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => tbody.appendChild(createDiffRow(row)));
+    table.appendChild(tbody);
+    ui.outputDiff.appendChild(table);
+}
+
+function showOutputText() {
+    ui.outputDiff.hidden = true;
+    ui.outputDiff.innerHTML = '';
+    ui.outputText.hidden = false;
+    ui.diffToggleBtn.textContent = t('diff.showChanges');
+    ui.diffToggleBtn.disabled = ui.outputText.value === '';
+}
+
+ui.diffToggleBtn.addEventListener('click', () => {
+    addClickFeedback(ui.diffToggleBtn);
+    if (!ui.outputDiff.hidden) {
+        showOutputText();
+        return;
+    }
+    renderDiff();
+    ui.outputDiff.hidden = false;
+    ui.outputText.hidden = true;
+    ui.diffToggleBtn.textContent = t('diff.showOutput');
+});
 
-    const grandparent = parent.parent;
-    const parentSiblings = grandparent.children;
-    const parentIndex = parentSiblings.indexOf(parent);
+// --- Validation before output ---
 
-    parent.children.splice(parent.children.indexOf(node), 1);
-    parentSiblings.splice(parentIndex + 1, 0, node);
-    node.parent = grandparent;
+function collectIssues() {
+    return macros.flatMap((macro, macroIndex) => validateMacro(macro).map(issue => ({ ...issue, macroIndex })));
+}
+
+function hideValidation() {
+    pendingOutput = null;
+    ui.validationPanel.hidden = true;
+    ui.validationList.innerHTML = '';
+}
+
+/**
+ * Runs the validator and then `action`. When issues are found, they are listed with their
+ * fixes instead, and `action` waits until the user continues.
+ * @param {string} label The message key of the action's name, e.g. 'validation.output'.
+ * @param {Function} action The output action to run.
+ */
+function runValidated(label, action) {
+    if (collectIssues().length === 0) {
+        hideValidation();
+        action();
+        return;
+    }
+    pendingOutput = { label, action };
+    renderValidation();
+    ui.validationPanel.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Words an item of the tree that a validator issue refers to (see `validateMacro`).
+ * @param {{type: string, key: string|null, name: string|null}} item
+ * @returns {string}
+ */
+function describeIssueItem(item) {
+    if (item.type !== 'CONTROL') return t(`validation.item.${item.type.toLowerCase()}`, item);
+    return item.name ? t('validation.item.control', item) : item.key;
+}
+
+function issueMessage(issue) {
+    const params = {};
+    for (const [name, value] of Object.entries(issue.params)) {
+        params[name] = value && typeof value === 'object' ? describeIssueItem(value) : value;
+    }
+    return t(`validation.issue.${issue.code}`, params);
+}
+
+function showIssueNode(issue) {
+    if (issue.macroIndex !== activeMacroIndex) selectMacro(issue.macroIndex);
+    selectedIds = new Set([issue.node.id]);
+    lastSelectedId = issue.node.id;
+    focusedId = issue.node.id;
+    for (let ancestor = issue.node.parent; ancestor; ancestor = ancestor.parent) collapsedInList.delete(ancestor.id);
     render();
+}
+
+/**
+ * Applies fixes as one undoable command per macro.
+ * @param {Array<object>} issues Issues with a `fix`, from `collectIssues`.
+ * @param {string} label The label for the undo history.
+ */
+function applyFixes(issues, label) {
+    const byMacro = new Map();
+    issues.forEach(issue => {
+        if (!byMacro.has(issue.macroIndex)) byMacro.set(issue.macroIndex, []);
+        byMacro.get(issue.macroIndex).push(issue);
+    });
+    for (const [macroIndex, macroIssues] of byMacro) {
+        if (macroIndex !== activeMacroIndex) selectMacro(macroIndex);
+        runCommand(label, () => {
+            macroIssues.forEach(issue => issue.fix());
+        });
+    }
+    renderHostSettings();
+    renderValidation();
+}
+
+function renderValidation() {
+    const issues = collectIssues();
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    ui.validationList.innerHTML = '';
+    ui.validationSummary.textContent = issues.length === 0
+        ? t('validation.none')
+        : t('validation.summary', { errors, warnings: issues.length - errors, action: t(pendingOutput.label).toLowerCase() });
+
+    issues.forEach(issue => {
+        const li = document.createElement('li');
+        li.className = `issue-${issue.severity}`;
+
+        const severity = document.createElement('span');
+        severity.className = 'issue-severity';
+        severity.textContent = t(`validation.severity.${issue.severity}`);
+        li.appendChild(severity);
+
+        const message = document.createElement('span');
+        message.className = 'issue-message';
+        message.textContent = macros.length > 1 ? `${macros[issue.macroIndex].name}: ${issueMessage(issue)}` : issueMessage(issue);
+        if (issue.node) {
+            message.classList.add('has-node');
+            message.title = t('validation.select');
+            message.addEventListener('click', () => showIssueNode(issue));
+        }
+        li.appendChild(message);
+
+        if (issue.fix) {
+            const fixBtn = document.createElement('button');
+            fixBtn.textContent = t(`validation.fix.${issue.fixCode}`);
+            fixBtn.addEventListener('click', () => {
+                addClickFeedback(fixBtn);
+                applyFixes([issue], 'command.fix');
+            });
+            li.appendChild(fixBtn);
+        }
+        ui.validationList.appendChild(li);
+    });
+
+    ui.fixAllBtn.disabled = !issues.some(issue => issue.fix);
+    ui.continueOutputBtn.textContent = t(issues.length === 0 ? pendingOutput.label : `${pendingOutput.label}Anyway`);
+    ui.validationPanel.hidden = false;
+}
+
+ui.fixAllBtn.addEventListener('click', () => {
+    addClickFeedback(ui.fixAllBtn);
+    applyFixes(collectIssues().filter(issue => issue.fix), 'command.fixAll');
 });
 
-ui.outputBtn.addEventListener('click', () => {
-    addClickFeedback(ui.outputBtn);
+ui.continueOutputBtn.addEventListener('click', () => {
+    addClickFeedback(ui.continueOutputBtn);
+    const { action } = pendingOutput;
+    hideValidation();
+    action();
+});
+
+ui.cancelValidationBtn.addEventListener('click', () => {
+    addClickFeedback(ui.cancelValidationBtn);
+    hideValidation();
+});
+
+function writeOutput() {
     try {
-        const { string } = generateSettingFile(tree, segments, originalFilename, maxAutoLabelIndex);
+        const { string } = generateSettingFile(macros, segments, originalFilename);
         ui.outputText.value = string;
+        ui.diffToggleBtn.disabled = false;
+        if (!ui.outputDiff.hidden) renderDiff();
     } catch (error) {
-        alert(`Error generating output: ${error.message}`);
+        alert(t('output.failed', { message: error.message }));
         console.error('Error during output generation:', error);
     }
+}
+
+function downloadOutput() {
+    try {
+        const { string, filename } = generateSettingFile(macros, segments, originalFilename);
+        downloadText(string, filename, 'text/plain;charset=utf-8');
+    } catch (error) {
+        alert(t('output.downloadFailed', { message: error.message }));
+        console.error('Error during file download:', error);
+    }
+}
+
+ui.outputBtn.addEventListener('click', () => {
+    addClickFeedback(ui.outputBtn);
+    runValidated('validation.output', writeOutput);
 });
 
 ui.copyOutputBtn.addEventListener('click', () => {
     addClickFeedback(ui.copyOutputBtn);
     ui.outputText.select();
     navigator.clipboard.writeText(ui.outputText.value)
-        .then(() => alert('Output copied to clipboard!'))
+        .then(() => alert(t('output.copied')))
         .catch(err => console.error('Failed to copy output: ', err));
 });
 
 ui.downloadOutputBtn.addEventListener('click', () => {
     addClickFeedback(ui.downloadOutputBtn);
-    try {
-        const { string, filename } = generateSettingFile(tree, segments, originalFilename, maxAutoLabelIndex);
-        const blob = new Blob([string], { type: 'text/plain;charset=utf-8' });
-        const a = document.createElement('a');
-        a.href = URL.createObjectURL(blob);
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(a.href);
-    } catch (error) {
-        alert(`Error generating file for download: ${error.message}`);
-        console.error('Error during file download:', error);
-    }
+    runValidated('validation.download', downloadOutput);
 });
@@ -0,0 +1,201 @@
+// session.js
+
+/**
+ * A session is everything needed to pick up an edit where it was left:
+ *
+ *   {
+ *     "version": 1,
+ *     "id": "Glow.setting#1c9e3f52",
+ *     "filename": "Glow.setting",
+ *     "savedAt": 1718000000000,
+ *     "source": "<the loaded file, unchanged>",
+ *     "activeMacroIndex": 0,
+ *     "macros": [{ "tree": { ...the edited tree without parent links... }, "host": { ... }, "expressionEdits": { ... } }]
+ *   }
+ *
+ * Restoring parses `source` again, which gives back the segments and tools, and then puts
+ * the edited trees, label hosts and expression links in place of the parsed ones.
+ * Sessions are keyed by the file name and a hash of `source`, so loading the same file again
+ * continues its Recent Files entry instead of adding one.
+ */
+
+import { parseSettingFile } from './parser.js';
+import { MessageError } from './i18n.js';
+
+const SESSION_VERSION = 1;
+const DB_NAME = 'macro-editor';
+const STORE_NAME = 'sessions';
+
+/** The number of sessions kept for the Recent Files list. */
+export const RECENT_LIMIT = 10;
+
+// 32-bit FNV-1a; only used to tell files apart, not for security.
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * The id a session of a file is stored under.
+ * @param {string} filename The name of the loaded file.
+ * @param {string} source The loaded file content.
+ * @returns {string}
+ */
+export function sessionKey(filename, source) {
+    return `${filename}#${hashText(source)}`;
+}
+
+function serializeNode(node) {
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'parent' || key === 'children') continue;
+        copy[key] = value;
+    }
+    copy.children = node.children.map(serializeNode);
+    return copy;
+}
+
+function deserializeNode(data, parent) {
+    const node = { ...data, parent, children: [] };
+    node.children = data.children.map(child => deserializeNode(child, node));
+    return node;
+}
+
+/**
+ * Describes the current edit as a session that can be stored and restored later.
+ * @param {object} state
+ * @param {string} state.id The id the session is stored under.
+ * @param {string} state.filename The name of the loaded file.
+ * @param {string} state.source The loaded file content.
+ * @param {Array<object>} state.macros The macros being edited (from `parseSettingFile`, with edits).
+ * @param {number} state.activeMacroIndex The macro shown in the editor.
+ * @returns {object} A plain object that survives a structured clone or JSON round trip.
+ */
+export function serializeSession({ id, filename, source, macros, activeMacroIndex }) {
+    return {
+        version: SESSION_VERSION,
+        id,
+        filename,
+        savedAt: Date.now(),
+        source,
+        activeMacroIndex,
+        macros: macros.map(macro => ({
+            tree: JSON.parse(JSON.stringify(serializeNode(macro.tree))),
+            host: macro.host ? { ...macro.host } : null,
+            expressionEdits: { ...macro.expressionEdits },
+        })),
+    };
+}
+
+/**
+ * Puts the edits of a stored session back onto freshly parsed macros.
+ * @param {object} session A session from `serializeSession`.
+ * @param {Array<object>} macros The result of parsing `session.source` again.
+ * @returns {Array<object>} The macros with their trees, label hosts and expression edits replaced.
+ * @throws {MessageError} If the session is from another version or does not fit the file.
+ */
+export function restoreSession(session, macros) {
+    if (!session || session.version !== SESSION_VERSION) {
+        throw new MessageError('session.error.version');
+    }
+    if (session.macros.length !== macros.length) {
+        throw new MessageError('session.error.mismatch');
+    }
+    return macros.map((macro, index) => {
+        const saved = session.macros[index];
+        const host = saved.host || macro.host;
+        return {
+            ...macro,
+            tree: deserializeNode(saved.tree, null),
+            host,
+            helperName: host ? host.name : macro.helperName,
+            expressionEdits: { ...saved.expressionEdits },
+        };
+    });
+}
+
+/**
+ * Parses a file for editing and, when a session is given, puts its edits back. Nothing is
+ * shared with the edit currently open, so a failure leaves that edit as it was.
+ * @param {string} text The file content.
+ * @param {string} filename The name of the file.
+ * @param {object|null} [session] A stored session of the file.
+ * @returns {{id: string, result: object, macros: Array<object>}} The session id, the result of
+ *          `parseSettingFile` and the macros to edit.
+ * @throws {SettingSyntaxError} If the file cannot be parsed.
+ * @throws {MessageError} If the session does not fit the file.
+ */
+export function openEdit(text, filename, session = null) {
+    const result = parseSettingFile(text);
+    const macros = session ? restoreSession(session, result.macros) : result.macros;
+    return { id: session ? session.id : sessionKey(filename, text), result, macros };
+}
+
+// --- IndexedDB storage (browser only) ---
+
+function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result);
+        idbRequest.onerror = () => reject(idbRequest.error);
+    });
+}
+
+function openDatabase() {
+    const opening = indexedDB.open(DB_NAME, 1);
+    opening.onupgradeneeded = () => {
+        opening.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    return request(opening);
+}
+
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    try {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        const result = await action(transaction.objectStore(STORE_NAME));
+        await done;
+        return result;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Lists the stored sessions, most recently saved first.
+ * @returns {Promise<Array<object>>}
+ */
+export function listSessions() {
+    return withStore('readonly', store => request(store.getAll()))
+        .then(sessions => sessions.sort((a, b) => b.savedAt - a.savedAt));
+}
+
+/**
+ * Stores a session, replacing the one with the same id, and drops the oldest sessions
+ * beyond `RECENT_LIMIT`.
+ * @param {object} session A session from `serializeSession`.
+ * @returns {Promise<void>}
+ */
+export async function saveSession(session) {
+    await withStore('readwrite', store => request(store.put(session)));
+    const sessions = await listSessions();
+    if (sessions.length <= RECENT_LIMIT) return;
+    await withStore('readwrite', store => Promise.all(sessions.slice(RECENT_LIMIT).map(old => request(store.delete(old.id)))));
+}
+
+/**
+ * Removes a stored session.
+ * @param {string} id The session id.
+ * @returns {Promise<void>}
+ */
+export function deleteSession(id) {
+    return withStore('readwrite', store => request(store.delete(id)));
+}
@@ -0,0 +1,91 @@
+// test/ast.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSettingAst, getField, getFieldValue, SettingSyntaxError, sourceExcerpt } from '../ast.js';
+import { parseSettingFile } from '../parser.js';
+
+test('strings containing braces, escaped quotes and comment markers are read as values', () => {
+    const { body } = parseSettingAst('{ A = "a { b } \\"c\\" -- d", B = \'}\' }');
+    assert.equal(getFieldValue(body, 'A').value, 'a { b } "c" -- d');
+    assert.equal(getFieldValue(body, 'B').value, '}');
+});
+
+test('comments and long strings are skipped or decoded', () => {
+    const { body, comments } = parseSettingAst('-- header {\n{ --[[ { ]] A = [[x}]], B = [==[\n]]}]==], -- }\n}');
+    assert.equal(getFieldValue(body, 'A').value, 'x}');
+    assert.equal(getFieldValue(body, 'B').value, ']]}');
+    assert.equal(comments.length, 3);
+});
+
+test('constructors, bracketed keys and positional entries are represented', () => {
+    const { body } = parseSettingAst('{ T = ordered() { ["a.b"] = FuID { "X" }, [0] = { -1.5, 2e3 } }, F = FuID "Y" }');
+    const table = getFieldValue(body, 'T');
+    assert.deepEqual(table.ctor, { name: 'ordered', called: true });
+    assert.equal(getField(table, 'a.b').keyKind, 'string');
+    assert.deepEqual(getFieldValue(table, 0).fields.map(field => field.value.value), [-1.5, 2000]);
+    assert.equal(getFieldValue(body, 'F').type, 'Call');
+});
+
+test('fields record source positions including the trailing separator', () => {
+    const text = '{ A = { 1 }, B = 2 }';
+    const field = getField(parseSettingAst(text).body, 'A');
+    assert.equal(text.substring(field.start, field.end), 'A = { 1 }');
+    assert.equal(text.substring(field.start, field.separatorEnd), 'A = { 1 },');
+});
+
+test('syntax errors report line and column', () => {
+    assert.throws(() => parseSettingAst('{\n  A = "open\n}'), (error) => {
+        assert.ok(error instanceof SettingSyntaxError);
+        assert.equal(error.line, 2);
+        assert.equal(error.column, 7);
+        return true;
+    });
+    assert.throws(() => parseSettingAst('{ A = { 1 }'), /Unmatched "\{"/);
+});
+
+test('malformed escapes are syntax errors at the backslash', () => {
+    assert.equal(getFieldValue(parseSettingAst('{ A = "\\x41\\u{1F600}" }').body, 'A').value, 'A\u{1F600}');
+    const cases = [
+        ['{ A = "\\u{41" }', /\\u\{/, 8],
+        ['"\\u{41"', /\\u\{/, 2],
+        ['{ A = "\\u{zz}" }', /\\u\{/, 8],
+        ['{ A = "\\xg1" }', /\\x/, 8],
+    ];
+    for (const [text, pattern, column] of cases) {
+        assert.throws(() => parseSettingAst(text), (error) => {
+            assert.ok(error instanceof SettingSyntaxError);
+            assert.match(error.message, pattern);
+            assert.deepEqual([error.line, error.column], [1, column]);
+            return true;
+        });
+    }
+});
+
+test('an excerpt shows the lines around a line of the source', () => {
+    const text = 'a\r\nb\r\nc\r\nd\r\ne';
+    assert.deepEqual(sourceExcerpt(text, 1, 1), [{ number: 1, text: 'a' }, { number: 2, text: 'b' }]);
+    assert.deepEqual(sourceExcerpt(text, 4).map(line => line.text), ['b', 'c', 'd', 'e']);
+});
+
+test('InstanceInput properties are read structurally', () => {
+    const content = `{
+	Tools = ordered() {
+		M = GroupOperator {
+			Inputs = ordered() {
+				Input1 = InstanceInput {
+					SourceOp = "Text1",
+					Source = "StyledText",
+					Name = "Say \\"{hi}\\"",
+					Default = { 0.5, 0.5 },
+				},
+			},
+			Tools = ordered() {
+				Text1 = TextPlus { Inputs = { StyledText = Input { Value = "}", }, }, },
+			},
+		},
+	},
+}`;
+    const { tree } = parseSettingFile(content);
+    assert.equal(tree.children.length, 1);
+    assert.deepEqual(tree.children[0].data.properties, { SourceOp: 'Text1', Source: 'StyledText', Name: 'Say "{hi}"', Default: '{ 0.5, 0.5 }' });
+});
@@ -0,0 +1,82 @@
+// test/cli.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixture = name => path.join(root, 'test', 'fixtures', name);
+
+function run(...args) {
+    return spawnSync(process.execPath, [path.join(root, 'cli.js'), ...args], { encoding: 'utf8' });
+}
+
+test('dump prints the layout as JSON or YAML', () => {
+    const json = run('dump', fixture('group-paged.setting'));
+    assert.equal(json.status, 0);
+    assert.deepEqual(JSON.parse(json.stdout).pages.map(page => page.name), ['Glow', 'Blend']);
+
+    const yaml = run('dump', fixture('group-paged.setting'), '--format', 'yaml');
+    assert.equal(yaml.status, 0);
+    assert.match(yaml.stdout, /^pages:\n {2}- name: Glow\n/);
+
+    const sources = JSON.parse(run('dump', fixture('group-paged.setting'), '--sources').stdout);
+    assert.equal(sources.pages[0].items[0].items[0].sourceOp, 'Blur1');
+});
+
+test('apply writes the modified file and reports unplaced inputs', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'macro-cli-'));
+    const layoutFile = path.join(dir, 'layout.yaml');
+    const outputFile = path.join(dir, 'out.setting');
+    fs.writeFileSync(layoutFile, 'pages:\n  - name: Main\n    items:\n      - group: Glow\n        items: [Input1, Input2]\n');
+
+    const result = run('apply', fixture('group-no-helper.setting'), layoutFile, '-o', outputFile);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /Input3, Input4/);
+    const dumped = JSON.parse(run('dump', outputFile).stdout);
+    assert.equal(dumped.pages[0].name, 'Main');
+    assert.equal(dumped.pages[0].items[0].group, 'Glow');
+
+    assert.equal(run('apply', fixture('group-no-helper.setting'), layoutFile, '-o', outputFile, '--strict').status, 3);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('exit codes distinguish usage, parse, layout and file errors', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'macro-cli-'));
+    const broken = path.join(dir, 'broken.setting');
+    fs.writeFileSync(broken, '{ Tools = ordered() { A = GroupOperator { Inputs = ordered() { ');
+    const badLayout = path.join(dir, 'bad.json');
+    fs.writeFileSync(badLayout, '{ "pages": 1 }');
+
+    assert.equal(run().status, 1);
+    assert.equal(run('frobnicate').status, 1);
+    const parseError = run('dump', broken);
+    assert.equal(parseError.status, 2);
+    assert.match(parseError.stderr, /line 1/);
+    assert.equal(run('apply', fixture('group-no-helper.setting'), badLayout).status, 3);
+    assert.equal(run('dump', path.join(dir, 'missing.setting')).status, 4);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('--macro picks one macro of a file with several and leaves the others alone', () => {
+    const inner = JSON.parse(run('dump', fixture('multi-macro.setting'), '--macro', 'Inner').stdout);
+    assert.deepEqual(inner.pages[0].items, [{ input: 'Input1', name: 'Gain' }, { input: 'Input2', name: 'Alpha' }]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'macro-cli-'));
+    const layoutFile = path.join(dir, 'layout.json');
+    const outputFile = path.join(dir, 'out.setting');
+    fs.writeFileSync(layoutFile, JSON.stringify({ items: ['Input2', 'Input1'] }));
+    const result = run('apply', fixture('multi-macro.setting'), layoutFile, '--macro', 'Inner', '-o', outputFile);
+    assert.equal(result.status, 0, result.stderr);
+
+    const output = fs.readFileSync(outputFile, 'utf8');
+    const source = fs.readFileSync(fixture('multi-macro.setting'), 'utf8');
+    assert.equal(output.substring(output.indexOf('\t\tBadge = GroupOperator')), source.substring(source.indexOf('\t\tBadge = GroupOperator')));
+    assert.deepEqual(JSON.parse(run('dump', outputFile, '--macro', 'Inner').stdout).pages[0].items.map(item => item.input), ['Input2', 'Input1']);
+
+    assert.equal(run('dump', fixture('multi-macro.setting'), '--macro', 'Nope').status, 1);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
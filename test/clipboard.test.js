@@ -0,0 +1,101 @@
+// test/clipboard.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+import { copyNodes, pasteNodes } from '../clipboard.js';
+import { exportLayout } from '../layout.js';
+import { removeNodes } from '../tree.js';
+import { validateMacro } from '../validate.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const save = result => generateSettingFile(result.macros, result.segments, 'x.setting').string;
+
+const optionsFor = macro => ({ maxAutoLabelIndex: macro.maxAutoLabelIndex, tools: macro.tools, hostName: macro.host.name });
+
+const findControl = (tree, key) => {
+    let found = null;
+    (function walk(node) {
+        if (node.data && node.data.key === key && node.type === 'CONTROL') found = node;
+        node.children.forEach(walk);
+    })(tree);
+    return found;
+};
+
+test('a copied page keeps its groups when pasted into a macro without them', () => {
+    const source = parseSettingFile(readFixture('group-paged.setting'));
+    const page = source.tree.children.find(node => node.type === 'PAGE' && node.name === 'Glow');
+    // Survives loading another file: the clipboard is plain data.
+    const clipboard = JSON.parse(JSON.stringify(copyNodes(source.tree, [page])));
+    assert.deepEqual(clipboard.items.map(item => item.page || item.group), ['Glow', 'Glow']);
+
+    // The same macro with its pages and groups flattened away.
+    const target = parseSettingFile(readFixture('group-paged.setting'));
+    const [macro] = target.macros;
+    const controls = [];
+    (function walk(node) {
+        node.children.forEach(child => (child.type === 'CONTROL' ? controls.push(child) : walk(child)));
+    })(macro.tree);
+    controls.forEach(node => { node.parent = macro.tree; });
+    macro.tree.children = controls;
+
+    const report = pasteNodes(macro.tree, clipboard, null, 'after', optionsFor(macro));
+    assert.deepEqual(report.placed, ['Input1', 'Input2']);
+    assert.deepEqual(report.missing, []);
+    assert.deepEqual(exportLayout(macro.tree).pages, [
+        { name: 'Controls', items: ['Input3', 'Input4'] },
+        { name: 'Glow', items: [{ group: 'Glow', items: [{ input: 'Input1', name: 'Glow Size' }, { input: 'Input2', name: 'Glow Gain' }] }] },
+    ]);
+
+    // The new group gets a label key above the file's, and the output reads back the same.
+    const output = save(target);
+    assert.match(output, /AutoLabel2 = \{[^\n]*LINKS_Name = "Glow"/);
+    const reread = parseSettingFile(output);
+    assert.deepEqual(exportLayout(reread.tree), exportLayout(macro.tree));
+    assert.deepEqual(validateMacro(reread.macros[0]), []);
+});
+
+test('inputs the target macro does not have are reported and their groups dropped', () => {
+    const { macros } = parseSettingFile(readFixture('multi-macro.setting'));
+    const [outer, , badge] = macros;
+    const clipboard = copyNodes(badge.tree, [badge.tree.children[0]]);
+    const before = exportLayout(outer.tree);
+
+    const report = pasteNodes(outer.tree, clipboard, outer.tree.children[1], 'after', optionsFor(outer));
+    assert.deepEqual(report.nodes, []);
+    assert.deepEqual(report.missing, ['Text1.StyledText']);
+    assert.deepEqual(exportLayout(outer.tree), before);
+});
+
+test('a cut input is published again under its key, and pasting twice moves it', () => {
+    const result = parseSettingFile(readFixture('group-paged.setting'));
+    const { tree } = result;
+    const blend = findControl(tree, 'Input3');
+    const properties = { ...blend.data.properties };
+    const clipboard = copyNodes(tree, [blend]);
+    removeNodes(tree, [blend]);
+
+    const group = tree.children.find(node => node.type === 'GROUP');
+    const first = pasteNodes(tree, clipboard, group, 'inside', optionsFor(result.macros[0]));
+    assert.deepEqual(first.published, ['Input3']);
+    const pasted = findControl(tree, 'Input3');
+    assert.equal(pasted.parent, group);
+    assert.deepEqual(pasted.data.properties, properties);
+
+    // Pasting again into a new group takes the input out of the old one.
+    const clipboardWithGroup = { ...clipboard, items: [{ group: 'Mix', items: clipboard.items }] };
+    const second = pasteNodes(tree, clipboardWithGroup, group, 'after', optionsFor(result.macros[0]));
+    assert.deepEqual(second.placed, ['Input3']);
+    assert.equal(findControl(tree, 'Input3').parent.name, 'Mix');
+    assert.equal(second.nodes[0].internalKey, 'AutoLabel2');
+    assert.deepEqual(group.children.map(node => node.data.key), ['Input1', 'Input2']);
+
+    // The group the input leaves behind empty is removed.
+    const third = pasteNodes(tree, clipboardWithGroup, null, 'after', optionsFor(result.macros[0]));
+    assert.deepEqual(tree.children.filter(node => node.name === 'Mix'), third.nodes);
+    assert.equal(third.nodes[0].internalKey, 'AutoLabel3');
+
+    assert.throws(() => pasteNodes(tree, { items: [] }, null, 'after'), { messageKey: 'clipboard.error.format', message: /does not hold controls/ });
+});
@@ -0,0 +1,105 @@
+// test/controls.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+import { createUserControl } from '../controls.js';
+import { buildInspector } from '../inspector.js';
+import { validateMacro } from '../validate.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const save = result => generateSettingFile(result.macros, result.segments, 'x.setting').string;
+
+function addControl(result, spec, takenKeys = []) {
+    const macro = result.macros[0];
+    const nodes = createUserControl(macro.tree, spec, macro.host.name, takenKeys, 1000);
+    nodes.forEach(node => { node.parent = macro.tree; });
+    macro.tree.children.push(...nodes);
+    return nodes;
+}
+
+test('a new slider is written to the helper node and published on the macro', () => {
+    const result = parseSettingFile(readFixture('macro-no-helper.setting'));
+    const [node] = addControl(result, { type: 'slider', name: 'Glow Size', default: '2', min: '0', max: '10', tooltip: 'How far the glow spreads' });
+    assert.equal(node.data.key, 'Input8');
+    assert.deepEqual(node.data.properties, { SourceOp: 'background_helper', Source: 'GlowSize', Name: 'Glow Size', Default: 2 });
+
+    const output = save(result);
+    assert.match(output, /GlowSize = \{ LINKS_Name = "Glow Size", LINKID_DataType = "Number", INPID_InputControl = "SliderControl", INP_Default = 2, INP_MinScale = 0, INP_MaxScale = 10, INPS_StatusText = "How far the glow spreads", \},/);
+    assert.match(output, /Input8 = InstanceInput \{\s+SourceOp = "background_helper",\s+Source = "GlowSize",\s+Name = "Glow Size",\s+Default = 2,\s+\}/);
+
+    // Read back, the control is still the editor's and writing again changes nothing.
+    const reread = parseSettingFile(output);
+    const control = reread.tree.children.find(child => child.data && child.data.key === 'Input8');
+    assert.ok(control.userControl);
+    assert.deepEqual(validateMacro(reread.macros[0]), []);
+    assert.equal(save(reread), output);
+});
+
+test('a color is three controls in one control group', () => {
+    const result = parseSettingFile(readFixture('macro-with-helper.setting'));
+    const nodes = addControl(result, { type: 'color', name: 'Tint', default: '#ff8000' });
+
+    assert.deepEqual(nodes.map(node => node.data.properties.Source), ['TintRed', 'TintGreen', 'TintBlue']);
+    assert.deepEqual(nodes.map(node => node.data.properties.Default), [1, 0.502, 0]);
+    // The fixture already uses control groups up to 5.
+    assert.deepEqual(nodes.map(node => node.data.properties.ControlGroup), [6, 6, 6]);
+
+    const reread = parseSettingFile(save(result));
+    const [page] = buildInspector(reread.tree, reread.tools);
+    const tint = page.items[page.items.length - 1];
+    assert.equal(tint.name, 'Tint');
+    assert.equal(tint.widget, 'color');
+    assert.deepEqual(tint.sources, ['TintRed', 'TintGreen', 'TintBlue']);
+});
+
+test('combo options, checkbox, text and button controls', () => {
+    const result = parseSettingFile(readFixture('macro-no-helper.setting'));
+    addControl(result, { type: 'combo', name: 'Mode', default: '1', options: ['Soft', 'Hard', ''] });
+    addControl(result, { type: 'checkbox', name: 'Invert', default: '1' });
+    addControl(result, { type: 'text', name: 'Caption', default: 'Hello "world"' });
+    addControl(result, { type: 'button', name: 'Reset' });
+
+    const output = save(result);
+    assert.match(output, /INPID_InputControl = "ComboControl", INP_Integer = true, INP_Default = 1, CC_LabelPosition = "Horizontal", \{ CCS_AddString = "Soft", \}, \{ CCS_AddString = "Hard", \}, \}/);
+    assert.match(output, /INPS_DefaultText = "Hello \\"world\\""/);
+
+    const reread = parseSettingFile(output);
+    const [page] = buildInspector(reread.tree, reread.tools);
+    const widgets = page.items.slice(-4).map(item => `${item.name}:${item.widget}`);
+    assert.deepEqual(widgets, ['Mode:combo', 'Invert:checkbox', 'Caption:text', 'Reset:button']);
+    assert.deepEqual(page.items[page.items.length - 4].options, ['Soft', 'Hard']);
+});
+
+test('keys stay unique and bad specs are refused', () => {
+    const result = parseSettingFile(readFixture('macro-no-helper.setting'));
+    const [first] = addControl(result, { type: 'slider', name: 'Amount' });
+    const [second] = addControl(result, { type: 'slider', name: 'Amount' });
+    const [width] = addControl(result, { type: 'slider', name: 'Width' });
+    assert.equal(first.data.properties.Source, 'Amount');
+    assert.equal(second.data.properties.Source, 'Amount2');
+    assert.equal(width.data.properties.Source, 'Width2');
+    assert.notEqual(first.data.key, second.data.key);
+
+    const { tree } = result.macros[0];
+    assert.throws(() => createUserControl(tree, { type: 'slider', name: ' ' }, 'h', [], 0), /name/);
+    assert.throws(() => createUserControl(tree, { type: 'slider', name: 'A', min: '5', max: '1' }, 'h', [], 0), /minimum/);
+    assert.throws(() => createUserControl(tree, { type: 'combo', name: 'A', options: [] }, 'h', [], 0), /option/);
+    assert.throws(() => createUserControl(tree, { type: 'combo', name: 'A', default: '2', options: ['x'] }, 'h', [], 0), /from 0 to 0/);
+    assert.throws(() => createUserControl(tree, { type: 'color', name: 'A', default: 'red' }, 'h', [], 0), /#rrggbb/);
+});
+
+test('on a tool host, the control joins the tool\'s own UserControls', () => {
+    const result = parseSettingFile(readFixture('tool-host.setting'));
+    const router = result.tools.find(tool => tool.name === 'Router1');
+    addControl(result, { type: 'checkbox', name: 'Strength' }, [...router.userControls, ...router.inputs.map(input => input.id)]);
+
+    const output = save(result);
+    const reread = parseSettingFile(output);
+    const rereadRouter = reread.tools.find(tool => tool.name === 'Router1');
+    assert.deepEqual(rereadRouter.userControls, ['Strength', 'Strength2']);
+    assert.equal(rereadRouter.controls.Strength2.inputControl, 'CheckboxControl');
+    assert.equal(save(reread), output);
+});
@@ -0,0 +1,56 @@
+// test/diff.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { buildSideBySide, diffWords } from '../diff.js';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+
+const flatten = rows => rows.flatMap(row => row.type === 'collapsed' ? row.rows : [row]);
+
+test('lines are paired into changes, insertions and deletions', () => {
+    const { rows, stats } = buildSideBySide('a\nb\nc\nd', 'a\nB\nc\nx\nd\ne');
+    assert.deepEqual(rows.map(row => row.type), ['equal', 'change', 'equal', 'insert', 'equal', 'insert']);
+    assert.deepEqual(stats, { added: 2, removed: 0, changed: 1 });
+    assert.deepEqual(rows[3].right, { number: 4, text: 'x' });
+    assert.equal(rows[3].left, null);
+
+    const removed = buildSideBySide('a\nb\nc', 'a\nc');
+    assert.deepEqual(removed.rows.map(row => row.type), ['equal', 'delete', 'equal']);
+    assert.deepEqual(removed.stats, { added: 0, removed: 1, changed: 0 });
+});
+
+test('changed lines carry word-level highlights', () => {
+    assert.deepEqual(diffWords('Name = "Glow Size",', 'Name = "Blur Size",'), {
+        before: [{ text: 'Name = "', changed: false }, { text: 'Glow', changed: true }, { text: ' Size",', changed: false }],
+        after: [{ text: 'Name = "', changed: false }, { text: 'Blur', changed: true }, { text: ' Size",', changed: false }],
+    });
+});
+
+test('unchanged regions away from changes are collapsed', () => {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+    const after = before.replace('line 10', 'line ten');
+    const { rows } = buildSideBySide(before, after, { context: 2 });
+
+    assert.deepEqual(rows.map(row => row.type === 'collapsed' ? `collapsed:${row.rows.length}` : row.type),
+        ['collapsed:7', 'equal', 'equal', 'change', 'equal', 'equal', 'collapsed:8']);
+    assert.equal(rows[1].left.number, 8);
+    assert.equal(flatten(rows).length, 20);
+
+    const identical = buildSideBySide(before, before);
+    assert.deepEqual(identical.rows.map(row => row.type), ['collapsed']);
+    assert.deepEqual(identical.stats, { added: 0, removed: 0, changed: 0 });
+});
+
+test('both sides of the view reproduce the compared texts', () => {
+    const source = fs.readFileSync(new URL('./fixtures/group-no-helper.setting', import.meta.url), 'utf8');
+    const { tree, segments, maxAutoLabelIndex } = parseSettingFile(source);
+    const output = generateSettingFile(tree, segments, 'x.setting', maxAutoLabelIndex).string;
+    const rows = flatten(buildSideBySide(source, output).rows);
+
+    assert.equal(rows.filter(row => row.left).map(row => row.left.text).join('\n'), source);
+    assert.equal(rows.filter(row => row.right).map(row => row.right.text).join('\n'), output);
+    // The helper node is the only addition, so nothing before the Tools block may change.
+    const firstChange = rows.find(row => row.type !== 'equal');
+    assert.ok(firstChange.left === null || firstChange.left.number > 12);
+});
@@ -0,0 +1,68 @@
+// test/history.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { captureTree, restoreTree, createHistory } from '../history.js';
+
+function makeTree() {
+    const root = { id: 0, type: 'ROOT', children: [], parent: null };
+    const group = { id: 1, type: 'GROUP', name: 'Group', parent: root, children: [] };
+    const a = { id: 2, type: 'CONTROL', parent: group, children: [], data: { key: 'Input1', properties: { Name: 'A' } } };
+    const b = { id: 3, type: 'CONTROL', parent: root, children: [], data: { key: 'Input2', properties: { Name: 'B' } } };
+    group.children.push(a);
+    root.children.push(group, b);
+    return { root, group, a, b };
+}
+
+test('restoreTree undoes structural and property edits on the same node objects', () => {
+    const { root, group, a, b } = makeTree();
+    const snapshot = captureTree(root);
+
+    // Flatten the group and rename a control, as Delete and Rename do.
+    root.children.splice(0, 1, a);
+    a.parent = root;
+    b.data.properties.Name = 'Renamed';
+    b.data.__renamed = true;
+
+    restoreTree(snapshot);
+    assert.equal(root.children[0], group);
+    assert.equal(group.children[0], a);
+    assert.equal(a.parent, group);
+    assert.equal(b.data.properties.Name, 'B');
+    assert.equal('__renamed' in b.data, false);
+});
+
+test('a node added after the snapshot is detached again on restore', () => {
+    const { root } = makeTree();
+    const snapshot = captureTree(root);
+    root.children.unshift({ id: 9, type: 'PAGE', name: 'Page', parent: root, children: [] });
+    restoreTree(snapshot);
+    assert.deepEqual(root.children.map(node => node.id), [1, 3]);
+});
+
+test('history undoes and redoes commands in order and drops the redo stack on push', () => {
+    const log = [];
+    const history = createHistory();
+    const command = (label) => ({ label, undo: () => log.push(`undo ${label}`), redo: () => log.push(`redo ${label}`) });
+
+    history.push(command('first'));
+    history.push(command('second'));
+    assert.equal(history.undoLabel(), 'second');
+
+    history.undo();
+    history.undo();
+    assert.equal(history.canUndo(), false);
+    history.redo();
+    assert.equal(history.redoLabel(), 'second');
+
+    history.push(command('third'));
+    assert.equal(history.canRedo(), false);
+    assert.deepEqual(log, ['undo second', 'undo first', 'redo first']);
+});
+
+test('history keeps at most `limit` commands', () => {
+    const history = createHistory(2);
+    for (const label of ['a', 'b', 'c']) history.push({ label, undo() {}, redo() {} });
+    assert.equal(history.undo().label, 'c');
+    assert.equal(history.undo().label, 'b');
+    assert.equal(history.undo(), null);
+});
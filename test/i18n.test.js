@@ -0,0 +1,99 @@
+// test/i18n.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { CATALOGS, MessageError, t, detectLanguage, setLanguage, getLanguage } from '../i18n.js';
+import { applyLayout } from '../layout.js';
+
+const readSource = name => fs.readFileSync(new URL(`../${name}`, import.meta.url), 'utf8');
+
+const placeholders = message => [...message.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+
+test('every catalog has the same keys and placeholders as the English one', () => {
+    const { en, ...others } = CATALOGS;
+    for (const [lang, catalog] of Object.entries(others)) {
+        assert.deepEqual(Object.keys(catalog).sort(), Object.keys(en).sort(), lang);
+        for (const [key, message] of Object.entries(en)) {
+            assert.deepEqual(placeholders(catalog[key]), placeholders(message), `${lang}: ${key}`);
+        }
+    }
+});
+
+test('every message key used by the page and the script is in the catalogs', () => {
+    const html = readSource('index.html');
+    const script = readSource('script.js');
+    // Modules report problems with `new MessageError('layout.error.duplicate', ...)`.
+    const modules = ['ast.js', 'clipboard.js', 'controls.js', 'rename.js', 'layout.js', 'session.js'].map(readSource).join('\n');
+    const used = new Set([
+        ...[...modules.matchAll(/'([a-z][A-Za-z]*(?:\.[A-Za-z]+)+)'/g)].map(match => match[1]),
+        ...[...html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].map(match => match[1]),
+        // Message keys are quoted dotted names starting with lower case, e.g. t('load.failed') or
+        // runCommand('command.move', ...).
+        ...[...script.matchAll(/'([a-z][A-Za-z]*(?:\.[A-Za-z]+)+)'/g)].map(match => match[1]),
+    ]);
+    // Keys built at run time from a fixed set of names.
+    for (const widget of ['label', 'separator', 'image', 'gradient', 'spline']) used.add(`inspector.widget.${widget}`);
+    for (const type of ['group', 'page', 'separator']) used.add(`delete.count.${type}`);
+    for (const severity of ['error', 'warning']) used.add(`validation.severity.${severity}`);
+    for (const action of ['validation.output', 'validation.download']) used.add(`${action}Anyway`);
+    for (const code of ['duplicate-key', 'empty-group', 'empty-page', 'orphaned-label', 'dangling-label', 'missing-tool', 'no-source-op', 'missing-host']) {
+        used.add(`validation.issue.${code}`);
+    }
+    for (const fix of ['new-key', 'remove-group', 'remove-page', 'unpublish', 'use-helper']) used.add(`validation.fix.${fix}`);
+    for (const type of ['group', 'page', 'separator']) used.add(`validation.item.${type}`);
+    for (const code of ['no-macro', 'no-inputs', 'no-published-inputs', 'label-count-missing', 'label-name-missing', 'group-count-overflow']) {
+        used.add(`diagnostics.issue.${code}`);
+    }
+    // Syntax errors about a token name the end of the file and strings separately.
+    for (const key of ['expected', 'unexpected']) used.add(`diagnostics.syntax.${key}End`);
+    for (const key of ['expected', 'unexpected', 'expectedSeparator', 'trailing']) used.add(`diagnostics.syntax.${key}String`);
+
+    const missing = [...used].filter(key => !(key in CATALOGS.en) && !/\.(js|json|setting|ya?ml)$/.test(key));
+    assert.deepEqual(missing, []);
+});
+
+test('the language follows the saved choice, then the browser', () => {
+    assert.equal(detectLanguage('ja', ['en-US']), 'ja');
+    assert.equal(detectLanguage('xx', ['fr-FR', 'ja-JP', 'en']), 'ja');
+    assert.equal(detectLanguage(null, ['EN-gb']), 'en');
+    assert.equal(detectLanguage(null, ['fr']), 'en');
+    assert.throws(() => setLanguage('xx'), /No messages/);
+});
+
+test('messages are filled in and fall back to English, then to the key', () => {
+    CATALOGS.ja['test.onlyEnglish'] = undefined;
+    CATALOGS.en['test.onlyEnglish'] = 'Only {what}';
+    try {
+        setLanguage('ja');
+        assert.equal(getLanguage(), 'ja');
+        assert.equal(t('diff.collapsed', { count: 3 }), '⋯ 変更のない 3 行（クリックで表示）');
+        assert.equal(t('test.onlyEnglish', { what: 'English' }), 'Only English');
+        assert.equal(t('test.unknown'), 'test.unknown');
+        // Braces without a parameter are part of the text.
+        assert.match(t('batchRename.hint'), /\{n\}/);
+    } finally {
+        setLanguage('en');
+        delete CATALOGS.ja['test.onlyEnglish'];
+        delete CATALOGS.en['test.onlyEnglish'];
+    }
+});
+
+test('errors of the modules carry a message key and read as English elsewhere', () => {
+    const root = { id: 0, type: 'ROOT', parent: null, children: [] };
+    const error = (() => {
+        try {
+            applyLayout(root, { pages: [{ items: [] }] });
+        } catch (caught) {
+            return caught;
+        }
+    })();
+    assert.ok(error instanceof MessageError);
+    assert.equal(error.messageKey, 'layout.error.pageName');
+    assert.equal(error.message, 'Page 1 needs a "name".');
+    setLanguage('ja');
+    try {
+        assert.equal(t(error.messageKey, error.params), 'ページ 1 に "name" がありません。');
+    } finally {
+        setLanguage('en');
+    }
+});
@@ -0,0 +1,76 @@
+// test/inspector.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { buildInspector } from '../inspector.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const CUSTOM_CONTROLS = `{
+	Tools = ordered() {
+		Tint = GroupOperator {
+			Inputs = ordered() {
+				MainInput1 = InstanceInput { SourceOp = "Ctrl", Source = "Input", },
+				Input1 = InstanceInput { SourceOp = "Ctrl", Source = "Mode", },
+				Input2 = InstanceInput { SourceOp = "Ctrl", Source = "TintRed", ControlGroup = 1, },
+				Input3 = InstanceInput { SourceOp = "Ctrl", Source = "TintGreen", ControlGroup = 1, },
+				Input4 = InstanceInput { SourceOp = "Ctrl", Source = "TintBlue", ControlGroup = 1, },
+				Input5 = InstanceInput { SourceOp = "Ctrl", Source = "Invert", Name = "Flip", },
+				Input6 = InstanceInput { SourceOp = "Ctrl", Source = "Title", },
+				Input7 = InstanceInput { SourceOp = "Ctrl", Source = "Center", },
+			},
+			Tools = ordered() {
+				Ctrl = Custom {
+					Inputs = {
+						Title = Input { Value = "Hello", },
+						Center = Input { Value = { 0.5, 0.5 }, },
+					},
+					UserControls = ordered() {
+						Mode = { INPID_InputControl = "ComboControl", LINKID_DataType = "Number", LINKS_Name = "Blend Mode", { CCS_AddString = "Add" }, { CCS_AddString = "Multiply" }, },
+						TintRed = { INPID_InputControl = "ColorControl", LINKID_DataType = "Number", LINKS_Name = "Tint", },
+						TintGreen = { INPID_InputControl = "ColorControl", LINKID_DataType = "Number", },
+						TintBlue = { INPID_InputControl = "ColorControl", LINKID_DataType = "Number", },
+						Invert = { INPID_InputControl = "CheckboxControl", LINKID_DataType = "Number", LINKS_Name = "Invert", },
+					},
+				},
+			},
+		},
+	},
+}`;
+
+const outline = items => items.map(item => item.kind === 'group'
+    ? { group: item.name, collapsed: item.collapsed, items: outline(item.items) }
+    : item.kind === 'separator' ? '---' : `${item.name}:${item.widget}`);
+
+test('pages become tabs and the empty default page is left out', () => {
+    const result = parseSettingFile(readFixture('group-paged.setting'));
+    const pages = buildInspector(result.tree, result.tools);
+
+    assert.deepEqual(pages.map(page => page.name), ['Glow', 'Blend']);
+    assert.deepEqual(outline(pages[0].items), [
+        { group: 'Glow', collapsed: false, items: ['Glow Size:slider', 'Glow Gain:slider'] },
+    ]);
+    assert.deepEqual(outline(pages[1].items), ['Blend:slider', 'ApplyMode:combo']);
+});
+
+test('groups nest, separators stay in place and hidden main inputs are left out', () => {
+    const result = parseSettingFile(readFixture('tool-host.setting'));
+    const [page] = buildInspector(result.tree, result.tools);
+
+    assert.equal(page.name, 'Controls');
+    assert.deepEqual(outline(page.items), [
+        { group: 'Blur', collapsed: true, items: ['Size:slider', 'Strength:slider'] },
+        '---',
+        'Blend:slider',
+    ]);
+});
+
+test('widgets follow the UserControls entry, then the stored value', () => {
+    const result = parseSettingFile(CUSTOM_CONTROLS);
+    const [page] = buildInspector(result.tree, result.tools);
+
+    assert.deepEqual(outline(page.items), ['Blend Mode:combo', 'Tint:color', 'Flip:checkbox', 'Title:text', 'Center:point']);
+    assert.deepEqual(page.items[0].options, ['Add', 'Multiply']);
+    assert.deepEqual(page.items[1].sources, ['TintRed', 'TintGreen', 'TintBlue']);
+});
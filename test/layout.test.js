@@ -0,0 +1,129 @@
+// test/layout.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+import { exportLayout, applyLayout } from '../layout.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+function save(result) {
+    return generateSettingFile(result.tree, result.segments, 'x.setting', result.maxAutoLabelIndex).string;
+}
+
+for (const name of ['group-paged.setting', 'nested-groups.setting', 'macro-with-helper.setting']) {
+    test(`${name}: applying the exported layout leaves the output unchanged`, () => {
+        const source = readFixture(name);
+        const expected = save(parseSettingFile(source));
+
+        const result = parseSettingFile(source);
+        const report = applyLayout(result.tree, JSON.parse(JSON.stringify(exportLayout(result.tree))));
+        assert.deepEqual(report.missing, []);
+        assert.deepEqual(report.unplaced, []);
+        assert.equal(save(result), expected);
+    });
+}
+
+test('a layout creates pages, groups, separators and renames', () => {
+    const result = parseSettingFile(readFixture('group-no-helper.setting'));
+    const report = applyLayout(result.tree, {
+        pages: [
+            { name: 'Controls', items: [{ group: 'Glow', items: ['Input1', { input: 'Input2', name: 'Gain' }] }] },
+            { name: 'Blend', items: ['Input3', { separator: true }, 'Input4'] },
+        ],
+        renames: { Input4: 'Mode' },
+    });
+    assert.deepEqual(report.placed, ['Input1', 'Input2', 'Input3', 'Input4']);
+
+    const { tree } = parseSettingFile(save(result));
+    assert.deepEqual(exportLayout(tree), {
+        pages: [
+            { name: 'Controls', items: [{ group: 'Glow', items: [{ input: 'Input1', name: 'Glow Size' }, { input: 'Input2', name: 'Gain' }] }] },
+            { name: 'Blend', items: ['Input3', { separator: true }, { input: 'Input4', name: 'Mode' }] },
+        ],
+    });
+    assert.equal(tree.children[0].data.key, 'MainInput1');
+    assert.equal(tree.children[0].hidden, true);
+});
+
+test('inputs missing from the macro or from the layout are reported, not lost', () => {
+    const result = parseSettingFile(readFixture('group-no-helper.setting'));
+    const report = applyLayout(result.tree, { items: ['Input2', 'Input9'] });
+    assert.deepEqual(report.missing, ['Input9']);
+    assert.deepEqual(report.unplaced, ['Input1', 'Input3', 'Input4']);
+    assert.deepEqual(result.tree.children.map(node => node.data.key), ['MainInput1', 'Input2', 'Input1', 'Input3', 'Input4']);
+});
+
+test('groups the layout leaves out are reported, and new nodes take ids from firstId', () => {
+    const result = parseSettingFile(readFixture('nested-groups.setting'));
+    const report = applyLayout(result.tree, { items: [{ group: 'Look', items: ['Input1'] }, { group: 'Extra', items: [] }] }, { firstId: 1000 });
+    assert.deepEqual(report.removedGroups, ['Glow']);
+    assert.deepEqual(report.unplaced, ['Input2', 'Input3', 'Input4']);
+    assert.equal(result.tree.children.find(node => node.name === 'Extra').id, 1000);
+});
+
+test('malformed layouts are rejected', () => {
+    const { tree } = parseSettingFile(readFixture('group-no-helper.setting'));
+    assert.throws(() => applyLayout(tree, []), /"pages" or "items"/);
+    assert.throws(() => applyLayout(tree, { pages: [{ items: [] }] }), /needs a "name"/);
+    assert.throws(() => applyLayout(tree, { items: ['Input1', 'Input1'] }), /more than once/);
+    assert.throws(() => applyLayout(tree, { items: [42] }), /Unrecognized layout item/);
+});
+
+test('a template records SourceOp/Source and survives renumbered keys', () => {
+    const original = parseSettingFile(readFixture('group-no-helper.setting'));
+    applyLayout(original.tree, {
+        pages: [
+            { name: 'Controls', items: [{ group: 'Glow', items: ['Input1', 'Input2'] }] },
+            { name: 'Blend', items: ['Input3', 'Input4'] },
+        ],
+    });
+    const template = JSON.parse(JSON.stringify(exportLayout(original.tree, { sources: true })));
+    assert.deepEqual(template.pages[0].items[0].items[0], { input: 'Input1', sourceOp: 'Blur1', source: 'XBlurSize', name: 'Glow Size' });
+    assert.deepEqual(template.pages[1].items[0], { input: 'Input3', sourceOp: 'Merge1', source: 'Blend' });
+
+    // Re-exported from Fusion: Input1 and Input2 swapped keys, ApplyMode was unpublished
+    // and a new input was published.
+    const reexported = readFixture('group-no-helper.setting')
+        .replace(/\bInput1 = InstanceInput/, 'InputA = InstanceInput')
+        .replace(/\bInput2 = InstanceInput/, 'Input1 = InstanceInput')
+        .replace(/\bInputA = InstanceInput/, 'Input2 = InstanceInput')
+        .replace(/Input4 = InstanceInput \{\s*SourceOp = "Merge1",\s*Source = "ApplyMode",\s*\}/, 'Input5 = InstanceInput {\n\t\t\t\t\tSourceOp = "Blur1",\n\t\t\t\t\tSource = "YBlurSize",\n\t\t\t\t}');
+    const result = parseSettingFile(reexported);
+    const report = applyLayout(result.tree, template);
+
+    assert.deepEqual(report.placed, ['Input2', 'Input1', 'Input3']);
+    assert.deepEqual(report.rekeyed, [{ from: 'Input1', to: 'Input2' }, { from: 'Input2', to: 'Input1' }]);
+    assert.deepEqual(report.missing, ['Input4']);
+    assert.deepEqual(report.unplaced, ['Input5']);
+
+    const glow = result.tree.children.find(node => node.type === 'GROUP');
+    assert.deepEqual(glow.children.map(node => node.data.properties.Source), ['XBlurSize', 'MasterRGBGain']);
+});
+
+test('an entry whose tool was renamed falls back to its key', () => {
+    const result = parseSettingFile(readFixture('group-no-helper.setting'));
+    const report = applyLayout(result.tree, {
+        items: [{ input: 'Input1', sourceOp: 'OldBlur', source: 'XBlurSize' }, { input: 'Input2', sourceOp: 'ColorCorrector1', source: 'MasterRGBGain' }],
+    });
+    assert.deepEqual(report.placed, ['Input1', 'Input2']);
+    assert.deepEqual(report.missing, []);
+
+    // The key is not reused when its control publishes a tool input the layout places elsewhere.
+    const other = parseSettingFile(readFixture('group-no-helper.setting'));
+    const conflict = applyLayout(other.tree, {
+        items: [{ input: 'Input1', sourceOp: 'Gone', source: 'Size' }, { input: 'Input9', sourceOp: 'Blur1', source: 'XBlurSize' }],
+    });
+    assert.deepEqual(conflict.placed, ['Input1']);
+    assert.deepEqual(conflict.rekeyed, [{ from: 'Input9', to: 'Input1' }]);
+    assert.deepEqual(conflict.missing, ['Input1']);
+});
+
+test('a group can be collapsed by default through the layout', () => {
+    const result = parseSettingFile(readFixture('group-no-helper.setting'));
+    applyLayout(result.tree, { items: [{ group: 'Glow', collapsed: true, items: ['Input1'] }] });
+    const { tree } = parseSettingFile(save(result));
+    assert.equal(tree.children.find(node => node.type === 'GROUP').collapsed, true);
+    assert.deepEqual(exportLayout(tree).pages[0].items[0], { group: 'Glow', items: [{ input: 'Input1', name: 'Glow Size' }], collapsed: true });
+});
@@ -0,0 +1,61 @@
+// test/links.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+import { listLinks, setLink } from '../links.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const save = result => generateSettingFile(result.macros, result.segments, 'x.setting').string;
+
+test('links read from the file are listed', () => {
+    const { tools } = parseSettingFile(readFixture('tool-host.setting'));
+    assert.deepEqual(listLinks(tools), [
+        { tool: 'Blur1', input: 'XBlurSize', expression: 'Router1.Strength * 4', edited: false },
+    ]);
+});
+
+test('a link is written into the tool input, with or without an existing entry', () => {
+    const result = parseSettingFile(readFixture('tool-host.setting'));
+    const [macro] = result.macros;
+    let edits = setLink({}, macro.tools, 'Blur1', 'XBlurSize', 'Router1.Strength * 2');
+    edits = setLink(edits, macro.tools, 'Blur1', 'Blend', 'Router1.Strength');
+    edits = setLink(edits, macro.tools, 'Router1', 'Strength', '0.25');
+    macro.expressionEdits = edits;
+
+    const output = save(result);
+    assert.match(output, /XBlurSize = Input \{\n\t+Value = 2,\n\t+Expression = "Router1.Strength \* 2",\n\t+\},/);
+    assert.match(output, /Source = "Output",\n\t+\},\n\t+Blend = Input \{ Expression = "Router1.Strength", \},\n\t+\},/);
+    // An expression is always a string, even when it looks like a number.
+    assert.match(output, /Strength = Input \{ Value = 0.5, Expression = "0.25", \},/);
+
+    const reread = parseSettingFile(output);
+    assert.deepEqual(listLinks(reread.tools).map(link => `${link.tool}.${link.input} = ${link.expression}`), [
+        'Router1.Strength = 0.25',
+        'Blur1.XBlurSize = Router1.Strength * 2',
+        'Blur1.Blend = Router1.Strength',
+    ]);
+});
+
+test('removing a link drops the expression, and the entry if nothing else is left', () => {
+    const result = parseSettingFile(readFixture('tool-host.setting'));
+    const [macro] = result.macros;
+    macro.expressionEdits = setLink({}, macro.tools, 'Blur1', 'XBlurSize', null);
+    assert.deepEqual(listLinks(macro.tools, macro.expressionEdits), []);
+
+    const output = save(result);
+    assert.match(output, /XBlurSize = Input \{\n\t+Value = 2,\n\t+\},/);
+    assert.doesNotMatch(output, /Expression/);
+
+    // A link added in the editor and removed again leaves the file as it was.
+    const added = setLink({}, macro.tools, 'Blur1', 'Blend', 'Router1.Strength');
+    assert.deepEqual(setLink(added, macro.tools, 'Blur1', 'Blend', null), {});
+});
+
+test('an edit back to the expression in the file is dropped', () => {
+    const { tools } = parseSettingFile(readFixture('tool-host.setting'));
+    const edits = setLink({}, tools, 'Blur1', 'XBlurSize', 'Router1.Strength');
+    assert.deepEqual(setLink(edits, tools, 'Blur1', 'XBlurSize', 'Router1.Strength * 4'), {});
+});
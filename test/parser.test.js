@@ -0,0 +1,54 @@
+// test/parser.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile, syntaxErrorIssue } from '../parser.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const positionOf = (text, search) => {
+    const offset = text.indexOf(search);
+    const before = text.substring(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+test('label metadata that does not fit the inputs is reported where it is', () => {
+    const source = readFixture('group-paged.setting');
+
+    // Only five items (four inputs and a page break) follow the label.
+    const tooMany = source.replace('LBLC_NumInputs = 2', 'LBLC_NumInputs = 9');
+    const overflow = parseSettingFile(tooMany);
+    assert.equal(overflow.diagnostics.issues.length, 1);
+    const [issue] = overflow.diagnostics.issues;
+    assert.equal(issue.code, 'group-count-overflow');
+    assert.equal(issue.severity, 'warning');
+    assert.equal(issue.macroIndex, 0);
+    assert.deepEqual(issue.params, { label: 'AutoLabel1', name: 'Glow', count: 9, items: 5 });
+    const { line, column } = positionOf(tooMany, 'LBLC_NumInputs = 9');
+    assert.deepEqual([issue.line, issue.column], [line, column + 'LBLC_NumInputs = '.length]);
+
+    const noCount = source.replace('LBLC_NumInputs = 2, ', '');
+    const missing = parseSettingFile(noCount);
+    assert.deepEqual(missing.diagnostics.issues.map(({ code, severity, line, column }) => ({ code, severity, line, column })), [
+        { code: 'label-count-missing', severity: 'warning', ...positionOf(noCount, 'AutoLabel1 = { INP_Passive') },
+    ]);
+    assert.ok(!missing.tree.children.some(node => node.type === 'GROUP'));
+});
+
+test('files without anything to edit say why', () => {
+    const noMacro = parseSettingFile('{\n\tTools = ordered() {\n\t\tBlur1 = Blur { },\n\t}\n}');
+    assert.deepEqual(noMacro.diagnostics.issues.map(issue => [issue.code, issue.severity, issue.line, issue.column]), [['no-macro', 'error', 1, 1]]);
+
+    const source = readFixture('group-paged.setting');
+    const withoutInputs = source.replace(/\t\t\tInputs = ordered\(\) \{[\s\S]*?\n\t\t\t\},\n/, '');
+    const [noInputs] = parseSettingFile(withoutInputs).diagnostics.issues;
+    assert.equal(noInputs.code, 'no-inputs');
+    assert.deepEqual([noInputs.line, noInputs.column], [3, 3]);
+    assert.deepEqual(noInputs.params, { macro: 'SoftGlow' });
+
+    const unclosed = source.replace(/\}\s*$/, '');
+    assert.throws(() => parseSettingFile(unclosed), (error) => {
+        assert.deepEqual(syntaxErrorIssue(error), { code: 'syntax', severity: 'error', messageKey: 'diagnostics.syntax.unmatchedBrace', params: {}, line: 1, column: 1, offset: 0 });
+        return true;
+    });
+});
@@ -0,0 +1,42 @@
+// test/publish.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile, createInstanceInputBlock } from '../writer.js';
+import { nextInputKey, findPublishedInput } from '../tree.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('the tools inside the macro are listed with their stored inputs', () => {
+    const { tools } = parseSettingFile(readFixture('nested-groups.setting'));
+    assert.deepEqual(tools.map(tool => `${tool.name}:${tool.type}`), ['Blur1:Blur', 'ColorCorrector1:ColorCorrector', 'Merge1:Merge']);
+
+    const merge = tools.find(tool => tool.name === 'Merge1');
+    assert.deepEqual(merge.inputs.map(input => input.id), ['Foreground', 'ApplyMode', 'Blend', 'PerformDepthMerge']);
+    assert.equal(merge.inputs[0].connectedTo, 'ColorCorrector1');
+    assert.equal(merge.inputs[1].value, 'FuID { "Screen" }');
+    assert.match(merge.inputs[2].expression, /^iif\(/);
+});
+
+test('nextInputKey continues the InputN numbering', () => {
+    const { tree } = parseSettingFile(readFixture('macro-no-helper.setting'));
+    assert.equal(nextInputKey(tree), 'Input8');
+    assert.equal(findPublishedInput(tree, 'Bar', 'Center').data.key, 'Input7');
+    assert.equal(findPublishedInput(tree, 'Bar', 'Width'), null);
+});
+
+test('a published tool input is written as a new InstanceInput', () => {
+    const { tree, segments, maxAutoLabelIndex } = parseSettingFile(readFixture('macro-no-helper.setting'));
+    const key = nextInputKey(tree);
+    const properties = { SourceOp: 'Bar', Source: 'Width', Name: 'Bar Width' };
+    tree.children.splice(1, 0, {
+        id: 100, type: 'CONTROL', parent: tree, children: [], hidden: false,
+        data: { key, properties: { ...properties }, originalBlock: createInstanceInputBlock(key, properties) },
+    });
+
+    const output = generateSettingFile(tree, segments, 'x.setting', maxAutoLabelIndex).string;
+    const reparsed = parseSettingFile(output).tree;
+    assert.equal(reparsed.children[1].data.key, 'Input8');
+    assert.deepEqual(reparsed.children[1].data.properties, properties);
+});
@@ -0,0 +1,49 @@
+// test/rename.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+import { renameTargets, planRename, applyRename } from '../rename.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const preview = plan => plan.map(entry => `${entry.from} -> ${entry.to}`);
+
+test('the whole list is renamed in list order, skipping hidden inputs', () => {
+    const { tree } = parseSettingFile(readFixture('group-paged.setting'));
+    const targets = renameTargets(tree, null);
+    assert.deepEqual(targets.map(node => node.type), ['PAGE', 'GROUP', 'CONTROL', 'CONTROL', 'PAGE', 'CONTROL', 'CONTROL']);
+
+    const plan = planRename(targets, { case: 'upper', prefix: '{n}. ', digits: 2 });
+    assert.deepEqual(preview(plan).slice(0, 4), ['Glow -> 01. GLOW', 'Glow -> 02. GLOW', 'Glow Size -> 03. GLOW SIZE', 'Glow Gain -> 04. GLOW GAIN']);
+});
+
+test('find and replace, literal or regex, only renames matching items', () => {
+    const { tree } = parseSettingFile(readFixture('group-paged.setting'));
+    const controls = renameTargets(tree, null, ['CONTROL']);
+
+    const literal = planRename(controls, { find: 'glow', replace: '$1 Halo', ignoreCase: true });
+    assert.deepEqual(preview(literal), ['Glow Size -> $1 Halo Size', 'Glow Gain -> $1 Halo Gain', 'Blend -> Blend', 'ApplyMode -> ApplyMode']);
+    assert.deepEqual(literal.map(entry => entry.changed), [true, true, false, false]);
+
+    const regex = planRename(controls, { find: '^Glow (\\w+)$', replace: '$1 ({n})', regex: true, case: 'lower', start: 10, step: 5 });
+    assert.deepEqual(preview(regex).slice(0, 2), ['Glow Size -> size (10)', 'Glow Gain -> gain (15)']);
+
+    assert.throws(() => planRename(controls, { find: '(', regex: true }), /not a valid regular expression/);
+    const empty = planRename(controls, { find: 'Blend', replace: ' ' });
+    assert.equal(empty[2].error, 'empty-name');
+    assert.equal(empty[2].changed, false);
+});
+
+test('a selection is renamed and written out', () => {
+    const result = parseSettingFile(readFixture('group-paged.setting'));
+    const group = result.tree.children.find(node => node.type === 'GROUP');
+    const targets = renameTargets(result.tree, [group, ...group.children]);
+    assert.equal(applyRename(planRename(targets, { suffix: ' FX', case: 'title' })), 3);
+
+    const output = generateSettingFile(result.macros, result.segments, 'x.setting').string;
+    assert.match(output, /LINKS_Name = "Glow FX"/);
+    assert.match(output, /Name = "Glow Size FX"/);
+    assert.doesNotMatch(output, /Blend FX/);
+});
@@ -0,0 +1,193 @@
+// test/roundtrip.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const fixtures = fs.readdirSync(fixturesDir).filter(name => name.endsWith('.setting')).sort();
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+}
+
+/**
+ * Reduces a parsed tree to the parts the editor shows and writes, dropping runtime ids,
+ * parent links and the original source text of each block.
+ */
+function describeTree(node) {
+    const description = { type: node.type };
+    if (node.name !== undefined) description.name = node.name;
+    if (node.data) {
+        description.key = node.data.key;
+        description.properties = node.data.properties;
+    }
+    if (node.hidden) description.hidden = true;
+    if (node.type === 'GROUP') {
+        description.collapsed = node.collapsed;
+        description.dropDownButton = node.dropDownButton;
+        description.labelOptions = node.labelOptions;
+    }
+    description.children = node.children.map(describeTree);
+    return description;
+}
+
+function save(content) {
+    const { macros, segments } = parseSettingFile(content);
+    return generateSettingFile(macros, segments, 'fixture.setting').string;
+}
+
+test('the fixture corpus covers every macro shape', () => {
+    const sources = fixtures.map(readFixture);
+    assert.ok(sources.some(s => /= GroupOperator \{/.test(s) && !s.includes('background_helper')));
+    assert.ok(sources.some(s => /= MacroOperator \{/.test(s) && !s.includes('background_helper')));
+    assert.ok(sources.some(s => /= MacroOperator \{/.test(s) && s.includes('background_helper')));
+    assert.ok(sources.some(s => /Page = "/.test(s)));
+    assert.ok(sources.some(s => /Source = "Separator"/.test(s)));
+    assert.ok(sources.some(s => parseSettingFile(s).macros.some(macro => macro.parent !== null)));
+    assert.ok(sources.some(s => parseSettingFile(s).macros.some(macro => macro.host.kind === 'tool')));
+});
+
+for (const name of fixtures) {
+    test(`${name}: parse → generate → parse reproduces the same tree`, () => {
+        const source = readFixture(name);
+        const first = parseSettingFile(source);
+        const output = generateSettingFile(first.macros, first.segments, name).string;
+        const second = parseSettingFile(output);
+
+        assert.ok(first.tree.children.length > 0, 'fixture should produce a non-empty tree');
+        assert.deepEqual(second.macros.map(macro => describeTree(macro.tree)), first.macros.map(macro => describeTree(macro.tree)));
+    });
+
+    test(`${name}: a second save is byte-stable`, () => {
+        const once = save(readFixture(name));
+        const twice = save(once);
+        assert.equal(twice, once);
+    });
+
+    test(`${name}: everything outside the Inputs and helper segments is left untouched`, () => {
+        const source = readFixture(name);
+        const { segments } = parseSettingFile(source);
+        const output = save(source);
+
+        let cursor = 0;
+        for (const segment of segments) {
+            if (segment.type !== 'string') continue;
+            const found = output.indexOf(segment.string, cursor);
+            assert.notEqual(found, -1, `untouched segment missing from output:\n${segment.string.substring(0, 120)}`);
+            cursor = found + segment.string.length;
+        }
+    });
+}
+
+test('groups, separators and pages survive a save', () => {
+    const { tree } = parseSettingFile(save(readFixture('group-paged.setting')));
+    const summary = tree.children.map(node => `${node.type}:${node.name || node.data.key}`);
+    assert.deepEqual(summary, ['CONTROL:MainInput1', 'PAGE:Glow', 'GROUP:Glow', 'PAGE:Blend', 'CONTROL:Input3', 'CONTROL:Input4']);
+    assert.deepEqual(tree.children[2].children.map(node => node.data.key), ['Input1', 'Input2']);
+
+    const nested = parseSettingFile(readFixture('nested-groups.setting')).tree;
+    const look = nested.children.find(node => node.type === 'GROUP');
+    assert.equal(look.name, 'Look');
+    assert.deepEqual(look.children.map(node => node.type), ['GROUP', 'SEPARATOR', 'CONTROL']);
+});
+
+test('a page added in the editor is written to every following input', () => {
+    const { tree, segments, maxAutoLabelIndex } = parseSettingFile(readFixture('group-no-helper.setting'));
+    const input3 = tree.children.find(node => node.data && node.data.key === 'Input3');
+    tree.children.splice(tree.children.indexOf(input3), 0, { id: 100, type: 'PAGE', name: 'Blend', parent: tree, children: [] });
+
+    const output = generateSettingFile(tree, segments, 'x.setting', maxAutoLabelIndex).string;
+    const reparsed = parseSettingFile(output).tree;
+    assert.deepEqual(reparsed.children.map(node => node.type === 'PAGE' ? `PAGE:${node.name}` : node.data.key),
+        ['MainInput1', 'Input1', 'Input2', 'PAGE:Blend', 'Input3', 'Input4']);
+});
+
+test('the output filename is derived from the original', () => {
+    const { tree, segments } = parseSettingFile(readFixture('macro-no-helper.setting'));
+    assert.equal(generateSettingFile(tree, segments, 'LowerThird.setting').filename, 'LowerThird_modified.setting');
+});
+
+test('every macro of a file, nested ones included, gets its own tree and helper', () => {
+    const { macros } = parseSettingFile(readFixture('multi-macro.setting'));
+    assert.deepEqual(macros.map(macro => [macro.name, macro.type, macro.parent, macro.depth]),
+        [['Outer', 'MacroOperator', null, 0], ['Inner', 'GroupOperator', 0, 1], ['Badge', 'GroupOperator', null, 0]]);
+    assert.deepEqual(macros.map(macro => macro.helperName), ['background_helper_2', 'background_helper_3', 'background_helper']);
+    assert.deepEqual(macros[0].tools.map(tool => tool.name), ['Blur1', 'Inner']);
+    assert.deepEqual(macros[1].tools.map(tool => tool.name), ['Gain1']);
+    assert.equal(macros[2].tree.children[0].type, 'GROUP');
+
+    const ids = macros.flatMap(macro => {
+        const found = [];
+        (function walk(node) { found.push(node.id); node.children.forEach(walk); })(macro.tree);
+        return found;
+    });
+    assert.equal(new Set(ids).size, ids.length, 'node ids are unique across macros');
+});
+
+test('edits to one macro are written to its own blocks only', () => {
+    const { macros, segments } = parseSettingFile(readFixture('multi-macro.setting'));
+    const inner = macros[1].tree;
+    inner.children.reverse();
+    inner.children.unshift({ id: 100, type: 'GROUP', name: 'Levels', parent: inner, children: [] });
+
+    const reparsed = parseSettingFile(generateSettingFile(macros, segments, 'x.setting').string).macros;
+    assert.deepEqual(reparsed[1].tree.children.map(node => node.type === 'GROUP' ? `GROUP:${node.name}` : node.data.key),
+        ['GROUP:Levels', 'Input2', 'Input1']);
+    assert.equal(reparsed[1].helperName, 'background_helper_3');
+    assert.deepEqual(reparsed[0].tree.children.map(node => node.data.key), ['MainInput1', 'Input1', 'Input2']);
+    assert.deepEqual(reparsed[2].tree.children.map(node => node.name), ['Text']);
+});
+
+test('macros left out of the list keep their original text', () => {
+    const source = readFixture('multi-macro.setting');
+    const { macros, segments } = parseSettingFile(source);
+    const output = generateSettingFile([null, null, macros[2]], segments, 'x.setting').string;
+    const badge = source.indexOf('\t\tBadge = GroupOperator');
+    assert.equal(output.substring(0, output.indexOf('\t\tBadge = GroupOperator')), source.substring(0, badge));
+});
+
+test('labels hosted on an existing tool stay there and no helper is added', () => {
+    const source = readFixture('tool-host.setting');
+    const { macros: [macro] } = parseSettingFile(source);
+    assert.deepEqual(macro.host, { kind: 'tool', name: 'Router1' });
+    assert.equal(macro.helperName, 'Router1');
+    const router = macro.tools.find(tool => tool.name === 'Router1');
+    assert.deepEqual(router.inputs.map(input => input.id), ['Strength']);
+    assert.deepEqual(router.userControls, ['Strength']);
+    assert.deepEqual(macro.tree.children.map(node => node.type), ['CONTROL', 'GROUP', 'SEPARATOR', 'CONTROL']);
+    assert.equal(macro.tree.children[1].collapsed, true);
+
+    const output = save(source);
+    assert.equal(output, source);
+    assert.ok(!output.includes('background_helper'));
+});
+
+test('the label host can be moved between a helper node and a tool', () => {
+    // Group and separator InstanceInputs name the host as their SourceOp, so compare without it.
+    const outline = node => ({ type: node.type, name: node.name, key: node.data?.key, children: node.children.map(outline) });
+    const first = parseSettingFile(readFixture('tool-host.setting'));
+    first.macros[0].host = { kind: 'helper', name: 'labels', type: 'Custom', position: [-220, 49.5] };
+    const helperOutput = generateSettingFile(first.macros, first.segments, 'x.setting').string;
+    assert.match(helperOutput, /labels = Custom \{/);
+    assert.match(helperOutput, /ViewInfo = OperatorInfo \{ Pos = \{ -220, 49\.5 \} \}/);
+    assert.ok(!helperOutput.includes('Width = Input'), 'only a Background gets an image size');
+    assert.match(helperOutput, /SourceOp = "labels",\s*Source = "AutoLabel1"/);
+
+    const second = parseSettingFile(helperOutput);
+    assert.deepEqual(second.macros[0].host, { kind: 'helper', name: 'labels', type: 'Custom', position: [-220, 49.5] });
+    const router = helperOutput.substring(helperOutput.indexOf('Router1 = PipeRouter'), helperOutput.indexOf('Blur1 = Blur'));
+    assert.ok(!/AutoLabel1|Separator/.test(router), 'the old host loses its label entries');
+    assert.deepEqual(outline(second.tree), outline(first.tree));
+
+    second.macros[0].host = { kind: 'tool', name: 'Blur1' };
+    const toolOutput = generateSettingFile(second.macros, second.segments, 'x.setting').string;
+    const third = parseSettingFile(toolOutput);
+    assert.ok(!toolOutput.includes('labels = Custom'));
+    assert.deepEqual(third.macros[0].host, { kind: 'tool', name: 'Blur1' });
+    assert.deepEqual(third.macros[0].tools.find(tool => tool.name === 'Blur1').inputs.map(input => input.id), ['XBlurSize', 'Input']);
+    assert.deepEqual(outline(third.tree), outline(first.tree));
+});
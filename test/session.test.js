@@ -0,0 +1,74 @@
+// test/session.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+import { serializeSession, restoreSession, sessionKey, openEdit } from '../session.js';
+import { removeNodes } from '../tree.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const save = (macros, segments) => generateSettingFile(macros, segments, 'x.setting').string;
+
+test('a restored session gives the same output as the edit it was saved from', () => {
+    const source = readFixture('multi-macro.setting');
+    const { macros, segments } = parseSettingFile(source);
+
+    // Remove a control, move the labels to a differently named helper and rename a group.
+    const [first, , badge] = macros;
+    removeNodes(first.tree, [first.tree.children.find(node => node.type === 'CONTROL' && !node.hidden)]);
+    first.host = { kind: 'helper', name: 'labels', type: 'Custom', position: [10, 20] };
+    first.helperName = 'labels';
+    badge.tree.children[0].name = 'Renamed';
+    first.expressionEdits = { 'Blur1.Blend': 'labels.Amount' };
+    const expected = save(macros, segments);
+
+    // Stored sessions go through a structured clone; JSON is at least as strict.
+    const session = JSON.parse(JSON.stringify(serializeSession({ id: '1', filename: 'multi.setting', source, macros, activeMacroIndex: 1 })));
+    assert.equal(session.filename, 'multi.setting');
+    assert.equal(session.activeMacroIndex, 1);
+
+    const reparsed = parseSettingFile(session.source);
+    const restored = restoreSession(session, reparsed.macros);
+    assert.equal(save(restored, reparsed.segments), expected);
+    assert.equal(restored[0].helperName, 'labels');
+    assert.deepEqual(restored[0].expressionEdits, { 'Blur1.Blend': 'labels.Amount' });
+
+    const restoredGroup = restored[2].tree.children[0];
+    assert.equal(restoredGroup.name, 'Renamed');
+    assert.equal(restoredGroup.parent, restored[2].tree);
+    assert.ok(restoredGroup.children.every(child => child.parent === restoredGroup));
+});
+
+test('a session that does not fit its file is refused', () => {
+    const source = readFixture('nested-groups.setting');
+    const { macros } = parseSettingFile(source);
+    const session = serializeSession({ id: '1', filename: 'x.setting', source, macros, activeMacroIndex: 0 });
+
+    assert.throws(() => restoreSession({ ...session, version: 0 }, macros), /another version/);
+    assert.throws(() => restoreSession(session, [...macros, ...macros]), /does not match/);
+});
+
+test('restoring a mismatched session leaves the open edit unchanged', () => {
+    const source = readFixture('multi-macro.setting');
+    const current = openEdit(source, 'multi.setting');
+    removeNodes(current.macros[0].tree, [current.macros[0].tree.children.find(node => node.type === 'CONTROL' && !node.hidden)]);
+    const expected = save(current.macros, current.result.segments);
+
+    const other = readFixture('nested-groups.setting');
+    const session = serializeSession({ id: 'x', filename: 'x.setting', source: other, macros: parseSettingFile(other).macros, activeMacroIndex: 0 });
+    assert.throws(() => openEdit(source, 'multi.setting', session), /does not match/);
+    assert.equal(save(current.macros, current.result.segments), expected);
+});
+
+test('a file loaded again keeps its session id', () => {
+    const source = readFixture('nested-groups.setting');
+    assert.equal(openEdit(source, 'a.setting').id, openEdit(source, 'a.setting').id);
+    assert.equal(openEdit(source, 'a.setting').id, sessionKey('a.setting', source));
+    assert.notEqual(sessionKey('a.setting', source), sessionKey('a.setting', `${source} `));
+    assert.notEqual(sessionKey('a.setting', source), sessionKey('b.setting', source));
+
+    const session = serializeSession({ id: 'stored', filename: 'a.setting', source, macros: parseSettingFile(source).macros, activeMacroIndex: 0 });
+    assert.equal(openEdit(source, 'a.setting', session).id, 'stored');
+});
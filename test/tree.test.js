@@ -0,0 +1,158 @@
+// test/tree.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canNestIn, maxNodeId, topLevelNodes, canDropAt, moveNodes, findInputReferences, isProtectedInput, nodesBetween, nodesInScope, moveSiblings, indentNodes, outdentNodes, groupNodes, removeNodes } from '../tree.js';
+
+function makeTree() {
+    const root = { id: 0, type: 'ROOT', children: [], parent: null };
+    const add = (parent, node) => {
+        const full = { parent, children: [], ...node };
+        parent.children.push(full);
+        return full;
+    };
+    const a = add(root, { id: 1, type: 'CONTROL' });
+    const page = add(root, { id: 2, type: 'PAGE', name: 'Two' });
+    const group = add(root, { id: 3, type: 'GROUP', name: 'G' });
+    const b = add(group, { id: 4, type: 'CONTROL' });
+    const inner = add(group, { id: 5, type: 'GROUP', name: 'Inner' });
+    const c = add(inner, { id: 6, type: 'CONTROL' });
+    const d = add(root, { id: 7, type: 'SEPARATOR' });
+    return { root, a, page, group, b, inner, c, d };
+}
+
+const ids = (parent) => parent.children.map(node => node.id);
+
+test('canNestIn follows the Indent rules', () => {
+    const { a, page, group, d } = makeTree();
+    assert.equal(canNestIn(a, group), true);
+    assert.equal(canNestIn(d, group), true);
+    assert.equal(canNestIn(page, group), false);
+    assert.equal(canNestIn(a, page), false);
+});
+
+test('topLevelNodes drops descendants of selected groups and sorts in tree order', () => {
+    const { root, a, group, b, c, d } = makeTree();
+    assert.deepEqual(topLevelNodes(root, [d, c, group, a, b]).map(node => node.id), [1, 3, 7]);
+});
+
+test('maxNodeId looks through every tree it is given', () => {
+    const { root, inner } = makeTree();
+    const other = { id: 8, type: 'ROOT', children: [], parent: null };
+    assert.equal(maxNodeId([root]), 7);
+    inner.children[0].id = 12;
+    assert.equal(maxNodeId([other, root]), 12);
+    assert.equal(maxNodeId([]), -1);
+});
+
+test('canDropAt rejects pages inside groups and groups inside themselves', () => {
+    const { page, group, inner, b, c, d } = makeTree();
+    assert.equal(canDropAt([page], group, 'inside'), false);
+    assert.equal(canDropAt([page], b, 'after'), false);
+    assert.equal(canDropAt([page], d, 'after'), true);
+    assert.equal(canDropAt([group], c, 'before'), false);
+    assert.equal(canDropAt([group], inner, 'inside'), false);
+    assert.equal(canDropAt([d], inner, 'inside'), true);
+});
+
+test('moveNodes moves a block across pages and into groups, keeping its order', () => {
+    const { root, a, group, inner, b, d } = makeTree();
+    moveNodes([a, d], b, 'after');
+    assert.deepEqual(ids(root), [2, 3]);
+    assert.deepEqual(ids(group), [4, 1, 7, 5]);
+    assert.equal(a.parent, group);
+
+    moveNodes([b], inner, 'inside');
+    assert.deepEqual(ids(inner), [6, 4]);
+
+    moveNodes([inner], group, 'before');
+    assert.deepEqual(ids(root), [2, 5, 3]);
+    assert.equal(inner.parent, root);
+});
+
+test('findInputReferences finds expressions that use a published input', () => {
+    const tools = [
+        { name: 'Merge1', inputs: [{ id: 'Blend', expression: 'SoftGlow.Input3 * 2' }, { id: 'Gain', expression: 'Parent.Input3' }] },
+        { name: 'Blur1', inputs: [{ id: 'XBlurSize', expression: 'SoftGlow.Input30' }, { id: 'Size', expression: 'Other.SoftGlow.Input3' }, { id: 'Angle', value: '0' }] },
+    ];
+    const control = key => ({ type: 'CONTROL', data: { key, properties: { SourceOp: 'Merge1', Source: 'Blend' } } });
+    assert.deepEqual(findInputReferences(tools, 'SoftGlow', control('Input3')).map(ref => `${ref.tool}.${ref.input}`), ['Merge1.Blend', 'Merge1.Gain']);
+    assert.deepEqual(findInputReferences(tools, 'SoftGlow', control('Input1')), []);
+});
+
+test('findInputReferences sees links made in the editor and links to user controls', () => {
+    const tools = [
+        { name: 'Merge1', inputs: [{ id: 'Blend', expression: 'SoftGlow.Input3' }] },
+        { name: 'Blur1', inputs: [{ id: 'XBlurSize' }] },
+    ];
+    const edits = { 'Merge1.Blend': null, 'Blur1.XBlurSize': 'Parent.Input3 + helper.Amount', 'Blur1.YBlurSize': 'helper.Amount' };
+    const published = { type: 'CONTROL', data: { key: 'Input3', properties: { SourceOp: 'Merge1', Source: 'Blend' } } };
+    assert.deepEqual(findInputReferences(tools, 'SoftGlow', published, edits).map(ref => `${ref.tool}.${ref.input}`), ['Blur1.XBlurSize']);
+
+    const userControl = { type: 'CONTROL', userControl: {}, data: { key: 'Input9', properties: { SourceOp: 'helper', Source: 'Amount' } } };
+    assert.deepEqual(findInputReferences(tools, 'SoftGlow', userControl, edits).map(ref => `${ref.tool}.${ref.input}`), ['Blur1.XBlurSize', 'Blur1.YBlurSize']);
+});
+
+test('isProtectedInput guards the main image inputs', () => {
+    assert.equal(isProtectedInput({ type: 'CONTROL', data: { key: 'MainInput1' } }), true);
+    assert.equal(isProtectedInput({ type: 'CONTROL', data: { key: 'Input1' } }), false);
+    assert.equal(isProtectedInput({ type: 'SEPARATOR', data: { key: 'Separator1' } }), false);
+});
+
+test('nodesBetween selects a range across types and groups', () => {
+    const { root, a, c, d } = makeTree();
+    assert.deepEqual(nodesBetween(root, a, c).map(node => node.id), [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(nodesBetween(root, d, c).map(node => node.id), [6, 7]);
+});
+
+test('nodesInScope covers the group or page of the anchor', () => {
+    const { root, a, page, group, b, c, d } = makeTree();
+    assert.deepEqual(nodesInScope(root, b).map(node => node.id), [4, 5, 6]);
+    assert.deepEqual(nodesInScope(root, c).map(node => node.id), [6]);
+    assert.deepEqual(nodesInScope(root, group).map(node => node.id), [4, 5, 6]);
+    assert.deepEqual(nodesInScope(root, a).map(node => node.id), [1]);
+    assert.deepEqual(nodesInScope(root, page).map(node => node.id), [3, 4, 5, 6, 7]);
+    assert.deepEqual(nodesInScope(root, d).map(node => node.id), [3, 4, 5, 6, 7]);
+    assert.equal(nodesInScope(root, null).length, 7);
+});
+
+test('moveSiblings moves a scattered selection one step, blocked at the edges', () => {
+    const { root, a, page, group, b, inner, d } = makeTree();
+    assert.equal(moveSiblings(root, [page, d], -1), true);
+    assert.deepEqual(ids(root), [2, 1, 7, 3]);
+    assert.equal(moveSiblings(root, [page, a], -1), false);
+    assert.equal(moveSiblings(root, [page, inner, b], 1), true);
+    assert.deepEqual(ids(root), [1, 2, 7, 3]);
+    assert.deepEqual(ids(group), [4, 5]);
+});
+
+test('indentNodes and outdentNodes keep the order of the selection', () => {
+    const { root, a, group, b, inner, d } = makeTree();
+    const e = { id: 8, type: 'CONTROL', parent: root, children: [] };
+    root.children.push(e);
+    assert.equal(indentNodes(root, [a]), false);
+
+    moveNodes([group], a, 'before');
+    assert.equal(indentNodes(root, [a, d, e]), true);
+    assert.deepEqual(ids(root), [3, 2, 7, 8]);
+    assert.deepEqual(ids(group), [4, 5, 1]);
+
+    assert.equal(outdentNodes(root, [b, a]), true);
+    assert.deepEqual(ids(root), [3, 4, 1, 2, 7, 8]);
+    assert.deepEqual(ids(group), [5]);
+    assert.equal(outdentNodes(root, [b]), false);
+    assert.equal(inner.parent, group);
+});
+
+test('groupNodes gathers nodes from different parents into a new group', () => {
+    const { root, a, page, group, c, d } = makeTree();
+    const created = { id: 9, type: 'GROUP', name: 'New', children: [] };
+    assert.equal(groupNodes(root, [page, a], { id: 10, type: 'GROUP', children: [] }), false);
+    assert.equal(groupNodes(root, [d, c, a], created), true);
+    assert.deepEqual(ids(root), [9, 2, 3]);
+    assert.deepEqual(ids(created), [1, 6, 7]);
+    assert.equal(c.parent, created);
+    assert.deepEqual(ids(group), [4, 5]);
+
+    removeNodes(root, [created, c, page]);
+    assert.deepEqual(ids(root), [3]);
+});
@@ -0,0 +1,118 @@
+// test/validate.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile } from '../writer.js';
+import { validateMacro } from '../validate.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const codes = issues => issues.map(issue => issue.code);
+
+function findByKey(tree, key) {
+    let found = null;
+    (function walk(node) {
+        if (node.data && node.data.key === key) found = node;
+        node.children.forEach(walk);
+    })(tree);
+    return found;
+}
+
+test('the fixtures have no issues', () => {
+    for (const name of fs.readdirSync(new URL('./fixtures/', import.meta.url))) {
+        for (const macro of parseSettingFile(readFixture(name)).macros) {
+            assert.deepEqual(validateMacro(macro), [], `${name} (${macro.name})`);
+        }
+    }
+});
+
+test('duplicate keys are reported and fixed with a fresh key', () => {
+    const result = parseSettingFile(readFixture('nested-groups.setting'));
+    const [macro] = result.macros;
+    const separators = [];
+    (function walk(node) {
+        if (node.type === 'SEPARATOR') separators.push(node);
+        node.children.forEach(walk);
+    })(macro.tree);
+    separators[1].data.key = separators[0].data.key;
+    const input2 = findByKey(macro.tree, 'Input2');
+    input2.data.key = 'Input1';
+
+    const issues = validateMacro(macro);
+    assert.deepEqual(codes(issues), ['duplicate-key', 'duplicate-key']);
+    issues.forEach(issue => issue.fix());
+    assert.deepEqual(validateMacro(macro), []);
+    assert.equal(separators[1].data.key, 'Separator2');
+    assert.match(input2.data.originalBlock, /^Input\d+ = InstanceInput/);
+    assert.notEqual(input2.data.key, 'Input1');
+
+    const reparsed = parseSettingFile(generateSettingFile(result.macros, result.segments, 'x.setting').string);
+    assert.ok(findByKey(reparsed.tree, input2.data.key));
+});
+
+test('empty groups and pages can be removed', () => {
+    const { macros: [macro] } = parseSettingFile(readFixture('group-paged.setting'));
+    const tree = macro.tree;
+    tree.children.push({ id: 100, type: 'PAGE', name: 'Extra', parent: tree, children: [] });
+    tree.children.splice(1, 0, { id: 101, type: 'GROUP', name: 'Nothing', parent: tree, children: [] });
+
+    const issues = validateMacro(macro);
+    assert.deepEqual(codes(issues), ['empty-group', 'empty-page']);
+    issues.forEach(issue => issue.fix());
+    assert.deepEqual(validateMacro(macro), []);
+    assert.ok(!tree.children.some(node => node.id === 100 || node.id === 101));
+});
+
+test('names with line breaks are not an issue, since the writer escapes them', () => {
+    const { macros: [macro] } = parseSettingFile(readFixture('group-paged.setting'));
+    macro.tree.children.find(node => node.type === 'GROUP').name = 'Soft\r\nGlow';
+    assert.deepEqual(validateMacro(macro), []);
+});
+
+test('inputs of missing tools and labels without a group are reported', () => {
+    const { macros: [macro] } = parseSettingFile(readFixture('macro-with-helper.setting'));
+    const control = macro.tree.children.find(node => node.type === 'CONTROL' && !node.hidden);
+    control.data.properties.SourceOp = 'Deleted1';
+    const group = macro.tree.children.find(node => node.type === 'GROUP');
+    const groupKey = group.internalKey;
+    group.parent.children.splice(group.parent.children.indexOf(group), 1, ...group.children);
+    group.children.forEach(child => { child.parent = group.parent; });
+
+    const issues = validateMacro(macro);
+    assert.deepEqual(codes(issues), ['missing-tool', 'orphaned-label']);
+    assert.deepEqual(issues[0].params, { item: { type: 'CONTROL', key: control.data.key, name: control.data.properties.Name ?? null }, tool: 'Deleted1' });
+    assert.equal(issues[0].fixCode, 'unpublish');
+    assert.deepEqual(issues[1].params, { host: macro.helperName, label: groupKey });
+    assert.equal(issues[1].fix, null);
+    assert.equal(issues[1].fixCode, null);
+
+    issues[0].fix();
+    assert.ok(!macro.tree.children.includes(control));
+});
+
+test('a published label whose helper entry is gone is an error', () => {
+    const { macros: [macro] } = parseSettingFile(readFixture('macro-with-helper.setting'));
+    macro.helperUserControls = macro.helperUserControls.filter(key => key !== 'AutoLabel2');
+    const bar = macro.tree.children.find(node => node.internalKey === 'AutoLabel2');
+    bar.type = 'CONTROL';
+    delete bar.internalKey;
+    bar.children.forEach(child => { child.parent = bar.parent; });
+    bar.parent.children.splice(bar.parent.children.indexOf(bar) + 1, 0, ...bar.children);
+    bar.children = [];
+
+    const issues = validateMacro(macro);
+    assert.deepEqual(codes(issues), ['dangling-label']);
+    issues[0].fix();
+    assert.deepEqual(validateMacro(macro), []);
+});
+
+test('a label host that is not in the macro is replaced by a helper node', () => {
+    const { macros: [macro] } = parseSettingFile(readFixture('tool-host.setting'));
+    macro.host = { kind: 'tool', name: 'Deleted1' };
+    macro.helperName = 'Deleted1';
+    const issues = validateMacro(macro);
+    assert.deepEqual(codes(issues), ['missing-host']);
+    issues[0].fix();
+    assert.deepEqual(macro.host, { kind: 'helper', name: 'background_helper', type: 'Background', position: [0, -100] });
+    assert.deepEqual(validateMacro(macro), []);
+});
@@ -0,0 +1,149 @@
+// test/writer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSettingFile } from '../parser.js';
+import { generateSettingFile, setBlockProperty, removeBlockProperty, formatPropertyValue, createInstanceInputBlock, detectFormatting } from '../writer.js';
+
+const block = 'Input1 = InstanceInput {\n\t\t\t\t\tSourceOp = "Blur1",\n\t\t\t\t\tSource = "XBlurSize"\n\t\t\t\t}';
+
+test('setBlockProperty replaces values in place and appends new properties with matching indentation', () => {
+    assert.equal(setBlockProperty(block, 'Source', 'YBlurSize'),
+        'Input1 = InstanceInput {\n\t\t\t\t\tSourceOp = "Blur1",\n\t\t\t\t\tSource = "YBlurSize"\n\t\t\t\t}');
+    assert.equal(setBlockProperty(block, 'MaxScale', '20'),
+        'Input1 = InstanceInput {\n\t\t\t\t\tSourceOp = "Blur1",\n\t\t\t\t\tSource = "XBlurSize",\n\t\t\t\t\tMaxScale = 20,\n\t\t\t\t}');
+    assert.equal(setBlockProperty('I = InstanceInput { Source = "A" }', 'Default', '{ 0.5, 0.5 }'),
+        'I = InstanceInput { Source = "A", Default = { 0.5, 0.5 }, }');
+});
+
+test('removeBlockProperty removes the whole line of a property', () => {
+    assert.equal(removeBlockProperty(block, 'SourceOp'), 'Input1 = InstanceInput {\n\t\t\t\t\tSource = "XBlurSize"\n\t\t\t\t}');
+    assert.equal(removeBlockProperty(block, 'Missing'), block);
+});
+
+test('formatPropertyValue quotes strings and keeps Lua literals', () => {
+    assert.equal(formatPropertyValue('Default', '0.25'), '0.25');
+    assert.equal(formatPropertyValue('Default', '{ 1, 0, 0 }'), '{ 1, 0, 0 }');
+    assert.equal(formatPropertyValue('Default', 'Hello'), '"Hello"');
+    assert.equal(formatPropertyValue('Name', '12'), '"12"');
+    assert.equal(formatPropertyValue('Name', 'Say "hi" \\ bye'), '"Say \\"hi\\" \\\\ bye"');
+});
+
+test('edited, added and removed properties are written back to the InstanceInput', () => {
+    const source = fs.readFileSync(new URL('./fixtures/group-no-helper.setting', import.meta.url), 'utf8');
+    const { tree, segments, maxAutoLabelIndex } = parseSettingFile(source);
+    const byKey = key => tree.children.find(node => node.data && node.data.key === key);
+
+    const input2 = byKey('Input2');
+    input2.data.properties.Name = 'Gain "Glow"';
+    input2.data.properties.MaxScale = '8';
+    delete input2.data.properties.MinScale;
+    byKey('Input3').data.properties.MinAllowed = '0';
+
+    const output = generateSettingFile(tree, segments, 'x.setting', maxAutoLabelIndex).string;
+    const reparsed = parseSettingFile(output).tree.children;
+    assert.deepEqual(reparsed.find(node => node.data.key === 'Input2').data.properties,
+        { SourceOp: 'ColorCorrector1', Source: 'MasterRGBGain', Name: 'Gain "Glow"', MaxScale: '8', Default: '1.2' });
+    assert.equal(reparsed.find(node => node.data.key === 'Input3').data.properties.MinAllowed, '0');
+});
+
+test('group names are escaped in the helper label', () => {
+    const { tree, segments, maxAutoLabelIndex } = parseSettingFile(fs.readFileSync(new URL('./fixtures/group-paged.setting', import.meta.url), 'utf8'));
+    const group = tree.children.find(node => node.type === 'GROUP');
+    group.name = 'Say "Glow" \\ now';
+    const output = generateSettingFile(tree, segments, 'x.setting', maxAutoLabelIndex).string;
+    const reparsed = parseSettingFile(output).tree;
+    assert.equal(reparsed.children.find(node => node.type === 'GROUP').name, 'Say "Glow" \\ now');
+});
+
+test('control characters in names are escaped, never written raw inside a string', () => {
+    assert.equal(formatPropertyValue('Name', 'a\r\nb\tc\u0001'), '"a\\r\\nb\\tc\\001"');
+    assert.equal(formatPropertyValue('Name', '\u00012'), '"\\0012"');
+
+    const { tree, segments, maxAutoLabelIndex } = parseSettingFile(fs.readFileSync(new URL('./fixtures/group-paged.setting', import.meta.url), 'utf8'));
+    const group = tree.children.find(node => node.type === 'GROUP');
+    const page = tree.children.find(node => node.type === 'PAGE');
+    const control = group.children.find(node => node.type === 'CONTROL');
+    group.name = 'Soft\r\nGlow';
+    page.name = 'Page\tTwo';
+    control.data.properties.Name = 'a\r\nb\u0007';
+
+    const output = generateSettingFile(tree, segments, 'x.setting', maxAutoLabelIndex).string;
+    for (const [literal] of output.matchAll(/"(?:[^"\\]|\\.)*"/g)) {
+        assert.doesNotMatch(literal, /[\u0000-\u001f\u007f]/, literal);
+    }
+    const reparsed = parseSettingFile(output).tree;
+    assert.equal(reparsed.children.find(node => node.type === 'GROUP').name, 'Soft\r\nGlow');
+    assert.equal(reparsed.children.find(node => node.type === 'PAGE').name, 'Page\tTwo');
+});
+
+test('nest levels follow the tree and label options are written back', () => {
+    const source = fs.readFileSync(new URL('./fixtures/nested-groups.setting', import.meta.url), 'utf8')
+        .replace('LINKS_Name = "Glow", }', 'LINKS_Name = "Glow", IC_Visible = true, }');
+    const { tree, segments, maxAutoLabelIndex } = parseSettingFile(source);
+    const look = tree.children.find(node => node.type === 'GROUP');
+    const glow = look.children.find(node => node.type === 'GROUP');
+    assert.deepEqual([look.collapsed, look.dropDownButton], [false, true]);
+    assert.deepEqual(glow.labelOptions, { IC_Visible: 'true' });
+
+    glow.collapsed = true;
+    look.dropDownButton = false;
+    const output = generateSettingFile(tree, segments, 'x.setting', maxAutoLabelIndex).string;
+    assert.match(output, /AutoLabel1 = \{[^\n]*LBLC_DropDownButton = false,[^\n]*LBLC_NestLevel = 1,/);
+    assert.match(output, /AutoLabel2 = \{[^\n]*LBLC_NestLevel = 2,[^\n]*LINKS_Name = "Glow", IC_Visible = true, \}/);
+    assert.match(output, /AutoLabel2 = Input \{ Value = 0, \}/);
+
+    const reparsed = parseSettingFile(output).tree;
+    const look2 = reparsed.children.find(node => node.type === 'GROUP');
+    const glow2 = look2.children.find(node => node.type === 'GROUP');
+    assert.deepEqual([look2.collapsed, look2.dropDownButton, glow2.collapsed, glow2.dropDownButton], [false, false, true, true]);
+});
+
+test('detectFormatting finds the indentation unit and line ending', () => {
+    assert.deepEqual(detectFormatting('{\n\tA = {\n\t\tB = 1,\n\t},\n}'), { unit: '\t', newline: '\n' });
+    assert.deepEqual(detectFormatting('{\r\n  A = {\r\n    B = 1,\r\n  },\r\n}'), { unit: '  ', newline: '\r\n' });
+    assert.deepEqual(detectFormatting('{ A = 1 }'), { unit: '\t', newline: '\n' });
+});
+
+test('only regenerated blocks are re-indented, in the style of the file', () => {
+    // Two-space indentation and CRLF line endings, with four-space runs inside a string and a comment.
+    const source = fs.readFileSync(new URL('./fixtures/group-no-helper.setting', import.meta.url), 'utf8')
+        .replace(/^\t+/gm, tabs => '  '.repeat(tabs.length))
+        .replace('ViewInfo = GroupInfo', '-- keep    these    spaces\n      ViewInfo = GroupInfo')
+        .replace(/\n/g, '\r\n');
+    const withString = source.replace(/(Tools = ordered\(\) \{\r\n)/, '$1        Note = Note { Comments = "a    b", },\r\n');
+    const { tree, segments, maxAutoLabelIndex } = parseSettingFile(withString);
+    tree.children.push({
+        id: 100, type: 'CONTROL', parent: tree, children: [],
+        data: { key: 'Input9', properties: { SourceOp: 'Blur1', Source: 'Blend' }, originalBlock: createInstanceInputBlock('Input9', { SourceOp: 'Blur1', Source: 'Blend' }) },
+    });
+
+    const output = generateSettingFile(tree, segments, 'x.setting', maxAutoLabelIndex).string;
+    assert.ok(!output.includes('\t'), 'no tabs are introduced');
+    assert.ok(!/[^\r]\n/.test(output), 'every line ends with CRLF');
+    assert.ok(output.includes('Comments = "a    b"'));
+    assert.ok(output.includes('-- keep    these    spaces'));
+    for (const segment of segments.filter(segment => segment.type === 'string')) {
+        assert.ok(output.includes(segment.string));
+    }
+    assert.match(output, /\r\n {8}Input9 = InstanceInput \{\r\n {10}SourceOp = "Blur1",\r\n {10}Source = "Blend",\r\n {8}\}/);
+    assert.match(output, /\r\n {8}background_helper = Background \{\r\n {10}PassThrough = true,/);
+});
+
+test('blocks already at the right depth are written back byte for byte', () => {
+    const source = fs.readFileSync(new URL('./fixtures/macro-with-helper.setting', import.meta.url), 'utf8');
+    const { macros, segments } = parseSettingFile(source);
+    const output = generateSettingFile(macros, segments, 'x.setting').string;
+    const inputs = segments.find(segment => segment.type === 'inputs_block').original;
+    assert.ok(output.includes(inputs));
+});
+
+test('blank lines before a regenerated block stay with the text in front of it', () => {
+    const source = fs.readFileSync(new URL('./fixtures/group-paged.setting', import.meta.url), 'utf8')
+        .replace('\t\t\t},\n\t\t\tInputs = ordered()', '\t\t\t},\n\n\t\t\tInputs = ordered()');
+    const { macros, segments } = parseSettingFile(source);
+    const inputs = segments.find(segment => segment.type === 'inputs_block');
+    assert.ok(inputs.original.startsWith('\n\t\t\tInputs = ordered()'));
+    macros[0].tree.children.reverse();
+    assert.match(generateSettingFile(macros, segments, 'x.setting').string, /\t\t\t\},\n\n\t\t\tInputs = ordered\(\)/);
+});
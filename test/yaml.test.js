@@ -0,0 +1,37 @@
+// test/yaml.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseYaml, stringifyYaml } from '../yaml.js';
+
+test('parses nested mappings, sequences and scalars', () => {
+    const text = `# layout
+pages:
+  - name: Controls   # default page
+    items:
+      - Input1
+      - input: Input2
+        name: "Glow: \\"Gain\\""
+      - separator: true
+      - group: 'It''s'
+        items: [Input3, "Input4"]
+renames:
+  Input5: 12
+`;
+    assert.deepEqual(parseYaml(text), {
+        pages: [{
+            name: 'Controls',
+            items: ['Input1', { input: 'Input2', name: 'Glow: "Gain"' }, { separator: true }, { group: "It's", items: ['Input3', 'Input4'] }],
+        }],
+        renames: { Input5: 12 },
+    });
+});
+
+test('stringifyYaml output parses back to the same value', () => {
+    const value = { pages: [{ name: 'True', items: ['Input1', { group: 'A #1', items: [] }, { input: 'Input2', name: ' padded ' }] }], empty: {} };
+    assert.deepEqual(parseYaml(stringifyYaml(value)), value);
+});
+
+test('reports the line of malformed input', () => {
+    assert.throws(() => parseYaml('pages:\n  - name: "open\n'), /line 2/);
+    assert.throws(() => parseYaml('a: 1\n    b: 2\n'), /line 2/);
+});
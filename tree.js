@@ -0,0 +1,341 @@
+// tree.js
+
+import { listLinks } from './links.js';
+
+// Node types that may live inside a group. Pages are flat markers and always stay at the root.
+const NESTABLE_TYPES = new Set(['CONTROL', 'GROUP', 'SEPARATOR']);
+
+/**
+ * Checks whether a node may be placed inside a group (the rule behind Indent).
+ * @param {object} node The node to move.
+ * @param {object} group The prospective parent.
+ * @returns {boolean}
+ */
+export function canNestIn(node, group) {
+    return !!group && group.type === 'GROUP' && NESTABLE_TYPES.has(node.type);
+}
+
+/**
+ * Checks whether `ancestor` is a (strict) ancestor of `node`.
+ */
+export function isAncestor(ancestor, node) {
+    for (let current = node.parent; current; current = current.parent) {
+        if (current === ancestor) return true;
+    }
+    return false;
+}
+
+/**
+ * Reduces a list of nodes to those whose ancestors are not also in the list, sorted in tree order.
+ * Moving these moves the whole selection as a block.
+ * @param {object} root The ROOT node.
+ * @param {Array<object>} nodes The selected nodes.
+ * @returns {Array<object>}
+ */
+export function topLevelNodes(root, nodes) {
+    const set = new Set(nodes);
+    const order = new Map();
+    (function walk(node) {
+        order.set(node, order.size);
+        node.children.forEach(walk);
+    })(root);
+    return nodes
+        .filter(node => order.has(node) && !nodes.some(other => other !== node && set.has(other) && isAncestor(other, node)))
+        .sort((a, b) => order.get(a) - order.get(b));
+}
+
+/**
+ * Checks whether `nodes` can be dropped relative to `target`.
+ * @param {Array<object>} nodes The top-level nodes being moved.
+ * @param {object} target The node under the pointer.
+ * @param {'before'|'after'|'inside'} position Where to drop relative to `target`.
+ * @returns {boolean}
+ */
+export function canDropAt(nodes, target, position) {
+    if (!target || nodes.length === 0) return false;
+    if (nodes.some(node => node === target || isAncestor(node, target))) return false;
+
+    const newParent = position === 'inside' ? target : target.parent;
+    if (!newParent) return false;
+    if (newParent.type === 'ROOT') return true;
+    return nodes.every(node => canNestIn(node, newParent));
+}
+
+/**
+ * Moves `nodes` (in the given order) before, after or into `target`.
+ * Dropping into a group appends to its children, as Indent does.
+ * The caller must have checked the move with `canDropAt`.
+ * @param {Array<object>} nodes The top-level nodes being moved.
+ * @param {object} target The node to drop relative to.
+ * @param {'before'|'after'|'inside'} position Where to drop relative to `target`.
+ */
+export function moveNodes(nodes, target, position) {
+    nodes.forEach(node => {
+        const siblings = node.parent.children;
+        siblings.splice(siblings.indexOf(node), 1);
+    });
+
+    const newParent = position === 'inside' ? target : target.parent;
+    const index = position === 'inside'
+        ? newParent.children.length
+        : newParent.children.indexOf(target) + (position === 'after' ? 1 : 0);
+
+    newParent.children.splice(index, 0, ...nodes);
+    nodes.forEach(node => { node.parent = newParent; });
+}
+
+/**
+ * Lists the visible nodes in the order the list shows them (depth first, hidden inputs left out).
+ * @param {object} root The ROOT node.
+ * @returns {Array<object>}
+ */
+export function visibleNodes(root) {
+    const list = [];
+    (function walk(node) {
+        if (node.type !== 'ROOT' && !node.hidden) list.push(node);
+        node.children.forEach(walk);
+    })(root);
+    return list;
+}
+
+/**
+ * Returns the visible nodes from `from` to `to` (inclusive, in either direction), whatever
+ * their type or parent. This is the range a Shift-click selects.
+ * @param {object} root The ROOT node.
+ * @param {object} from The node the range starts at.
+ * @param {object} to The node the range ends at.
+ * @returns {Array<object>}
+ */
+export function nodesBetween(root, from, to) {
+    const list = visibleNodes(root);
+    const start = list.indexOf(from);
+    const end = list.indexOf(to);
+    if (start === -1 || end === -1) return [];
+    return list.slice(Math.min(start, end), Math.max(start, end) + 1);
+}
+
+/**
+ * Returns the visible nodes of the group or page `node` belongs to: the contents of a
+ * group it is in (or of `node` itself, for a group), or else everything from its page marker
+ * up to the next one. This is what Select All selects.
+ * @param {object} root The ROOT node.
+ * @param {object|null} node The node the selection is anchored at; null selects everything.
+ * @returns {Array<object>}
+ */
+export function nodesInScope(root, node) {
+    if (!node) return visibleNodes(root);
+    const group = node.type === 'GROUP' ? node : (node.parent && node.parent.type === 'GROUP' ? node.parent : null);
+    if (group) return visibleNodes({ type: 'ROOT', children: group.children });
+
+    // The page marker at or above the node; items before the first marker form the default page.
+    let marker = root.children.indexOf(node);
+    while (marker >= 0 && root.children[marker].type !== 'PAGE') marker--;
+    let end = marker + 1;
+    while (end < root.children.length && root.children[end].type !== 'PAGE') end++;
+    return visibleNodes({ type: 'ROOT', children: root.children.slice(marker + 1, end) });
+}
+
+/**
+ * Moves each node one place up or down among its siblings, past the nearest sibling that is
+ * not being moved. A block of adjacent nodes moves together; a block already at the edge of
+ * its parent stays put, and so does anything behind it.
+ * @param {object} root The ROOT node.
+ * @param {Array<object>} nodes The nodes to move.
+ * @param {-1|1} direction -1 to move up, 1 to move down.
+ * @returns {boolean} Whether anything moved.
+ */
+export function moveSiblings(root, nodes, direction) {
+    const moving = new Set(topLevelNodes(root, nodes));
+    const parents = new Set(Array.from(moving, node => node.parent));
+    let moved = false;
+    for (const parent of parents) {
+        const siblings = parent.children;
+        const indexes = siblings.map((_, index) => index);
+        if (direction > 0) indexes.reverse();
+        // Nodes stuck at the edge block the ones behind them.
+        let blocked = true;
+        for (const index of indexes) {
+            const node = siblings[index];
+            if (!moving.has(node)) {
+                blocked = false;
+                continue;
+            }
+            if (blocked) continue;
+            const other = index + direction;
+            [siblings[index], siblings[other]] = [siblings[other], siblings[index]];
+            moved = true;
+        }
+    }
+    return moved;
+}
+
+/**
+ * Indents nodes into the group just above them, in tree order, so that adjacent nodes end
+ * up in the same group in the same order. Nodes with no group above them (or a group that is
+ * itself being indented) stay where they are.
+ * @param {object} root The ROOT node.
+ * @param {Array<object>} nodes The nodes to indent.
+ * @returns {boolean} Whether anything moved.
+ */
+export function indentNodes(root, nodes) {
+    const moving = topLevelNodes(root, nodes);
+    const movingSet = new Set(moving);
+    let moved = false;
+    for (const node of moving) {
+        const siblings = node.parent.children;
+        const index = siblings.indexOf(node);
+        const above = index > 0 ? siblings[index - 1] : null;
+        if (!above || movingSet.has(above) || !canNestIn(node, above)) continue;
+        moveNodes([node], above, 'inside');
+        moved = true;
+    }
+    return moved;
+}
+
+/**
+ * Moves nodes out of their group to just after it, keeping their order. Nodes at the root stay.
+ * @param {object} root The ROOT node.
+ * @param {Array<object>} nodes The nodes to outdent.
+ * @returns {boolean} Whether anything moved.
+ */
+export function outdentNodes(root, nodes) {
+    const moving = topLevelNodes(root, nodes).filter(node => node.parent.type === 'GROUP');
+    // Last first, so that each node lands in front of the ones outdented before it.
+    for (const node of moving.reverse()) {
+        moveNodes([node], node.parent, 'after');
+    }
+    return moving.length > 0;
+}
+
+/**
+ * Wraps nodes in a new group placed where the first of them was. Nodes from different
+ * parents are gathered into it in tree order.
+ * @param {object} root The ROOT node.
+ * @param {Array<object>} nodes The nodes to group; pages cannot be grouped.
+ * @param {object} group The new GROUP node, with no parent or children yet.
+ * @returns {boolean} Whether the group was created.
+ */
+export function groupNodes(root, nodes, group) {
+    const moving = topLevelNodes(root, nodes);
+    if (moving.length === 0 || !moving.every(node => canNestIn(node, group))) return false;
+    const first = moving[0];
+    const siblings = first.parent.children;
+    siblings.splice(siblings.indexOf(first), 0, group);
+    group.parent = first.parent;
+    moveNodes(moving, group, 'inside');
+    return true;
+}
+
+/**
+ * Removes nodes from the tree, together with everything inside them.
+ * @param {object} root The ROOT node.
+ * @param {Array<object>} nodes The nodes to remove.
+ */
+export function removeNodes(root, nodes) {
+    for (const node of topLevelNodes(root, nodes)) {
+        const siblings = node.parent.children;
+        siblings.splice(siblings.indexOf(node), 1);
+    }
+}
+
+/**
+ * Returns the highest node id in one or more trees, or -1 if they hold no nodes with ids.
+ * Ids are unique across all macros of a file, so new ones count up from the highest of all.
+ * @param {Array<object>} roots The ROOT nodes.
+ * @returns {number}
+ */
+export function maxNodeId(roots) {
+    let max = -1;
+    (function walk(node) {
+        if (typeof node.id === 'number') max = Math.max(max, node.id);
+        node.children.forEach(walk);
+    })({ children: roots });
+    return max;
+}
+
+/**
+ * Returns a new InstanceInput key following Fusion's `InputN` convention,
+ * numbered after the highest `InputN` already in the tree.
+ * @param {object} root The ROOT node.
+ * @returns {string}
+ */
+export function nextInputKey(root) {
+    let max = 0;
+    (function walk(node) {
+        const match = node.data && node.data.key ? /^Input(\d+)$/.exec(node.data.key) : null;
+        if (match) max = Math.max(max, parseInt(match[1], 10));
+        node.children.forEach(walk);
+    })(root);
+    return `Input${max + 1}`;
+}
+
+/**
+ * Returns a new separator key (`SeparatorN`), numbered after the highest one in the tree.
+ * @param {object} root The ROOT node.
+ * @returns {string}
+ */
+export function nextSeparatorKey(root) {
+    let max = 0;
+    (function walk(node) {
+        const match = node.data && node.data.key ? /^Separator(\d+)$/.exec(node.data.key) : null;
+        if (match) max = Math.max(max, parseInt(match[1], 10));
+        node.children.forEach(walk);
+    })(root);
+    return `Separator${max + 1}`;
+}
+
+/**
+ * Finds the CONTROL node that publishes a given tool input, if any.
+ * @param {object} root The ROOT node.
+ * @param {string} sourceOp The tool name.
+ * @param {string} source The input ID on that tool.
+ * @returns {object|null}
+ */
+export function findPublishedInput(root, sourceOp, source) {
+    let found = null;
+    (function walk(node) {
+        if (found) return;
+        if (node.type === 'CONTROL' && node.data.properties.SourceOp === sourceOp && node.data.properties.Source === source) {
+            found = node;
+            return;
+        }
+        node.children.forEach(walk);
+    })(root);
+    return found;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds expressions in the macro's tools that refer to a published input, e.g. `MyMacro.Input3`
+ * or `Parent.Input3`, including links added in the editor. A control created in the editor
+ * is also referred to through its host, e.g. `background_helper.MySlider`, since removing it
+ * removes that control from the host.
+ * @param {Array<object>} tools The tools list returned by the parser.
+ * @param {string|null} macroName The name of the GroupOperator/MacroOperator.
+ * @param {object} node The CONTROL node.
+ * @param {object} [edits] The macro's expression edits.
+ * @returns {Array<{tool: string, input: string, expression: string}>}
+ */
+export function findInputReferences(tools, macroName, node, edits = {}) {
+    const owners = ['Parent'];
+    if (macroName) owners.push(macroName);
+    const names = [`(?:${owners.map(escapeRegExp).join('|')})\\.${escapeRegExp(node.data.key)}`];
+    const { SourceOp, Source } = node.data.properties || {};
+    if (node.userControl && SourceOp && Source) names.push(`${escapeRegExp(SourceOp)}\\.${escapeRegExp(Source)}`);
+    const pattern = new RegExp(`(?:^|[^\\w.])(?:${names.join('|')})(?!\\w)`);
+
+    return listLinks(tools, edits)
+        .filter(link => pattern.test(link.expression))
+        .map(({ tool, input, expression }) => ({ tool, input, expression }));
+}
+
+/**
+ * Checks whether a node is one of the macro's hidden main image inputs (`MainInputN`),
+ * which must never be unpublished.
+ */
+export function isProtectedInput(node) {
+    return node.type === 'CONTROL' && /^MainInput\d+$/i.test(node.data.key);
+}
@@ -0,0 +1,185 @@
+// validate.js
+
+import { renameBlockKey } from './writer.js';
+import { nextInputKey, nextSeparatorKey, isProtectedInput } from './tree.js';
+
+/**
+ * Checks a macro before it is written and describes what would go wrong in Fusion.
+ *
+ * Each issue is `{code, severity, params, node, fix, fixCode}`:
+ *   - `severity` is 'error' (the file will be broken) or 'warning' (it works, but probably not as intended);
+ *   - `params` holds the names the message needs; an item of the tree is described as
+ *     `{type, key, name}` so that the caller can word it;
+ *   - `node` is the tree node the issue is about, or null;
+ *   - `fix` is a function that repairs the tree in place, or null when there is no automatic fix;
+ *   - `fixCode` names what `fix` does, or is null.
+ *
+ * Codes: duplicate-key, empty-group, empty-page, orphaned-label,
+ * dangling-label, missing-tool, no-source-op, missing-host.
+ * Fix codes: new-key, remove-group, remove-page, unpublish, use-helper.
+ */
+
+function walk(root, visit) {
+    (function visitNode(node) {
+        if (node.type !== 'ROOT') visit(node);
+        node.children.forEach(visitNode);
+    })(root);
+}
+
+function removeNode(node) {
+    const siblings = node.parent.children;
+    siblings.splice(siblings.indexOf(node), 1);
+}
+
+function nodeName(node) {
+    return node.type === 'CONTROL' ? node.data.properties.Name : node.name;
+}
+
+function describe(node) {
+    return { type: node.type, key: node.data?.key ?? null, name: nodeName(node) ?? null };
+}
+
+function checkDuplicateKeys(tree, issues) {
+    const seen = new Map();
+    walk(tree, node => {
+        const key = node.type === 'GROUP' ? (node.data?.key || node.internalKey) : node.data?.key;
+        if (!key || node.type === 'PAGE') return;
+        if (!seen.has(key)) {
+            seen.set(key, node);
+            return;
+        }
+        issues.push({
+            code: 'duplicate-key',
+            severity: 'error',
+            params: { key, first: describe(seen.get(key)), second: describe(node) },
+            node,
+            fixCode: 'new-key',
+            fix: () => {
+                const newKey = node.type === 'SEPARATOR' ? nextSeparatorKey(tree) : nextInputKey(tree);
+                if (node.type === 'CONTROL') node.data.originalBlock = renameBlockKey(node.data.originalBlock, newKey);
+                node.data = { ...node.data, key: newKey };
+            },
+        });
+    });
+}
+
+function checkEmptyContainers(tree, issues) {
+    walk(tree, node => {
+        if (node.type !== 'GROUP' || node.children.length > 0) return;
+        issues.push({
+            code: 'empty-group',
+            severity: 'warning',
+            params: { item: describe(node) },
+            node,
+            fixCode: 'remove-group',
+            fix: () => removeNode(node),
+        });
+    });
+
+    // A page is empty when no visible item follows it before the next page.
+    tree.children.forEach((node, index) => {
+        if (node.type !== 'PAGE') return;
+        const rest = tree.children.slice(index + 1);
+        const nextPage = rest.findIndex(item => item.type === 'PAGE');
+        const items = nextPage === -1 ? rest : rest.slice(0, nextPage);
+        if (items.some(item => !item.hidden)) return;
+        issues.push({
+            code: 'empty-page',
+            severity: 'warning',
+            params: { item: describe(node) },
+            node,
+            fixCode: 'remove-page',
+            fix: () => removeNode(node),
+        });
+    });
+}
+
+function checkLabels(macro, issues) {
+    const helperName = macro.helperName || 'background_helper';
+    const groupKeys = new Set();
+    walk(macro.tree, node => {
+        if (node.type === 'GROUP' && node.internalKey) groupKeys.add(node.internalKey);
+    });
+
+    for (const key of macro.helperUserControls || []) {
+        if (!/^AutoLabel\d+$/.test(key) || groupKeys.has(key)) continue;
+        issues.push({
+            code: 'orphaned-label',
+            severity: 'warning',
+            params: { host: helperName, label: key },
+            node: null,
+            fixCode: null,
+            fix: null,
+        });
+    }
+
+    walk(macro.tree, node => {
+        if (node.type !== 'CONTROL') return;
+        const { SourceOp, Source } = node.data.properties;
+        if (SourceOp !== helperName || !/^AutoLabel\d+$/.test(Source || '')) return;
+        issues.push({
+            code: 'dangling-label',
+            severity: 'error',
+            params: { item: describe(node), label: Source, host: helperName },
+            node,
+            fixCode: 'unpublish',
+            fix: () => removeNode(node),
+        });
+    });
+}
+
+function checkSourceOps(macro, issues) {
+    const toolNames = new Set((macro.tools || []).map(tool => tool.name));
+    toolNames.add(macro.helperName || 'background_helper');
+    walk(macro.tree, node => {
+        // User controls created in the editor are written onto the label host, wherever it is.
+        if (node.type !== 'CONTROL' || node.userControl) return;
+        const { SourceOp } = node.data.properties;
+        if (SourceOp && toolNames.has(SourceOp)) return;
+        const protectedInput = isProtectedInput(node);
+        issues.push({
+            code: SourceOp ? 'missing-tool' : 'no-source-op',
+            severity: 'error',
+            params: SourceOp ? { item: describe(node), tool: SourceOp } : { item: describe(node) },
+            node,
+            fixCode: protectedInput ? null : 'unpublish',
+            fix: protectedInput ? null : () => removeNode(node),
+        });
+    });
+}
+
+function checkHost(macro, issues) {
+    const host = macro.host;
+    if (!host || host.kind !== 'tool') return;
+    const toolNames = new Set((macro.tools || []).map(tool => tool.name));
+    if (toolNames.has(host.name)) return;
+    issues.push({
+        code: 'missing-host',
+        severity: 'error',
+        params: { tool: host.name },
+        node: null,
+        fixCode: 'use-helper',
+        fix: () => {
+            let name = 'background_helper';
+            for (let n = 2; toolNames.has(name); n++) name = `background_helper_${n}`;
+            macro.host = { kind: 'helper', name, type: 'Background', position: [0, -100] };
+            macro.helperName = name;
+        },
+    });
+}
+
+/**
+ * Runs every check on one macro.
+ * @param {{tree: object, tools?: Array<object>, helperName?: string, helperUserControls?: Array<string>}} macro
+ *        A macro as returned by the parser.
+ * @returns {Array<object>} The issues found, errors first.
+ */
+export function validateMacro(macro) {
+    const issues = [];
+    checkDuplicateKeys(macro.tree, issues);
+    checkEmptyContainers(macro.tree, issues);
+    checkHost(macro, issues);
+    checkLabels(macro, issues);
+    checkSourceOps(macro, issues);
+    return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
@@ -1,90 +1,346 @@
 // writer.js
 
+import { parseSettingAst, tokenize, getField, getFieldValue, scalarText, leadingWhitespaceStart } from './ast.js';
+import { collectMacroFields } from './parser.js';
+
+// The helper node that hosts group labels and separators, unless the parser named it otherwise.
+const HELPER_NODE_NAME = 'background_helper';
+const DEFAULT_HOST = { kind: 'helper', name: HELPER_NODE_NAME, type: 'Background', position: [0, -100] };
+
+// The shared separator control every separator InstanceInput points at.
+const SEPARATOR_CONTROL = 'Separator = { INPID_InputControl = "SeparatorControl", },';
+
+// InstanceInput properties whose values are always written as quoted strings.
+const STRING_PROPERTIES = new Set(['Name', 'Source', 'SourceOp', 'Page', 'Expression']);
+
 /**
- * A utility to update the 'Name' property within an InstanceInput block string.
- * @param {string} block The original InstanceInput block string.
- * @param {string} newName The new name to set.
- * @returns {string} The updated block string.
+ * Parses an InstanceInput block string (`Key = InstanceInput { ... }`).
+ * The block is wrapped in braces so it can be parsed as a table; offsets in the returned
+ * `source` are therefore one character ahead of the block itself.
+ * @param {string} block The InstanceInput block string.
+ * @returns {{table: object, source: string}|null} The InstanceInput table node, or null if the block does not parse.
  */
-function updateInstanceInputName(block, newName) {
+function parseBlock(block) {
     try {
-        const escaped = String(newName).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        const source = `{${block}}`;
+        const field = parseSettingAst(source).body.fields[0];
+        if (!field || field.value.type !== 'Table') return null;
+        return { table: field.value, source };
+    } catch {
+        return null;
+    }
+}
 
-        // Regex to find and replace an existing Name property
-        const namePropRegex = /(\n[ \t]*Name\s*=\s*)("([^"]*)"|[^,}\n]+)(\s*,?)/;
-        if (namePropRegex.test(block)) {
-            return block.replace(namePropRegex, `$1"${escaped}",`);
-        }
+/**
+ * Reads the properties of an InstanceInput block string, in the same form the parser stores them.
+ * @param {string} block The InstanceInput block string.
+ * @returns {object} A map of property name to value.
+ */
+export function readBlockProperties(block) {
+    const parsed = parseBlock(block);
+    const properties = {};
+    if (!parsed) return properties;
+    for (const field of parsed.table.fields) {
+        if (field.keyKind === 'name') properties[field.key] = scalarText(field.value, parsed.source);
+    }
+    return properties;
+}
 
-        // If Name property doesn't exist, add it after the opening brace.
-        const braceIdx = block.indexOf('{');
-        if (braceIdx === -1) return block;
-
-        const newlineIdx = block.indexOf('\n', braceIdx);
-        const insertPos = newlineIdx === -1 ? braceIdx + 1 : newlineIdx + 1;
-        const after = block.slice(insertPos);
-        const indentMatch = after.match(/^([ \t]+)/);
-        const indent = indentMatch ? indentMatch[1] : '                    '; // Default indent
-        const insertion = `${indent}Name = "${escaped}",\n`;
-        return block.slice(0, insertPos) + insertion + block.slice(insertPos);
+function isLuaLiteral(text) {
+    try {
+        const { body } = parseSettingAst(`{ v = ${text} }`);
+        return body.fields.length === 1 && ['Number', 'Boolean', 'Nil', 'Table'].includes(body.fields[0].value.type);
     } catch {
-        return block; // Return original block on error
+        return false;
     }
 }
 
+const NAMED_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Formats a property value for writing. Numbers, booleans and tables are written as-is;
+ * everything else (and always Name, Source, SourceOp and Page) becomes an escaped string.
+ * Control characters are escaped too: Fusion does not accept them raw inside a string.
+ * @param {string} key The property name.
+ * @param {string|number|boolean} value The value as stored in `data.properties`.
+ * @returns {string} The Lua source text for the value.
+ */
+export function formatPropertyValue(key, value) {
+    const text = String(value);
+    if (!STRING_PROPERTIES.has(key) && isLuaLiteral(text)) return text.trim();
+    // Decimal escapes take three digits so that a digit after them is not read as part of them.
+    const escaped = text.replace(/[\\"\u0000-\u001f\u007f]/g, ch => NAMED_ESCAPES[ch] ?? `\\${String(ch.charCodeAt(0)).padStart(3, '0')}`);
+    return `"${escaped}"`;
+}
+
+function lineIndentAt(source, index) {
+    const lineStart = source.lastIndexOf('\n', index - 1) + 1;
+    return source.substring(lineStart, index).match(/^[ \t]*/)[0];
+}
+
 /**
- * A utility to add or update the 'Page' property within an InstanceInput block string.
- * @param {string} textBlock The original InstanceInput block string.
- * @param {string} pageName The page name to set.
+ * Adds or updates a property within an InstanceInput block string.
+ * An existing value is replaced in place; a new property is added after the last one,
+ * using the indentation of the existing properties.
+ * @param {string} block The original InstanceInput block string.
+ * @param {string} key The property name.
+ * @param {string|number|boolean} value The value to set.
  * @returns {string} The updated block string.
  */
-function addPageProperty(textBlock, pageName) {
-    if (!pageName) return textBlock;
-    const pageRegex = /Page\s*=\s*(?:"[^"]*"|[^,}\s]+)/;
-    const escapedPageName = `"${pageName.replace(/"/g, '\\"')}"`;
+export function setBlockProperty(block, key, value) {
+    const parsed = parseBlock(block);
+    if (!parsed) return block;
+    const { table, source } = parsed;
+    const formatted = formatPropertyValue(key, value);
 
-    if (textBlock.match(pageRegex)) {
-        return textBlock.replace(pageRegex, `Page = ${escapedPageName}`);
+    let result;
+    const field = getField(table, key);
+    if (field) {
+        result = source.slice(0, field.value.start) + formatted + source.slice(field.value.end);
     } else {
-        // Add the Page property after the opening brace.
-        return textBlock.replace(/(\s*{)/, `$1\n                    Page = ${escapedPageName},`);
+        const last = table.fields[table.fields.length - 1];
+        const singleLine = !source.substring(table.open, table.close).includes('\n');
+        if (singleLine) {
+            const insertAt = last ? last.separatorEnd : table.open + 1;
+            const comma = last && last.separatorEnd === last.end ? ',' : '';
+            result = source.slice(0, insertAt) + `${comma} ${key} = ${formatted},` + source.slice(insertAt);
+        } else if (last) {
+            const indent = lineIndentAt(source, table.fields[0].start);
+            const comma = last.separatorEnd === last.end ? ',' : '';
+            result = source.slice(0, last.separatorEnd) + `${comma}\n${indent}${key} = ${formatted},` + source.slice(last.separatorEnd);
+        } else {
+            const closeIndent = lineIndentAt(source, table.close);
+            const indent = closeIndent + (closeIndent.includes('\t') || closeIndent === '' ? '\t' : '    ');
+            result = source.slice(0, table.open + 1) + `\n${indent}${key} = ${formatted},\n${closeIndent}` + source.slice(table.close);
+        }
+    }
+    return result.slice(1, -1);
+}
+
+/**
+ * Removes a property from an InstanceInput block string. If the property sits on its own
+ * line, the whole line is removed.
+ * @param {string} block The original InstanceInput block string.
+ * @param {string} key The property name.
+ * @returns {string} The updated block string.
+ */
+export function removeBlockProperty(block, key) {
+    const parsed = parseBlock(block);
+    if (!parsed) return block;
+    const { table, source } = parsed;
+    const field = getField(table, key);
+    if (!field) return block;
+
+    let start = field.start;
+    let end = field.separatorEnd;
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    let lineEnd = source.indexOf('\n', end);
+    if (lineEnd === -1) lineEnd = source.length;
+    if (/^[ \t]*$/.test(source.substring(lineStart, start)) && /^[ \t]*$/.test(source.substring(end, lineEnd)) && lineEnd < source.length) {
+        start = lineStart;
+        end = lineEnd + 1;
+    } else {
+        end += source.substring(end).match(/^[ \t]*/)[0].length;
+    }
+    return (source.slice(0, start) + source.slice(end)).slice(1, -1);
+}
+
+/**
+ * Rewrites an InstanceInput block so that its properties match `properties`: changed and new
+ * properties are set, missing ones removed. Page is left alone; it is managed by the page markers.
+ * @param {string} block The original InstanceInput block string.
+ * @param {object} properties The edited properties of the node.
+ * @returns {string} The updated block string.
+ */
+function applyPropertyEdits(block, properties) {
+    const original = readBlockProperties(block);
+    let result = block;
+    for (const key of Object.keys(original)) {
+        if (key !== 'Page' && !(key in properties)) {
+            result = removeBlockProperty(result, key);
+        }
+    }
+    for (const [key, value] of Object.entries(properties)) {
+        if (key !== 'Page' && value !== undefined && original[key] !== String(value)) {
+            result = setBlockProperty(result, key, value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Changes the key of an InstanceInput block string (`Input3 = InstanceInput { ... }`).
+ * @param {string} block The InstanceInput block string.
+ * @param {string} key The new key.
+ * @returns {string} The updated block string.
+ */
+export function renameBlockKey(block, key) {
+    return block.replace(/^(\s*)(?:[A-Za-z_]\w*|\[[^\]]*\])/, `$1${key}`);
+}
+
+function hasPageProperty(block) {
+    return 'Page' in readBlockProperties(block);
+}
+
+
+/**
+ * Builds the text of a new InstanceInput block, e.g. for a tool input published from the editor.
+ * The block is indented as if it stood at the start of a line; the writer re-indents it to match
+ * the file it is written into.
+ * @param {string} key The InstanceInput key (e.g. `Input5`).
+ * @param {object} properties The properties to write, in order.
+ * @returns {string} The block string.
+ */
+export function createInstanceInputBlock(key, properties) {
+    const lines = Object.entries(properties).map(([name, value]) => `\t${name} = ${formatPropertyValue(name, value)},`);
+    return `${key} = InstanceInput {\n${lines.join('\n')}\n}`;
+}
+
+/**
+ * Detects how a .setting file is laid out: its indentation unit (a tab, or a run of spaces)
+ * and its line ending. Files without any indentation get tabs, as Fusion writes them.
+ * @param {string} source The file content.
+ * @returns {{unit: string, newline: string}}
+ */
+export function detectFormatting(source) {
+    const lineCount = (source.match(/\n/g) || []).length;
+    const crlfCount = (source.match(/\r\n/g) || []).length;
+    const newline = lineCount > 0 && crlfCount * 2 > lineCount ? '\r\n' : '\n';
+
+    let tabLines = 0;
+    let spaceLines = 0;
+    // How often each increase in space indentation from one line to the next occurs.
+    const steps = new Map();
+    let previous = 0;
+    for (const line of source.split(/\r?\n/)) {
+        if (line.trim() === '') continue;
+        const indent = line.match(/^[ \t]*/)[0];
+        if (indent.startsWith('\t')) tabLines++;
+        if (indent.startsWith(' ')) spaceLines++;
+        if (/^ *$/.test(indent)) {
+            if (indent.length > previous) steps.set(indent.length - previous, (steps.get(indent.length - previous) || 0) + 1);
+            previous = indent.length;
+        }
     }
+    if (spaceLines === 0 || tabLines >= spaceLines) return { unit: '\t', newline };
+
+    let step = 4;
+    let best = 0;
+    for (const [size, count] of steps) {
+        if (count > best || (count === best && size < step)) {
+            step = size;
+            best = count;
+        }
+    }
+    return { unit: ' '.repeat(step), newline };
 }
 
+/**
+ * Re-indents a block (`Key = Ctor { ... }`) whose first line goes at `indent`: every following
+ * line keeps its depth relative to the closing line, expressed in the file's indentation unit.
+ * Lines that start inside a multi-line string or comment are left exactly as they are, and a
+ * block that already matches comes back unchanged.
+ * @param {string} block The block text, without the indentation of its first line.
+ * @param {string} indent The indentation of the line the block starts on.
+ * @param {{unit: string, newline: string}} format The file's formatting.
+ * @returns {string}
+ */
+function reindentBlock(block, indent, format) {
+    let verbatim;
+    try {
+        const { tokens, comments } = tokenize(block);
+        verbatim = [...tokens.filter(token => token.type === 'string'), ...comments];
+    } catch {
+        return block;
+    }
+
+    const lines = [];
+    const pattern = /\r?\n/g;
+    let lineStart = 0;
+    let match;
+    while ((match = pattern.exec(block))) {
+        lines.push({ text: block.substring(lineStart, match.index), start: lineStart, newline: match[0] });
+        lineStart = match.index + match[0].length;
+    }
+    lines.push({ text: block.substring(lineStart), start: lineStart, newline: '' });
+    if (lines.length < 2) return block;
+
+    const isVerbatim = line => verbatim.some(range => range.start < line.start && line.start < range.end);
+    const leading = text => text.match(/^[ \t]*/)[0];
+    const base = leading(lines[lines.length - 1].text);
+    const relative = lines.slice(1)
+        .filter(line => !isVerbatim(line) && line.text.trim() !== '')
+        .map(line => {
+            const whitespace = leading(line.text);
+            return whitespace.startsWith(base) ? whitespace.slice(base.length) : whitespace;
+        });
+    // The block's own space unit: its smallest indentation step made of spaces only.
+    const spaceRuns = relative.filter(whitespace => /^ +$/.test(whitespace)).map(whitespace => whitespace.length);
+    const spaceUnit = spaceRuns.length > 0 ? Math.min(...spaceRuns) : 4;
+
+    let result = lines[0].text;
+    lines.slice(1).forEach((line, index) => {
+        const previous = lines[index];
+        const newline = isVerbatim(line) ? previous.newline : format.newline;
+        if (isVerbatim(line) || line.text.trim() === '') {
+            result += newline + line.text;
+            return;
+        }
+        const whitespace = leading(line.text);
+        const rest = whitespace.startsWith(base) ? whitespace.slice(base.length) : whitespace;
+        const depth = (rest.match(/\t/g) || []).length + Math.floor((rest.match(/ /g) || []).length / spaceUnit);
+        result += newline + indent + format.unit.repeat(depth) + line.text.slice(whitespace.length);
+    });
+    return result;
+}
 
 /**
- * Generates the new .setting file content by rebuilding from the UI tree and segments.
+ * Generates the new Inputs and helper node entries for one macro from its UI tree.
  * @param {object} tree The hierarchical representation of the UI controls.
- * @param {Array<object>} segments The linear list of file segments from the parser.
- * @param {string} originalFilename The original filename, used to create the new filename.
  * @param {number} maxAutoLabelIndex The highest index for auto-generated labels, for collision avoidance.
- * @returns {{content: string, filename: string}}
+ * @param {object} host Where the group labels and separators live (see `generateSettingFile`).
+ * @returns {{blocks: Array<string>, labelInputs: Array<string>, labelControls: Array<string>, customKeys: Set<string>}}
+ *          The InstanceInput blocks, the label and user control entries for the host's Inputs and
+ *          UserControls, and the keys of the user controls created in the editor.
  */
-export function generateSettingFile(tree, segments, originalFilename, maxAutoLabelIndex = 0) {
-    const HELPER_NODE_NAME = "background_helper";
+function generateMacroBlocks(tree, maxAutoLabelIndex, host) {
+    const helperName = host.name;
     const userControlsForHelper = [];
     const userControlInputsForHelper = [];
+    const customControls = [];
+    const customInputs = [];
+    const customKeys = new Set();
     const mainInstanceInputs = [];
     let separatorCounter = 1;
 
-    // Ensure autoLabelCounter starts from a safe number
+    // Ensure autoLabelCounter starts from a safe number, above the file's labels and any key a
+    // group already got in the editor (from an earlier output or a paste).
     let autoLabelCounter = maxAutoLabelIndex + 1;
+    (function walk(node) {
+        const match = /^AutoLabel(\d+)$/.exec(node.internalKey || '');
+        if (match) autoLabelCounter = Math.max(autoLabelCounter, parseInt(match[1], 10) + 1);
+        node.children.forEach(walk);
+    })(tree);
 
-    // --- Part 1: Generate new block content from the tree ---
+    // Pages are flat markers: each one applies to every item that follows it in tree order.
+    let currentPageName = null;
 
-    function generateBlocksRecursive(node, currentPageName = null) {
+    function generateBlocksRecursive(node) {
         if (node.type === 'PAGE') {
             currentPageName = node.name;
         } else if (node.type !== 'ROOT') {
             let block = '';
             if (node.type === 'CONTROL') {
-                block = node.data.originalBlock;
-                // Apply rename if it was flagged
-                if (node.data.__renamed) {
-                    const newName = node.data.properties ? node.data.properties.Name : null;
-                    if (newName && typeof newName === 'string') {
-                        block = updateInstanceInputName(block, newName);
-                    }
+                // Write back any properties edited in the UI
+                block = applyPropertyEdits(node.data.originalBlock, node.data.properties || {});
+                // A user control created in the editor lives on the host, wherever that is now.
+                if (node.userControl) {
+                    const key = node.data.properties.Source;
+                    const fields = node.userControl.fields.map(field => (field.key === null ? `${field.value},` : `${field.key} = ${field.value},`));
+                    block = setBlockProperty(block, 'SourceOp', helperName);
+                    customKeys.add(key);
+                    customControls.push(`${key} = { ${fields.join(' ')} },`);
+                    if (node.userControl.input) customInputs.push(`${key} = ${node.userControl.input},`);
                 }
             } else if (node.type === 'GROUP') {
                 // Ensure every group has a unique internal key
@@ -94,65 +350,295 @@ export function generateSettingFile(tree, segments, originalFilename, maxAutoLab
                 const descendantCount = (function count(n) {
                     return n.children.reduce((acc, child) => acc + 1 + count(child), 0);
                 })(node);
+                let nestLevel = 1;
+                for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+                    if (ancestor.type === 'GROUP') nestLevel++;
+                }
+                // Groups created in the editor have a drop-down button unless it was turned off.
+                const dropDownButton = node.dropDownButton !== false;
+                const extraOptions = Object.entries(node.labelOptions || {}).map(([key, value]) => ` ${key} = ${value},`).join('');
 
-                userControlsForHelper.push(`                        ${node.internalKey} = { INP_Passive = true, INP_External = false, LBLC_DropDownButton = true, INPID_InputControl = "LabelControl", LBLC_NumInputs = ${descendantCount}, LBLC_NestLevel = 1, LINKID_DataType = "Number", LINKS_Name = "${node.name}", },`);
-                userControlInputsForHelper.push(`                        ${node.internalKey} = Input { Value = 1, },`);
-                block = `${node.data?.key || node.internalKey} = InstanceInput {\n                    SourceOp = "${HELPER_NODE_NAME}",\n                    Source = "${node.internalKey}"\n                }`;
+                userControlsForHelper.push(`${node.internalKey} = { INP_Passive = true, INP_External = false, LBLC_DropDownButton = ${dropDownButton}, INPID_InputControl = "LabelControl", LBLC_NumInputs = ${descendantCount}, LBLC_NestLevel = ${nestLevel}, LINKID_DataType = "Number", LINKS_Name = ${formatPropertyValue('Name', node.name)},${extraOptions} },`);
+                userControlInputsForHelper.push(`${node.internalKey} = Input { Value = ${node.collapsed ? 0 : 1}, },`);
+                block = `${node.data?.key || node.internalKey} = InstanceInput {\n\tSourceOp = "${helperName}",\n\tSource = "${node.internalKey}"\n}`;
             } else if (node.type === 'SEPARATOR') {
-                block = `${node.data.key || `Separator${separatorCounter++}`} = InstanceInput {\n                    SourceOp = "${HELPER_NODE_NAME}",\n                    Source = "Separator"\n                }`;
+                block = `${node.data.key || `Separator${separatorCounter++}`} = InstanceInput {\n\tSourceOp = "${helperName}",\n\tSource = "Separator"\n}`;
             }
 
-            // Apply page property if currently inside a page
+            // Apply page property if currently inside a page. Items before the first page marker
+            // belong to the default "Controls" page, so a stale Page property is reset to it.
             if (currentPageName && block) {
-                block = addPageProperty(block, currentPageName);
+                block = setBlockProperty(block, 'Page', currentPageName);
+            } else if (block && hasPageProperty(block)) {
+                block = setBlockProperty(block, 'Page', 'Controls');
             }
             mainInstanceInputs.push(block);
         }
 
         // Recurse through children
         if (node.children) {
-            node.children.forEach(child => generateBlocksRecursive(child, currentPageName));
+            node.children.forEach(child => generateBlocksRecursive(child));
         }
     }
 
     generateBlocksRecursive(tree);
 
-    // Assemble the new Inputs block content
-    const newInputsContent = `\n                ${mainInstanceInputs.join(',\n                ')}\n            `;
-
-    // Assemble the new helper node content
-    const newHelperContent = `
-                    PassThrough = true,
-                    Inputs = {
-                        Width = Input { Value = 1920, },
-                        Height = Input { Value = 1080, },
-${userControlInputsForHelper.join('\n')}
-                    },
-                    ViewInfo = OperatorInfo { Pos = { 0, -100 } },
-                    UserControls = ordered() {
-						Separator = { INPID_InputControl = "SeparatorControl", },
-${userControlsForHelper.join('\n')}
-                    }
-                `;
+    // User controls go first: on a tool host they become the tool's own controls once written,
+    // and the label entries are always added after those.
+    return {
+        blocks: mainInstanceInputs,
+        labelInputs: [...customInputs, ...userControlInputsForHelper],
+        labelControls: [...customControls, SEPARATOR_CONTROL, ...userControlsForHelper],
+        customKeys,
+    };
+}
+
+/**
+ * Writes a macro's Inputs block with its first line at `indent`.
+ * @returns {string}
+ */
+function formatInputsBlock(generated, indent, format) {
+    const { unit, newline } = format;
+    const entries = generated.blocks.map(block => `${newline}${indent}${unit}${reindentBlock(block, indent + unit, format)}`);
+    return `Inputs = ordered() {${entries.join(',')}${newline}${indent}},`;
+}
+
+/**
+ * Writes a helper node that hosts the group labels, with its first line at `indent`.
+ * Only a Background needs an image size.
+ * @returns {string}
+ */
+function formatHelperNode(host, generated, indent, format) {
+    const { unit, newline } = format;
+    const inner = indent + unit;
+    const sizeInputs = host.type === 'Background'
+        ? ['Width = Input { Value = 1920, },', 'Height = Input { Value = 1080, },']
+        : [];
+    const [x, y] = host.position || DEFAULT_HOST.position;
+    const entries = list => list.map(entry => `${inner}${unit}${entry}`);
+    return [
+        `${host.name} = ${host.type || DEFAULT_HOST.type} {`,
+        `${inner}PassThrough = true,`,
+        `${inner}CustomData = { MacroEditorHelper = true, },`,
+        `${inner}Inputs = {`,
+        ...entries([...sizeInputs, ...generated.labelInputs]),
+        `${inner}},`,
+        `${inner}ViewInfo = OperatorInfo { Pos = { ${x}, ${y} } },`,
+        `${inner}UserControls = ordered() {`,
+        ...entries(generated.labelControls),
+        `${inner}}`,
+        `${indent}},`,
+    ].join(newline);
+}
+
+/**
+ * Finds a tool of the macro at `macroIndex` in freshly generated file content.
+ * @returns {object|null} The tool's `Table` node.
+ */
+function findMacroTool(ast, macroIndex, toolName) {
+    const entry = collectMacroFields(ast.body)[macroIndex];
+    const toolsTable = entry ? getFieldValue(entry.field.value, 'Tools') : null;
+    if (!toolsTable || toolsTable.type !== 'Table') return null;
+    const tool = getFieldValue(toolsTable, toolName);
+    return tool && tool.type === 'Table' ? tool : null;
+}
+
+/**
+ * Rewrites the label entries of an existing tool: removes its `AutoLabelN` inputs and its
+ * `AutoLabelN`/`Separator` UserControls (and any entries for the user controls being written),
+ * then adds the given ones (if any). Missing Inputs or
+ * UserControls tables are created. Everything else in the tool is left untouched.
+ * @param {string} content The file content.
+ * @param {number} macroIndex The macro the tool belongs to.
+ * @param {string} toolName The tool's name.
+ * @param {{labelInputs: Array<string>, labelControls: Array<string>, customKeys: Set<string>}|null} labels
+ *        The entries to write, or null to only remove the old ones.
+ * @param {{unit: string, newline: string}} format The file's formatting.
+ * @returns {string} The new file content.
+ */
+function rewriteToolLabels(content, macroIndex, toolName, labels, format) {
+    const { unit, newline } = format;
+    const tool = findMacroTool(parseSettingAst(content), macroIndex, toolName);
+    if (!tool) return content;
+
+    const edits = [];
+    const newFields = [];
+    const toolIndent = lineIndentAt(content, tool.start);
+    const fieldIndent = toolIndent + unit;
+    const editTable = (key, isLabelKey, entries, ctor) => {
+        const table = getFieldValue(tool, key);
+        if (!table || table.type !== 'Table') {
+            if (entries.length === 0) return;
+            const lines = entries.map(entry => `${newline}${fieldIndent}${unit}${entry}`).join('');
+            newFields.push(`${newline}${fieldIndent}${key} = ${ctor}{${lines}${newline}${fieldIndent}},`);
+            return;
+        }
+        const fields = table.fields.filter(field => typeof field.key === 'string' && isLabelKey(field.key));
+        for (const field of fields) {
+            edits.push({ start: leadingWhitespaceStart(content, field.start), end: field.separatorEnd, text: '' });
+        }
+        if (entries.length === 0) return;
+        const kept = table.fields.filter(field => !fields.includes(field));
+        const entryIndent = kept.length > 0 ? lineIndentAt(content, kept[0].start) : lineIndentAt(content, table.start) + unit;
+        const lastKept = kept[kept.length - 1];
+        // A last field written without a trailing comma needs one before new entries follow it.
+        const comma = lastKept && lastKept.separatorEnd === lastKept.end ? ',' : '';
+        const at = lastKept ? lastKept.separatorEnd : table.open + 1;
+        edits.push({ start: at, end: at, text: comma + entries.map(entry => `${newline}${entryIndent}${entry}`).join('') });
+    };
+    const customKeys = labels ? labels.customKeys : new Set();
+    const labelKey = key => /^AutoLabel\d+$/.test(key) || customKeys.has(key);
+    editTable('Inputs', labelKey, labels ? labels.labelInputs : [], '');
+    editTable('UserControls', key => labelKey(key) || key === 'Separator', labels ? labels.labelControls : [], 'ordered() ');
+    if (newFields.length > 0) {
+        const lastField = tool.fields[tool.fields.length - 1];
+        const comma = lastField && lastField.separatorEnd === lastField.end ? ',' : '';
+        const at = lastField ? lastField.separatorEnd : tool.open + 1;
+        edits.push({ start: at, end: at, text: comma + newFields.join('') });
+    }
+
+    edits.sort((a, b) => b.start - a.start || b.end - a.end);
+    let result = content;
+    for (const edit of edits) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+/**
+ * Sets or removes the `Expression` of tool inputs inside a macro (see links.js). An input with
+ * no entry in its tool's Inputs gets one; an entry that only held the removed expression goes.
+ * @param {string} content The file content.
+ * @param {number} macroIndex The macro the tools belong to.
+ * @param {object} edits The expressions by `Tool.Input`; null removes one.
+ * @param {{unit: string, newline: string}} format The file's formatting.
+ * @returns {string} The new file content.
+ */
+function rewriteToolExpressions(content, macroIndex, edits, format) {
+    const { unit, newline } = format;
+    let result = content;
+    const splice = (start, end, text) => { result = result.slice(0, start) + text + result.slice(end); };
+    for (const [key, expression] of Object.entries(edits)) {
+        const dot = key.indexOf('.');
+        const toolName = key.slice(0, dot);
+        const inputId = key.slice(dot + 1);
+        const tool = findMacroTool(parseSettingAst(result), macroIndex, toolName);
+        if (!tool) continue;
+
+        const inputs = getFieldValue(tool, 'Inputs');
+        const field = inputs && inputs.type === 'Table' ? getField(inputs, inputId) : null;
+        if (field && field.value.type === 'Table') {
+            const block = result.substring(field.start, field.value.end);
+            const updated = expression === null ? removeBlockProperty(block, 'Expression') : setBlockProperty(block, 'Expression', expression);
+            const parsed = parseBlock(updated);
+            if (parsed && parsed.table.fields.length === 0) {
+                splice(leadingWhitespaceStart(result, field.start), field.separatorEnd, '');
+            } else {
+                splice(field.start, field.value.end, updated);
+            }
+            continue;
+        }
+        if (expression === null) continue;
+
+        const entryKey = /^[A-Za-z_]\w*$/.test(inputId) ? inputId : `[${formatPropertyValue('Name', inputId)}]`;
+        const entry = `${entryKey} = Input { Expression = ${formatPropertyValue('Expression', expression)}, },`;
+        const fieldIndent = lineIndentAt(result, tool.start) + unit;
+        const container = inputs && inputs.type === 'Table' ? inputs : tool;
+        const last = container.fields[container.fields.length - 1];
+        // A last field written without a trailing comma needs one before the new entry.
+        const comma = last && last.separatorEnd === last.end ? ',' : '';
+        const at = last ? last.separatorEnd : container.open + 1;
+        if (container === inputs) {
+            const entryIndent = last ? lineIndentAt(result, inputs.fields[0].start) : lineIndentAt(result, inputs.start) + unit;
+            splice(at, at, `${comma}${newline}${entryIndent}${entry}`);
+        } else {
+            splice(at, at, `${comma}${newline}${fieldIndent}Inputs = {${newline}${fieldIndent}${unit}${entry}${newline}${fieldIndent}},`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Generates the new .setting file content by rebuilding from the UI trees and segments.
+ *
+ * `macros` lists the macros of the file in the order the parser returned them, each as
+ * `{tree, maxAutoLabelIndex, host}`; every one of them is rebuilt. `host` says where the group
+ * labels and separators live: `{kind: 'helper', name, type, position}` for a helper node the
+ * editor writes in full, or `{kind: 'tool', name}` for an existing tool whose UserControls get
+ * the label entries (older callers may pass `helperName` instead). A macro missing from
+ * the list (or null) keeps its original text. A single tree may be passed instead, together
+ * with its `maxAutoLabelIndex`, for files where only the first macro is edited. A macro's
+ * `expressionEdits` (see links.js) set or remove expressions on its tools' inputs.
+ *
+ * Only the regenerated Inputs blocks and label hosts change; they are indented to their depth
+ * in the file using its own indentation unit and line endings, and every other byte is kept.
+ * @param {Array<object>|object} macros The macros to rebuild, or the tree of the first macro.
+ * @param {Array<object>} segments The linear list of file segments from the parser.
+ * @param {string} originalFilename The original filename, used to create the new filename.
+ * @param {number} maxAutoLabelIndex The highest AutoLabel index when a single tree is passed.
+ * @returns {{string: string, filename: string}} The file content and the name to save it under.
+ */
+export function generateSettingFile(macros, segments, originalFilename, maxAutoLabelIndex = 0) {
+    const macroList = Array.isArray(macros) ? macros : [{ tree: macros, maxAutoLabelIndex }];
+
+    // --- Part 1: Generate new block content from the trees ---
+    const hosts = macroList.map(macro => macro
+        && (macro.host || { ...DEFAULT_HOST, name: macro.helperName || HELPER_NODE_NAME }));
+    const blocks = macroList.map((macro, index) => macro
+        ? generateMacroBlocks(macro.tree, macro.maxAutoLabelIndex || 0, hosts[index])
+        : null);
 
     // --- Part 2: Reconstruct the final file from segments ---
 
+    const format = detectFormatting(segments.map(segment => segment.type === 'string' ? segment.string : segment.original || '').join(''));
+    // The whitespace in front of a replaced block is kept; its last line gives the block's indentation.
+    const leadingOf = segment => (segment.original || '').match(/^[ \t\r\n]*/)[0];
+    const indentAfter = (text, leading) => (leading.includes('\n')
+        ? leading.slice(leading.lastIndexOf('\n') + 1)
+        : lineIndentAt(text + leading, text.length + leading.length));
+
     let rebuiltString = '';
+    // Existing tools whose label entries must be rewritten once the file is assembled.
+    const toolHosts = [];
     for (const segment of segments) {
-        if (segment.type === 'inputs_block') {
+        const generated = segment.type === 'string' ? null : blocks[segment.macroIndex || 0];
+        if (segment.type !== 'string' && !generated) {
+            // A macro that is not being edited keeps its original text
+            rebuiltString += segment.original || '';
+        } else if (segment.type === 'inputs_block') {
             // Replace the old inputs block with the newly generated one
-            rebuiltString += `\n            Inputs = ordered() {${newInputsContent}},`;
+            const leading = leadingOf(segment);
+            rebuiltString += leading + formatInputsBlock(generated, indentAfter(rebuiltString, leading), format);
         } else if (segment.type === 'helper_block') {
-            // This case handles when a helper node needs to be created from scratch
-            rebuiltString += `\n                ${HELPER_NODE_NAME} = Background {${newHelperContent}},`;
+            const host = hosts[segment.macroIndex || 0];
+            // A tool that hosted the labels before loses them when they move elsewhere.
+            if (segment.hostTool && (host.kind !== 'tool' || host.name !== segment.hostTool)) {
+                toolHosts.push({ macroIndex: segment.macroIndex || 0, name: segment.hostTool, labels: null });
+            }
+            if (host.kind === 'tool') {
+                toolHosts.push({ macroIndex: segment.macroIndex || 0, name: host.name, labels: generated });
+            } else {
+                // Write the helper node in full, replacing the one that was there (if any).
+                // A new one goes first in the Tools block, one level below its opening line.
+                const leading = segment.node ? leadingOf(segment) : format.newline + lineIndentAt(rebuiltString, rebuiltString.length) + format.unit;
+                rebuiltString += leading + formatHelperNode(host, generated, indentAfter(rebuiltString, leading), format);
+            }
         } else {
             // For all other parts of the file, append them as-is
             rebuiltString += segment.string;
         }
     }
 
-    const formattedString  = rebuiltString.replace(/ {4}/g, '\t');
+    for (const { macroIndex, name, labels } of toolHosts) {
+        rebuiltString = rewriteToolLabels(rebuiltString, macroIndex, name, labels, format);
+    }
+    macroList.forEach((macro, index) => {
+        if (macro && macro.expressionEdits) {
+            rebuiltString = rewriteToolExpressions(rebuiltString, index, macro.expressionEdits, format);
+        }
+    });
+
     const newFilename = (originalFilename || 'macro.setting').replace('.setting', '_modified.setting');
 
-    return { string: formattedString , filename: newFilename };
+    return { string: rebuiltString, filename: newFilename };
 }
@@ -0,0 +1,203 @@
+// yaml.js
+
+/**
+ * A small YAML reader and writer covering what layout specs need: block mappings and
+ * sequences, `- key: value` items, plain/quoted scalars, `#` comments and flow lists of scalars.
+ * Anchors, multi-line scalars and multiple documents are not supported.
+ */
+
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.substring(0, i);
+        }
+    }
+    return line;
+}
+
+function splitFlowItems(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') {
+                current += ch + text[++i];
+                continue;
+            }
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === ',') {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    if (current.trim() !== '') items.push(current.trim());
+    return items;
+}
+
+function parseScalar(text, lineNumber) {
+    const value = text.trim();
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(value)) return Number(value);
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            throw new Error(`Invalid quoted string on line ${lineNumber}`);
+        }
+    }
+    if (value.startsWith("'")) {
+        if (!value.endsWith("'") || value.length < 2) throw new Error(`Invalid quoted string on line ${lineNumber}`);
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('[')) {
+        if (!value.endsWith(']')) throw new Error(`Unterminated flow sequence on line ${lineNumber}`);
+        return splitFlowItems(value.slice(1, -1)).map(item => parseScalar(item, lineNumber));
+    }
+    if (value === '{}') return {};
+    return value;
+}
+
+// Matches `key: value` / `key:` where the key may be quoted.
+const KEY_VALUE_REGEX = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#:][^:#]*?)\s*:(?:\s+(.*)|\s*$)/;
+
+/**
+ * Parses a YAML document.
+ * @param {string} text The YAML text.
+ * @returns {*} The parsed value.
+ * @throws {Error} If the text uses unsupported or malformed syntax.
+ */
+export function parseYaml(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const content = stripComment(raw).replace(/\s+$/, '');
+        if (content.trim() === '' || content.trim() === '---') return;
+        if (/^\s*\t/.test(content)) throw new Error(`Tabs are not allowed for indentation (line ${index + 1})`);
+        lines.push({ indent: content.match(/^ */)[0].length, text: content.trim(), number: index + 1 });
+    });
+
+    let pos = 0;
+
+    function parseNode(indent) {
+        const line = lines[pos];
+        if (!line || line.indent < indent) return null;
+        return line.text.startsWith('- ') || line.text === '-' ? parseSequence(line.indent) : parseMapping(line.indent);
+    }
+
+    function parseSequence(indent) {
+        const result = [];
+        while (pos < lines.length && lines[pos].indent === indent && (lines[pos].text.startsWith('- ') || lines[pos].text === '-')) {
+            const line = lines[pos];
+            const rest = line.text === '-' ? '' : line.text.substring(2).trim();
+            if (rest === '') {
+                pos++;
+                result.push(parseNode(indent + 1));
+            } else if (KEY_VALUE_REGEX.test(rest) && !rest.startsWith('[')) {
+                // `- key: value` starts a mapping whose keys are indented past the dash.
+                const itemIndent = indent + line.text.indexOf(rest);
+                lines[pos] = { indent: itemIndent, text: rest, number: line.number };
+                result.push(parseMapping(itemIndent));
+            } else {
+                pos++;
+                result.push(parseScalar(rest, line.number));
+            }
+        }
+        return result;
+    }
+
+    function parseMapping(indent) {
+        const result = {};
+        while (pos < lines.length && lines[pos].indent === indent) {
+            const line = lines[pos];
+            const match = line.text.match(KEY_VALUE_REGEX);
+            if (!match) throw new Error(`Expected "key: value" on line ${line.number}`);
+            const key = /^["']/.test(match[1]) ? parseScalar(match[1], line.number) : match[1].trim();
+            pos++;
+            if (match[2] !== undefined && match[2].trim() !== '') {
+                result[key] = parseScalar(match[2], line.number);
+            } else if (pos < lines.length && (lines[pos].indent > indent || (lines[pos].indent === indent && lines[pos].text.startsWith('- ')))) {
+                result[key] = parseNode(lines[pos].indent);
+            } else {
+                result[key] = null;
+            }
+        }
+        if (pos < lines.length && lines[pos].indent > indent) {
+            throw new Error(`Unexpected indentation on line ${lines[pos].number}`);
+        }
+        return result;
+    }
+
+    const value = parseNode(0);
+    if (pos < lines.length) throw new Error(`Unexpected content on line ${lines[pos].number}`);
+    return value;
+}
+
+function formatScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    const text = String(value);
+    const plain = /^[A-Za-z_][\w .()\-/]*$/.test(text) && !/\s$/.test(text) && !['true', 'false', 'null', 'yes', 'no', 'on', 'off', '~'].includes(text.toLowerCase());
+    return plain ? text : JSON.stringify(text);
+}
+
+/**
+ * Serializes plain objects, arrays and scalars as block-style YAML.
+ * @param {*} value The value to serialize.
+ * @returns {string} The YAML text, ending with a newline.
+ */
+export function stringifyYaml(value) {
+    const lines = [];
+
+    function write(node, indent) {
+        const pad = ' '.repeat(indent);
+        if (Array.isArray(node)) {
+            if (node.length === 0) {
+                lines.push(`${pad}[]`);
+                return;
+            }
+            for (const item of node) {
+                if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+                    const start = lines.length;
+                    write(item, indent + 2);
+                    lines[start] = `${pad}- ${lines[start].substring(indent + 2)}`;
+                } else if (Array.isArray(item) && item.length > 0) {
+                    lines.push(`${pad}-`);
+                    write(item, indent + 2);
+                } else {
+                    lines.push(`${pad}- ${Array.isArray(item) ? '[]' : item && typeof item === 'object' ? '{}' : formatScalar(item)}`);
+                }
+            }
+            return;
+        }
+        for (const [key, child] of Object.entries(node)) {
+            if (child && typeof child === 'object' && Object.keys(child).length > 0) {
+                lines.push(`${pad}${formatScalar(key)}:`);
+                write(child, indent + 2);
+            } else {
+                const empty = Array.isArray(child) ? '[]' : child && typeof child === 'object' ? '{}' : formatScalar(child);
+                lines.push(`${pad}${formatScalar(key)}: ${empty}`);
+            }
+        }
+    }
+
+    if (value && typeof value === 'object') {
+        write(value, 0);
+    } else {
+        lines.push(formatScalar(value));
+    }
+    return lines.join('\n') + '\n';
+}